@@ -2,7 +2,11 @@
 let socket;
 try {
     socket = io();
-    socket.on('connect', () => console.log('[DevzServer] Socket connected'));
+    socket.on('connect', () => {
+        console.log('[DevzServer] Socket connected');
+        // Rooms are per-connection, so (re)subscribe after every connect
+        if (currentInstance) socket.emit('subscribe', currentInstance);
+    });
     socket.on('connect_error', (err) => {
         console.error('[DevzServer] Socket error:', err.message);
         toast('Connection error: ' + err.message, 'error');
@@ -12,6 +16,8 @@ try {
     console.error('[DevzServer] Failed to initialize socket:', e);
 }
 
+let currentInstance = localStorage.getItem('devz-instance') || window.DEVZ_INSTANCE || null;
+let instanceList = [];
 let currentPath = '';
 let selectedItem = null;
 let currentPromptAction = null;
@@ -64,6 +70,11 @@ async function apiFetch(url, options = {}) {
     return data;
 }
 
+// Build an API URL scoped to the selected instance
+function instanceUrl(suffix) {
+    return `/api/instances/${encodeURIComponent(currentInstance)}${suffix}`;
+}
+
 // === File Icon Mapping ===
 function getFileIcon(item) {
     if (item.isDirectory) return '<svg class="file-icon folder"><use href="#icon-folder"/></svg>';
@@ -85,28 +96,49 @@ function switchTab(tabId) {
     document.getElementById('nav-' + tabId).classList.add('active');
     if (tabId === 'files') loadFiles();
     if (tabId === 'backups') loadBackups();
+    if (tabId === 'software') loadSoftware();
+    if (tabId === 'settings') loadProperties();
+    if (tabId === 'crashes') loadCrashes();
+    if (tabId === 'schedules') loadSchedules();
+    if (tabId === 'access') loadAccess();
+    if (tabId === 'plugins') loadPlugins();
+    if (tabId === 'worlds') loadWorlds();
 }
 
 // === Console ===
 function classifyLine(text) {
     if (text.includes('[STDERR]') || text.includes('[ERROR]') || text.includes('Error') || text.includes('Exception')) return 'line-error';
-    if (text.includes('[WARN]') || text.includes('WARN')) return 'line-warn';
+    if (text.includes('[WARN]') || text.includes('WARN') || text.startsWith('[WATCHDOG]')) return 'line-warn';
     if (text.includes('[INFO]')) return 'line-info';
     if (text.startsWith('---') || text.startsWith('[SYSTEM]')) return 'line-system';
     if (text.includes('Done') || text.includes('complete') || text.includes('accepted')) return 'line-success';
     return '';
 }
 
-socket.on('console', (data) => {
+function formatTime(t) {
+    return new Date(t).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+function createConsoleLine(lineText, time) {
+    const line = document.createElement('div');
+    line.className = `terminal-line ${classifyLine(lineText)}`;
+    if (time) {
+        const stamp = document.createElement('span');
+        stamp.className = 'terminal-time';
+        stamp.textContent = formatTime(time);
+        line.appendChild(stamp);
+    }
+    line.appendChild(document.createTextNode(lineText));
+    return line;
+}
+
+function appendConsole(data, time = Date.now()) {
     const consoleDiv = document.getElementById('console');
     const lines = data.split('\n');
 
     lines.forEach(lineText => {
         if (!lineText.trim()) return;
-        const line = document.createElement('div');
-        line.className = `terminal-line ${classifyLine(lineText)}`;
-        line.textContent = lineText;
-        consoleDiv.appendChild(line);
+        consoleDiv.appendChild(createConsoleLine(lineText, time));
     });
 
     // Limit console lines to prevent memory issues
@@ -114,9 +146,50 @@ socket.on('console', (data) => {
         consoleDiv.removeChild(consoleDiv.firstChild);
     }
 
+    consoleDiv.scrollTop = consoleDiv.scrollHeight;
+}
+
+socket.on('console', (data) => appendConsole(data));
+
+// RCON replies to commands sent from this dashboard
+socket.on('command-response', ({ id, response }) => {
+    if (id !== currentInstance || !response.trim()) return;
+    appendConsole(response);
+});
+
+// Scrollback replayed by the server when we subscribe to an instance
+socket.on('console-history', (entries) => {
+    const consoleDiv = document.getElementById('console');
+    consoleDiv.innerHTML = '';
+    entries.forEach(e => consoleDiv.appendChild(createConsoleLine(e.line, e.time)));
     consoleDiv.scrollTop = consoleDiv.scrollHeight;
 });
 
+// Page backwards through logs/latest.log
+let logCursor = null;
+let logHasMore = true;
+
+async function loadOlderLogs() {
+    if (!logHasMore) return toast('No older log lines', 'info');
+    try {
+        const query = logCursor === null ? '' : `?before=${logCursor}`;
+        const data = await apiFetch(instanceUrl(`/console/history${query}`));
+        logCursor = data.cursor;
+        logHasMore = data.hasMore;
+        if (data.lines.length === 0) return toast('No log file yet', 'info');
+
+        const consoleDiv = document.getElementById('console');
+        const prevHeight = consoleDiv.scrollHeight;
+        const fragment = document.createDocumentFragment();
+        data.lines.forEach(l => fragment.appendChild(createConsoleLine(l)));
+        consoleDiv.insertBefore(fragment, consoleDiv.firstChild);
+        // Keep the current view anchored while older lines are inserted above
+        consoleDiv.scrollTop += consoleDiv.scrollHeight - prevHeight;
+    } catch (err) {
+        toast('Failed to load logs: ' + err.message, 'error');
+    }
+}
+
 socket.on('status', (status) => {
     const badge = document.getElementById('status-badge');
     badge.className = `status-badge status-${status}`;
@@ -134,15 +207,59 @@ socket.on('status', (status) => {
 });
 
 function control(action) {
-    socket.emit('control', action);
-    toast(`Server ${action}...`, 'info');
+    const delay = action === 'stop' || action === 'restart' ? document.getElementById('control-delay').value : 0;
+    socket.emit('control', { id: currentInstance, action, delay });
+    if (action === 'cancel') toast('Cancelling...', 'info');
+    else toast(delay !== '0' && delay ? `Server ${action} in ${delay}...` : `Server ${action}...`, 'info');
+}
+
+// === Pending Actions ===
+let pendingAction = null;
+let pendingTimer = null;
+
+function renderPendingAction() {
+    const banner = document.getElementById('pending-action');
+    if (!pendingAction) {
+        banner.classList.remove('visible');
+        clearInterval(pendingTimer);
+        pendingTimer = null;
+        return;
+    }
+    const left = Math.max(0, Math.round((pendingAction.endsAt - Date.now()) / 1000));
+    const time = left >= 60 ? `${Math.floor(left / 60)}m ${left % 60}s` : `${left}s`;
+    const source = pendingAction.source === 'schedule' ? ' (scheduled)' : '';
+    document.getElementById('pending-action-text').textContent = `Server ${pendingAction.action} in ${time}${source}`;
+    banner.classList.add('visible');
+    if (!pendingTimer) pendingTimer = setInterval(renderPendingAction, 1000);
+}
+
+socket.on('pending-action', (action) => {
+    pendingAction = action;
+    renderPendingAction();
+    loadActions();
+});
+
+socket.on('control-error', (data) => {
+    if (data.id === currentInstance) toast(data.error, 'error');
+});
+
+async function loadActions() {
+    try {
+        const data = await apiFetch(instanceUrl('/actions'));
+        const next = document.getElementById('next-restart');
+        next.textContent = data.nextScheduledRestart
+            ? `Next scheduled restart: ${new Date(data.nextScheduledRestart).toLocaleString()}`
+            : '';
+    } catch (err) {
+        // The schedule line is informational; leave it as it was
+    }
 }
 
 function sendCmd() {
     const input = document.getElementById('cmd-input');
     const cmd = input.value.trim();
     if (cmd) {
-        socket.emit('command', cmd);
+        socket.emit('command', { id: currentInstance, cmd });
         // Echo the command in console
         const consoleDiv = document.getElementById('console');
         const line = document.createElement('div');
@@ -159,6 +276,269 @@ function clearConsole() {
     consoleDiv.innerHTML = '<div class="terminal-line line-system">Console cleared.</div>';
 }
 
+// === Live Server Info (Server List Ping / RakNet) ===
+socket.on('server-info', (info) => {
+    const instance = instanceList.find(i => i.id === currentInstance);
+    const motd = document.getElementById('server-motd');
+    if (!info) {
+        motd.textContent = '';
+        if (instance) {
+            document.getElementById('stat-version').textContent = instance.version;
+            document.getElementById('stat-players').textContent = `0 / ${instance.max_players}`;
+        }
+        return;
+    }
+    motd.textContent = info.motd;
+    motd.title = `Ping ${info.latency}ms · port ${info.port}`;
+    if (info.version) document.getElementById('stat-version').textContent = info.version;
+    document.getElementById('stat-players').textContent = `${info.online} / ${info.max}`;
+});
+
+// === Metrics ===
+const HOUR_SAMPLES = 720;
+let metricsRange = 'hour';
+let metricsHistory = [];
+
+function formatPercent(v) {
+    return v === null || v === undefined ? '--' : `${v.toFixed(1)}%`;
+}
+
+/**
+ * Draw a simple line chart of `values` (nulls leave gaps) scaled to [0, max]
+ */
+function drawChart(canvasId, values, max, color) {
+    const canvas = document.getElementById(canvasId);
+    const dpr = window.devicePixelRatio || 1;
+    const w = canvas.clientWidth, h = canvas.clientHeight;
+    canvas.width = w * dpr;
+    canvas.height = h * dpr;
+    const ctx = canvas.getContext('2d');
+    ctx.scale(dpr, dpr);
+    ctx.clearRect(0, 0, w, h);
+    if (values.length < 2) return;
+
+    const top = Math.max(max, ...values.filter(v => v !== null)) || 1;
+    const x = i => (i / (values.length - 1)) * w;
+    const y = v => h - 4 - (v / top) * (h - 8);
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    let drawing = false;
+    values.forEach((v, i) => {
+        if (v === null) { drawing = false; return; }
+        if (drawing) ctx.lineTo(x(i), y(v));
+        else ctx.moveTo(x(i), y(v));
+        drawing = true;
+    });
+    ctx.stroke();
+}
+
+function renderMetrics() {
+    const css = getComputedStyle(document.documentElement);
+    const mb = v => (v === null || v === undefined ? null : v / (1024 * 1024));
+    const last = metricsHistory[metricsHistory.length - 1] || {};
+
+    drawChart('chart-cpu', metricsHistory.map(m => m.cpu), 100, css.getPropertyValue('--primary-light'));
+    drawChart('chart-memory', metricsHistory.map(m => mb(m.rss)), mb(last.containerLimit) || 0, css.getPropertyValue('--accent'));
+    drawChart('chart-tps', metricsHistory.map(m => m.tps), 20, css.getPropertyValue('--success'));
+
+    document.getElementById('chart-cpu-value').textContent = formatPercent(last.cpu);
+    document.getElementById('chart-memory-value').textContent = last.rss ? formatSize(last.rss) : '--';
+    document.getElementById('chart-tps-value').textContent = last.tps ? `${last.tps} (${last.mspt ?? '?'} ms)` : '--';
+}
+
+socket.on('metrics-history', (samples) => {
+    if (metricsRange !== 'hour') return;
+    metricsHistory = samples;
+    renderMetrics();
+});
+
+socket.on('metrics', (sample) => {
+    const instance = instanceList.find(i => i.id === currentInstance);
+    document.getElementById('stat-cpu').textContent = formatPercent(sample.cpu);
+    document.getElementById('stat-tps').textContent = sample.tps ? sample.tps.toFixed(1) : '--';
+    document.getElementById('stat-memory').textContent = sample.rss
+        ? `${formatSize(sample.rss)} / ${instance ? instance.memory : '?'}`
+        : (instance ? instance.memory : '--');
+
+    if (metricsRange !== 'hour') return;
+    metricsHistory.push(sample);
+    if (metricsHistory.length > HOUR_SAMPLES) metricsHistory.shift();
+    renderMetrics();
+});
+
+async function setMetricsRange(range) {
+    metricsRange = range;
+    document.getElementById('range-hour').classList.toggle('active', range === 'hour');
+    document.getElementById('range-day').classList.toggle('active', range === 'day');
+    try {
+        metricsHistory = await apiFetch(instanceUrl(`/metrics?range=${range}`));
+        renderMetrics();
+    } catch (err) {
+        toast('Failed to load metrics: ' + err.message, 'error');
+    }
+}
+
+window.addEventListener('resize', renderMetrics);
+
+// === Players ===
+const MAX_EVENT_LINES = 100;
+
+socket.on('players', (players) => {
+    const instance = instanceList.find(i => i.id === currentInstance);
+    const max = instance ? instance.max_players : '?';
+    document.getElementById('player-count').textContent = `${players.length} / ${max} online`;
+
+    const list = document.getElementById('player-list');
+    if (players.length === 0) {
+        list.innerHTML = '<div class="empty-state">No players online</div>';
+        return;
+    }
+    list.innerHTML = players.map(p => `
+        <div class="player-item" title="${escapeHtml(p.uuid || p.xuid || '')}">
+            <div class="avatar">${escapeHtml(p.name[0].toUpperCase())}</div>
+            <span>${escapeHtml(p.name)}</span>
+            <span class="player-since">since ${formatTime(p.joinedAt)}</span>
+        </div>
+    `).join('');
+});
+
+function describeEvent(e) {
+    switch (e.type) {
+        case 'join': return `${e.player} joined`;
+        case 'leave': return `${e.player} left`;
+        case 'chat': return `<${e.player}> ${e.message}`;
+        case 'death': return e.message;
+        case 'advancement': return `${e.player} earned [${e.advancement}]`;
+        case 'lag': return `Server lagging: ${e.ms}ms (${e.ticks} ticks) behind`;
+        case 'warning': return e.message;
+        default: return null;
+    }
+}
+
+socket.on('game-event', (e) => {
+    const text = describeEvent(e);
+    if (!text) return;
+    const feed = document.getElementById('event-feed');
+    const item = document.createElement('div');
+    item.className = `event-item event-${e.type}`;
+    item.textContent = `${formatTime(e.time)} ${text}`;
+    feed.appendChild(item);
+    while (feed.childElementCount > MAX_EVENT_LINES) feed.removeChild(feed.firstChild);
+    feed.scrollTop = feed.scrollHeight;
+});
+
+// === Instances ===
+async function loadInstances() {
+    try {
+        instanceList = await apiFetch('/api/instances');
+        if (!instanceList.find(i => i.id === currentInstance)) {
+            currentInstance = instanceList.length ? instanceList[0].id : null;
+        }
+        renderInstances();
+        if (currentInstance) selectInstance(currentInstance);
+    } catch (err) {
+        toast('Failed to load instances: ' + err.message, 'error');
+    }
+}
+
+function renderInstances() {
+    const list = document.getElementById('instance-list');
+    list.innerHTML = instanceList.map(i => `
+        <div class="nav-item instance-item instance-${escapeHtml(i.status)} ${i.id === currentInstance ? 'active' : ''}"
+            onclick="selectInstance('${escapeHtml(i.id)}')" title="${escapeHtml(i.type)} · port ${escapeHtml(String(i.port))}">
+            <div class="status-dot"></div>
+            <span>${escapeHtml(i.name)}</span>
+        </div>
+    `).join('');
+}
+
+function selectInstance(id) {
+    const instance = instanceList.find(i => i.id === id);
+    if (!instance) return;
+
+    currentInstance = id;
+    localStorage.setItem('devz-instance', id);
+    socket.emit('subscribe', id);
+    renderInstances();
+
+    document.getElementById('instance-name').textContent = instance.name;
+    document.getElementById('stat-type').textContent = instance.type.charAt(0).toUpperCase() + instance.type.slice(1);
+    document.getElementById('stat-version').textContent = instance.version;
+    document.getElementById('stat-memory').textContent = instance.memory;
+    document.getElementById('stat-players').textContent = `0 / ${instance.max_players}`;
+    document.getElementById('stat-cpu').textContent = '--';
+    document.getElementById('stat-tps').textContent = '--';
+    if (metricsRange !== 'hour') setMetricsRange('hour');
+
+    clearConsole();
+    document.getElementById('event-feed').innerHTML = '';
+    logCursor = null;
+    logHasMore = true;
+    currentPath = '';
+    loadFiles('');
+    loadActions();
+    if (document.getElementById('tab-backups').classList.contains('active')) loadBackups();
+    if (document.getElementById('tab-software').classList.contains('active')) loadSoftware();
+    if (document.getElementById('tab-settings').classList.contains('active')) loadProperties();
+    if (document.getElementById('tab-crashes').classList.contains('active')) loadCrashes();
+    if (document.getElementById('tab-schedules').classList.contains('active')) loadSchedules();
+    if (document.getElementById('tab-access').classList.contains('active')) loadAccess();
+    if (document.getElementById('tab-plugins').classList.contains('active')) loadPlugins();
+    if (document.getElementById('tab-worlds').classList.contains('active')) loadWorlds();
+}
+
+socket.on('instance-status', ({ id, status }) => {
+    const instance = instanceList.find(i => i.id === id);
+    if (!instance) return;
+    instance.status = status;
+    renderInstances();
+});
+
+function showInstanceModal() {
+    ['instance-id', 'instance-display-name', 'instance-port', 'instance-memory'].forEach(f => {
+        document.getElementById(f).value = '';
+    });
+    document.getElementById('instance-type').value = 'java';
+    showModal('instance-modal');
+    setTimeout(() => document.getElementById('instance-id').focus(), 150);
+}
+
+async function createInstance() {
+    const body = {
+        id: document.getElementById('instance-id').value.trim(),
+        name: document.getElementById('instance-display-name').value.trim(),
+        type: document.getElementById('instance-type').value,
+        port: document.getElementById('instance-port').value.trim(),
+        memory: document.getElementById('instance-memory').value.trim()
+    };
+    try {
+        const data = await apiFetch('/api/instances', { method: 'POST', body: JSON.stringify(body) });
+        closeModal('instance-modal');
+        toast(`Instance "${data.instance.name}" created`, 'success');
+        currentInstance = data.instance.id;
+        loadInstances();
+    } catch (err) {
+        toast('Create failed: ' + err.message, 'error');
+    }
+}
+
+async function deleteInstance() {
+    const instance = instanceList.find(i => i.id === currentInstance);
+    if (!instance) return;
+    if (!confirm(`Delete instance "${instance.name}"?`)) return;
+    const deleteFiles = confirm('Also delete its server files and backups? This cannot be undone.');
+    try {
+        await apiFetch(instanceUrl('/delete'), { method: 'POST', body: JSON.stringify({ deleteFiles }) });
+        toast('Instance deleted', 'success');
+        currentInstance = null;
+        loadInstances();
+    } catch (err) {
+        toast('Delete failed: ' + err.message, 'error');
+    }
+}
+
 // === Files ===
 async function loadFiles(filePath) {
     if (filePath !== undefined) currentPath = filePath;
@@ -167,7 +547,7 @@ async function loadFiles(filePath) {
     list.innerHTML = '<div class="empty-state"><div class="loading-spinner"></div></div>';
 
     try {
-        const files = await apiFetch(`/api/files?path=${encodeURIComponent(currentPath)}`);
+        const files = await apiFetch(instanceUrl(`/files?path=${encodeURIComponent(currentPath)}`));
 
         if (files.length === 0) {
             list.innerHTML = '<div class="empty-state"><svg><use href="#icon-folder"/></svg><div>Folder is empty</div></div>';
@@ -222,7 +602,7 @@ function updateBreadcrumb() {
 // === File Editor ===
 async function openEditor(filePath) {
     try {
-        const data = await apiFetch(`/api/files/content?path=${encodeURIComponent(filePath)}`);
+        const data = await apiFetch(instanceUrl(`/files/content?path=${encodeURIComponent(filePath)}`));
         selectedItem = filePath;
         document.getElementById('editor-title').textContent = filePath.split('/').pop();
         document.getElementById('editor-content').value = data.content;
@@ -235,7 +615,7 @@ async function openEditor(filePath) {
 async function saveFile() {
     const content = document.getElementById('editor-content').value;
     try {
-        await apiFetch('/api/files/save', {
+        await apiFetch(instanceUrl('/files/save'), {
             method: 'POST',
             body: JSON.stringify({ path: selectedItem, content })
         });
@@ -275,19 +655,19 @@ async function handlePromptSubmit() {
 
     try {
         if (currentPromptAction === 'createFile') {
-            await apiFetch('/api/files/save', {
+            await apiFetch(instanceUrl('/files/save'), {
                 method: 'POST',
                 body: JSON.stringify({ path: (currentPath ? currentPath + '/' : '') + name, content: '' })
             });
             toast('File created', 'success');
         } else if (currentPromptAction === 'createFolder') {
-            await apiFetch('/api/files/folder', {
+            await apiFetch(instanceUrl('/files/folder'), {
                 method: 'POST',
                 body: JSON.stringify({ path: currentPath, name })
             });
             toast('Folder created', 'success');
         } else if (currentPromptAction === 'rename') {
-            await apiFetch('/api/files/rename', {
+            await apiFetch(instanceUrl('/files/rename'), {
                 method: 'POST',
                 body: JSON.stringify({ oldPath: selectedItem, newName: name })
             });
@@ -304,7 +684,7 @@ async function deleteItem(filePath) {
     const fileName = filePath.split('/').pop();
     if (!confirm(`Delete "${fileName}" permanently?`)) return;
     try {
-        await apiFetch('/api/files/delete', {
+        await apiFetch(instanceUrl('/files/delete'), {
             method: 'POST',
             body: JSON.stringify({ path: filePath })
         });
@@ -324,7 +704,7 @@ async function uploadFile() {
     formData.append('file', input.files[0]);
 
     try {
-        const res = await fetch('/api/files/upload', { method: 'POST', body: formData });
+        const res = await fetch(instanceUrl('/files/upload'), { method: 'POST', body: formData });
         const data = await res.json();
         if (!res.ok) throw new Error(data.error || 'Upload failed');
         toast(`Uploaded: ${data.name || input.files[0].name}`, 'success');
@@ -336,26 +716,70 @@ async function uploadFile() {
 }
 
 // === Backups ===
+let backupItems = [];
+let editingBackup = null;
+
+const BACKUP_TRIGGERS = {
+    manual: 'Manual',
+    scheduled: 'Scheduled',
+    'pre-restore': 'Before restore',
+    'pre-update': 'Before update',
+    'pre-reset': 'Before world reset'
+};
+
+function describeBackup(b) {
+    const parts = [];
+    if (b.label) parts.push(escapeHtml(b.name));
+    parts.push(b.trigger ? BACKUP_TRIGGERS[b.trigger] || escapeHtml(b.trigger) : 'Unknown source');
+    const tags = b.retained.length
+        ? b.retained.map(r => `<span class="backup-tag${r === 'pinned' ? ' pinned' : ''}">${r === 'last' ? 'recent' : r}</span>`).join('')
+        : '<span class="backup-tag expiring" title="No retention rule keeps this backup">removed at next backup</span>';
+    return parts.join(' · ') + tags;
+}
+
 async function loadBackups() {
     const list = document.getElementById('backup-list');
     try {
-        const backups = await apiFetch('/api/backups');
+        const [backups, progress] = await Promise.all([apiFetch(instanceUrl('/backups')), apiFetch(instanceUrl('/backups/progress'))]);
+        if (progress) {
+            showBackupProgress(progress);
+        } else {
+            document.getElementById('backup-progress').classList.remove('visible');
+            document.getElementById('btn-backup').disabled = false;
+        }
 
+        backupItems = backups;
         if (backups.length === 0) {
             list.innerHTML = '<div class="empty-state"><svg><use href="#icon-backup"/></svg><div>No backups available</div></div>';
             return;
         }
 
-        list.innerHTML = backups.map(b => `
+        list.innerHTML = backups.map((b, i) => `
             <div class="backup-item">
                 <div class="backup-name">
                     <svg class="file-icon" style="color:var(--primary-light)"><use href="#icon-backup"/></svg>
-                    <span>${escapeHtml(b.name)}</span>
+                    <div class="backup-title">
+                        <span>${escapeHtml(b.label || b.name)}</span>
+                        <small>${describeBackup(b)}</small>
+                        ${b.note ? `<small class="backup-note">${escapeHtml(b.note)}</small>` : ''}
+                    </div>
                 </div>
-                <span class="backup-meta">${formatSize(b.size)}</span>
+                <span class="backup-meta">
+                    ${formatSize(b.size)}
+                    <small>${b.type === 'snapshot' ? `${b.files} files, +${formatSize(b.added)} stored` : 'zip archive'}</small>
+                </span>
                 <span class="backup-meta">${formatDate(b.date)}</span>
-                <div style="text-align:right">
-                    <a href="/api/backups/download/${encodeURIComponent(b.name)}" class="btn btn-sm btn-outline" download>
+                <div class="schedule-actions">
+                    <button class="btn btn-sm btn-outline${b.pinned ? ' pin-active' : ''}" onclick="toggleBackupPin(${i})" title="${b.pinned ? 'Unpin' : 'Pin: never remove this backup'}">
+                        <svg style="width:14px;height:14px"><use href="#icon-pin"/></svg>
+                    </button>
+                    <button class="btn btn-sm btn-outline" onclick="editBackup(${i})" title="Edit label and note">
+                        <svg style="width:14px;height:14px"><use href="#icon-edit"/></svg>
+                    </button>
+                    <button class="btn btn-sm btn-outline" onclick="restoreBackup('${escapeHtml(b.name)}')">
+                        <svg style="width:14px;height:14px"><use href="#icon-refresh"/></svg> Restore
+                    </button>
+                    <a href="${instanceUrl(`/backups/download/${encodeURIComponent(b.name)}`)}" class="btn btn-sm btn-outline" download>
                         <svg style="width:14px;height:14px"><use href="#icon-download"/></svg> Download
                     </a>
                 </div>
@@ -373,7 +797,7 @@ async function createBackup() {
     btn.innerHTML = '<div class="loading-spinner"></div> Creating...';
 
     try {
-        await apiFetch('/api/backups', { method: 'POST' });
+        await apiFetch(instanceUrl('/backups'), { method: 'POST' });
         toast('Backup created successfully', 'success');
         loadBackups();
     } catch (err) {
@@ -384,6 +808,922 @@ async function createBackup() {
     btn.innerHTML = oldHTML;
 }
 
+async function restoreBackup(name) {
+    if (!confirm(`Restore ${name}?\n\nThe server is stopped, a pre-restore backup is taken, and every file except server.jar and other excluded files is replaced. A running server is started again afterwards.`)) return;
+    try {
+        const result = await apiFetch(instanceUrl('/backups/restore'), { method: 'POST', body: JSON.stringify({ name }) });
+        toast(`Restored ${result.restored}`, 'success');
+    } catch (err) {
+        toast('Restore failed: ' + err.message, 'error');
+    }
+    loadBackups();
+}
+
+async function updateBackup(name, changes) {
+    return apiFetch(instanceUrl('/backups/update'), { method: 'POST', body: JSON.stringify({ name, ...changes }) });
+}
+
+async function toggleBackupPin(index) {
+    const b = backupItems[index];
+    try {
+        await updateBackup(b.name, { pinned: !b.pinned });
+        toast(`${b.label || b.name} ${b.pinned ? 'unpinned' : 'pinned'}`, 'success');
+    } catch (err) {
+        toast('Failed: ' + err.message, 'error');
+    }
+    loadBackups();
+}
+
+function editBackup(index) {
+    editingBackup = backupItems[index];
+    document.getElementById('backup-edit-name').textContent = editingBackup.name;
+    document.getElementById('backup-edit-label').value = editingBackup.label || '';
+    document.getElementById('backup-edit-note').value = editingBackup.note || '';
+    showModal('backup-edit-modal');
+}
+
+async function saveBackupDetails() {
+    if (!editingBackup) return;
+    try {
+        await updateBackup(editingBackup.name, {
+            label: document.getElementById('backup-edit-label').value,
+            note: document.getElementById('backup-edit-note').value
+        });
+        closeModal('backup-edit-modal');
+        toast('Backup updated', 'success');
+        loadBackups();
+    } catch (err) {
+        toast('Failed: ' + err.message, 'error');
+    }
+}
+
+let backupProgressTimer = null;
+
+function showBackupProgress(p) {
+    const box = document.getElementById('backup-progress');
+    const finished = p.stage === 'done' || p.stage === 'failed';
+    const label = p.operation === 'restore' ? `Restoring ${p.name}` : `Backing up to ${p.name}`;
+    let text = finished ? p.message : `${label}: ${p.message}`;
+    if (!finished && p.bytes) text += ` · ${formatSize(p.bytes.done)} / ${formatSize(p.bytes.total)}`;
+
+    clearTimeout(backupProgressTimer);
+    box.classList.add('visible');
+    box.classList.toggle('failed', p.stage === 'failed');
+    document.getElementById('backup-progress-text').textContent = text;
+    document.getElementById('backup-progress-bar').style.width = `${finished ? 100 : (p.percent || 0)}%`;
+    document.getElementById('btn-backup').disabled = !finished;
+    if (finished) {
+        backupProgressTimer = setTimeout(() => box.classList.remove('visible'), p.stage === 'failed' ? 15000 : 5000);
+        if (document.getElementById('tab-backups').classList.contains('active')) loadBackups();
+    }
+}
+
+socket.on('backup-progress', showBackupProgress);
+
+// === Software / Versions ===
+function describeJar(jar) {
+    if (!jar) return '<strong>None</strong>';
+    const build = jar.build ? ` · build ${escapeHtml(String(jar.build))}` : '';
+    const when = jar.installedAt ? `Installed ${formatDate(jar.installedAt)}` : '';
+    return `<strong>${escapeHtml(jar.software)} ${escapeHtml(jar.version)}</strong>${build} ${when}`;
+}
+
+async function loadSoftware() {
+    const instance = instanceList.find(i => i.id === currentInstance);
+    const installed = document.getElementById('version-installed');
+    if (instance && instance.type !== 'java') {
+        installed.innerHTML = '<div>Version management is only available for Java servers.</div>';
+        document.getElementById('java-status').innerHTML = '';
+        return;
+    }
+    if (instance && instance.software) document.getElementById('version-software').value = instance.software;
+    try {
+        const state = await apiFetch(instanceUrl('/versions/installed'));
+        installed.innerHTML = `
+            <div><div class="stat-label">Current</div>${describeJar(state.current)}</div>
+            <div><div class="stat-label">Previous</div>${describeJar(state.previous)}</div>`;
+        document.getElementById('btn-rollback').disabled = !state.previous;
+    } catch (err) {
+        installed.innerHTML = `<div style="color:var(--danger)">${escapeHtml(err.message)}</div>`;
+    }
+    loadVersions();
+    loadJava();
+    loadLaunch();
+}
+
+async function loadJava(refresh = false) {
+    const status = document.getElementById('java-status');
+    const select = document.getElementById('java-select');
+    try {
+        const [runtimes, java] = await Promise.all([
+            apiFetch('/api/java' + (refresh ? '?refresh=1' : '')),
+            apiFetch(instanceUrl('/java'))
+        ]);
+        const selected = java.selected
+            ? `Java ${escapeHtml(java.selected.version)}<br><small>${escapeHtml(java.selected.path)}</small>`
+            : `<span style="color:var(--danger)">${escapeHtml(java.error)}</span>`;
+        status.innerHTML = `
+            <div><div class="stat-label">Required</div>${escapeHtml(java.requiredLabel)}</div>
+            <div><div class="stat-label">Selected</div>${selected}</div>`;
+
+        const options = [{ value: '', label: 'Automatic' }];
+        for (const r of runtimes) {
+            options.push({ value: r.path, label: `Java ${r.version} (${r.path})` });
+        }
+        if (java.preference && !options.some(o => o.value === java.preference)) {
+            options.push({ value: java.preference, label: java.preference });
+        }
+        select.innerHTML = options
+            .map(o => `<option value="${escapeHtml(o.value)}">${escapeHtml(o.label)}</option>`)
+            .join('');
+        select.value = java.preference || '';
+    } catch (err) {
+        status.innerHTML = `<div style="color:var(--danger)">${escapeHtml(err.message)}</div>`;
+    }
+}
+
+async function saveJava() {
+    const java = document.getElementById('java-select').value;
+    try {
+        await apiFetch(instanceUrl('/java'), { method: 'POST', body: JSON.stringify({ java }) });
+        toast('Java runtime saved', 'success');
+        loadJava();
+    } catch (err) {
+        toast('Failed to save Java runtime: ' + err.message, 'error');
+    }
+}
+
+async function loadVersions() {
+    const software = document.getElementById('version-software').value;
+    const showUnstable = document.getElementById('version-unstable').checked;
+    const select = document.getElementById('version-select');
+    select.innerHTML = '<option>Loading...</option>';
+    try {
+        const list = await apiFetch(instanceUrl(`/versions?software=${software}`));
+        select.innerHTML = list
+            .filter(v => showUnstable || v.stable)
+            .map(v => `<option value="${escapeHtml(v.id)}">${escapeHtml(v.id)}</option>`)
+            .join('');
+    } catch (err) {
+        select.innerHTML = '';
+        toast('Failed to load versions: ' + err.message, 'error');
+    }
+}
+
+async function installVersion() {
+    const software = document.getElementById('version-software').value;
+    const version = document.getElementById('version-select').value;
+    if (!version || !confirm(`Install ${software} ${version}? The current jar is kept for rollback.`)) return;
+
+    const btn = document.getElementById('btn-install-version');
+    btn.disabled = true;
+    try {
+        await apiFetch(instanceUrl('/versions/install'), { method: 'POST', body: JSON.stringify({ software, version }) });
+        toast(`Installed ${software} ${version}`, 'success');
+        loadInstances();
+        loadSoftware();
+    } catch (err) {
+        toast('Install failed: ' + err.message, 'error');
+    }
+    btn.disabled = false;
+}
+
+async function rollbackVersion() {
+    if (!confirm('Swap back to the previously installed jar?')) return;
+    try {
+        await apiFetch(instanceUrl('/versions/rollback'), { method: 'POST' });
+        toast('Rolled back', 'success');
+        loadInstances();
+        loadSoftware();
+    } catch (err) {
+        toast('Rollback failed: ' + err.message, 'error');
+    }
+}
+
+function splitLines(text) {
+    return text.split('\n').map(l => l.trim()).filter(Boolean);
+}
+
+function renderLaunchPreview(preview, error) {
+    const issues = document.getElementById('launch-issues');
+    document.getElementById('launch-preview').textContent = preview ? preview.commandLine : '';
+    const errors = error ? [error] : preview.errors;
+    const warnings = preview ? preview.warnings : [];
+    issues.innerHTML = [
+        ...errors.map(e => `<div class="launch-issue" style="color:var(--danger)">${escapeHtml(e)}</div>`),
+        ...warnings.map(w => `<div class="launch-issue" style="color:var(--warning)">${escapeHtml(w)}</div>`)
+    ].join('');
+}
+
+function toggleCustomFlags() {
+    const custom = document.getElementById('launch-profile').value === 'custom';
+    document.getElementById('launch-flags-group').style.display = custom ? '' : 'none';
+}
+
+async function loadLaunch() {
+    try {
+        const data = await apiFetch(instanceUrl('/launch'));
+        const profile = document.getElementById('launch-profile');
+        profile.innerHTML = data.profiles.map(p => `<option value="${escapeHtml(p)}">${escapeHtml(p)}</option>`).join('');
+        profile.value = data.jvm.profile || 'aikar';
+        document.getElementById('launch-flags').value = (data.jvm.flags || []).join('\n');
+        document.getElementById('launch-args').value = (data.jvm.args || []).join('\n');
+        document.getElementById('launch-server-args').value = data.server_args.join('\n');
+        document.getElementById('launch-env').value = Object.entries(data.env).map(([k, v]) => `${k}=${v}`).join('\n');
+        toggleCustomFlags();
+        renderLaunchPreview(data.preview, data.error);
+    } catch (err) {
+        renderLaunchPreview(null, err.message);
+    }
+}
+
+async function saveLaunch() {
+    const env = {};
+    for (const line of splitLines(document.getElementById('launch-env').value)) {
+        const eq = line.indexOf('=');
+        if (eq < 1) return toast(`Invalid environment line: ${line}`, 'error');
+        env[line.slice(0, eq).trim()] = line.slice(eq + 1);
+    }
+    const body = {
+        jvm: {
+            profile: document.getElementById('launch-profile').value,
+            flags: splitLines(document.getElementById('launch-flags').value),
+            args: splitLines(document.getElementById('launch-args').value)
+        },
+        server_args: splitLines(document.getElementById('launch-server-args').value),
+        env
+    };
+    try {
+        const data = await apiFetch(instanceUrl('/launch'), { method: 'POST', body: JSON.stringify(body) });
+        toast('Launch settings saved', 'success');
+        renderLaunchPreview(data.preview, null);
+    } catch (err) {
+        toast('Failed to save launch settings: ' + err.message, 'error');
+    }
+}
+
+// === Server Settings ===
+let propertyFields = [];
+
+function renderPropertyInput(field) {
+    const id = `prop-${field.key}`;
+    const value = field.value === null ? '' : field.value;
+    if (field.type === 'boolean') {
+        return `<select id="${id}">
+            <option value=""${value === '' ? ' selected' : ''}>(default)</option>
+            <option value="true"${value === 'true' ? ' selected' : ''}>true</option>
+            <option value="false"${value === 'false' ? ' selected' : ''}>false</option>
+        </select>`;
+    }
+    if (field.type === 'enum') {
+        const options = [value === '' ? '<option value="" selected>(default)</option>' : '']
+            .concat(field.values.map(v => `<option value="${escapeHtml(v)}"${v === value ? ' selected' : ''}>${escapeHtml(v)}</option>`));
+        return `<select id="${id}">${options.join('')}</select>`;
+    }
+    if (field.type === 'integer') {
+        return `<input type="number" id="${id}" value="${escapeHtml(value)}" min="${field.min}" max="${field.max}">`;
+    }
+    return `<input type="${field.secret ? 'password' : 'text'}" id="${id}" value="${escapeHtml(value)}">`;
+}
+
+function renderPropertiesNotice(restartRequired) {
+    const notice = document.getElementById('properties-notice');
+    notice.innerHTML = restartRequired.length
+        ? `Restart required to apply: ${restartRequired.map(escapeHtml).join(', ')}`
+        : '';
+    notice.style.display = restartRequired.length ? '' : 'none';
+}
+
+async function loadProperties() {
+    const form = document.getElementById('properties-form');
+    try {
+        const data = await apiFetch(instanceUrl('/properties'));
+        propertyFields = data.fields;
+        renderPropertiesNotice(data.restartRequired);
+        const intro = data.exists
+            ? ''
+            : '<div class="card">server.properties does not exist yet. It is created on first start, keeping anything saved here.</div>';
+
+        const groups = {};
+        for (const field of propertyFields) (groups[field.group] = groups[field.group] || []).push(field);
+        form.innerHTML = intro + Object.entries(groups).map(([group, fields]) => `
+            <div class="card">
+                <div class="card-header"><div class="card-title">${escapeHtml(group)}</div></div>
+                <div class="properties-grid">
+                    ${fields.map(f => `
+                        <div class="form-group">
+                            <label class="form-label" for="prop-${escapeHtml(f.key)}">${escapeHtml(f.key)}${f.live ? '' : ' <span class="restart-badge" title="Needs a restart while running">↻</span>'}</label>
+                            ${renderPropertyInput(f)}
+                        </div>`).join('')}
+                </div>
+            </div>`).join('');
+    } catch (err) {
+        form.innerHTML = `<div style="color:var(--danger)">${escapeHtml(err.message)}</div>`;
+    }
+}
+
+async function saveProperties() {
+    const changes = {};
+    for (const field of propertyFields) {
+        const input = document.getElementById(`prop-${field.key}`);
+        if (!input) continue;
+        const value = input.value;
+        // Untouched unset fields stay out of the file
+        if (field.value === null && value === '') continue;
+        if (value !== field.value) changes[field.key] = value;
+    }
+    if (!Object.keys(changes).length) return toast('No changes', 'info');
+
+    try {
+        const result = await apiFetch(instanceUrl('/properties'), { method: 'POST', body: JSON.stringify({ changes }) });
+        const parts = [`Saved ${result.changed.length} setting(s)`];
+        if (result.applied.length) parts.push(`applied live: ${result.applied.join(', ')}`);
+        toast(parts.join('; '), 'success');
+        await loadProperties();
+        if (result.changed.includes('server-port')) loadInstances();
+    } catch (err) {
+        toast('Failed to save settings: ' + err.message, 'error');
+    }
+}
+
+// === Crashes ===
+function describeExit(crash) {
+    const exit = crash.signal ? `signal ${crash.signal}` : `exit code ${crash.code}`;
+    const attempt = crash.attempt ? ` · attempt ${crash.attempt}/${crash.maxAttempts}` : '';
+    const restart = crash.willRestart ? ' · auto-restarted' : '';
+    return exit + attempt + restart;
+}
+
+function renderCauses(causes) {
+    return causes.map(c => `<span class="crash-cause" title="${escapeHtml(c.hint)}">${escapeHtml(c.title)}</span>`).join('');
+}
+
+async function loadCrashes() {
+    const list = document.getElementById('crash-list');
+    try {
+        const crashes = await apiFetch(instanceUrl('/crashes'));
+        if (crashes.length === 0) {
+            list.innerHTML = '<div class="empty-state"><svg><use href="#icon-alert"/></svg><div>No crashes recorded</div></div>';
+            return;
+        }
+        list.innerHTML = crashes.map(c => `
+            <div class="crash-item" onclick="showCrash('${escapeHtml(c.id)}')">
+                <div class="crash-main">
+                    <div class="crash-summary">${escapeHtml(c.summary || 'No error message captured')}</div>
+                    <div class="crash-causes">${renderCauses(c.causes)}</div>
+                </div>
+                <span class="backup-meta">${escapeHtml(describeExit(c))}</span>
+                <span class="backup-meta">${formatDate(c.time)}</span>
+                <div style="text-align:right">
+                    <button class="btn-icon" onclick="event.stopPropagation(); deleteCrash('${escapeHtml(c.id)}')" title="Delete">
+                        <svg><use href="#icon-trash"/></svg>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    } catch (err) {
+        list.innerHTML = `<div class="empty-state" style="color:var(--danger)">Failed to load crashes</div>`;
+    }
+}
+
+async function showCrash(id) {
+    try {
+        const crash = await apiFetch(instanceUrl(`/crashes/${encodeURIComponent(id)}`));
+        document.getElementById('crash-title').textContent = `${formatDate(crash.time)} — ${describeExit(crash)}`;
+        document.getElementById('crash-causes').innerHTML = crash.causes.length
+            ? crash.causes.map(c => `<div class="crash-hint"><strong>${escapeHtml(c.title)}</strong> ${escapeHtml(c.hint)}</div>`).join('')
+            : '<div class="crash-hint">No known cause matched. Check the console and reports below.</div>';
+        document.getElementById('crash-files').innerHTML = crash.files.map(f => `
+            <label class="form-label">${escapeHtml(f.name)}</label>
+            <pre class="crash-text">${escapeHtml(f.content)}</pre>`).join('');
+        document.getElementById('crash-console').textContent = crash.console.join('\n');
+        showModal('crash-modal');
+    } catch (err) {
+        toast('Failed to load crash: ' + err.message, 'error');
+    }
+}
+
+async function deleteCrash(id) {
+    if (!confirm('Delete this crash record?')) return;
+    try {
+        await apiFetch(instanceUrl(`/crashes/${encodeURIComponent(id)}/delete`), { method: 'POST' });
+        loadCrashes();
+    } catch (err) {
+        toast('Delete failed: ' + err.message, 'error');
+    }
+}
+
+socket.on('crash', (crash) => {
+    const causes = crash.causes.map(c => c.title).join(', ');
+    toast(`Server crashed${causes ? ': ' + causes : ''}`, 'error');
+    if (document.getElementById('tab-crashes').classList.contains('active')) loadCrashes();
+});
+
+// === Access ===
+let accessList = 'whitelist';
+let accessData = null;
+
+const ACCESS_EMPTY = {
+    whitelist: 'Nobody is whitelisted',
+    ops: 'No operators',
+    bans: 'No banned players',
+    'ip-bans': 'No banned IPs'
+};
+
+function selectAccessList(list) {
+    accessList = list;
+    ['whitelist', 'ops', 'bans', 'ip-bans'].forEach(l => {
+        document.getElementById('access-' + l).classList.toggle('active', l === list);
+    });
+    document.getElementById('access-key').value = '';
+    document.getElementById('access-reason').value = '';
+    document.getElementById('access-expires').value = '';
+    document.getElementById('access-level').value = '';
+    renderAccess();
+}
+
+function describeAccessEntry(entry) {
+    switch (accessList) {
+        case 'whitelist':
+            return entry.uuid ? `<code>${escapeHtml(entry.uuid)}</code>` : '';
+        case 'ops':
+            return `Level ${escapeHtml(String(entry.level))}${entry.uuid ? ` · <code>${escapeHtml(entry.uuid)}</code>` : ''}`;
+        default:
+            return `${escapeHtml(entry.reason || '')}${entry.source ? ` · by ${escapeHtml(entry.source)}` : ''}`;
+    }
+}
+
+function renderAccess() {
+    const list = document.getElementById('access-list');
+    const notice = document.getElementById('access-notice');
+    if (!accessData) return;
+    const caps = accessData.capabilities;
+    const available = caps.lists.includes(accessList);
+
+    ['bans', 'ip-bans'].forEach(l => {
+        document.getElementById('access-' + l).style.display = caps.lists.includes(l) ? '' : 'none';
+    });
+    document.getElementById('access-key-label').textContent = accessList === 'ip-bans' ? 'IP Address' : 'Player';
+    document.getElementById('access-key').placeholder = accessList === 'ip-bans' ? '203.0.113.7' : 'Steve';
+    document.getElementById('access-level-group').style.display = accessList === 'ops' ? '' : 'none';
+    document.getElementById('access-level').disabled = !caps.opLevels;
+    const isBan = accessList === 'bans' || accessList === 'ip-bans';
+    document.getElementById('access-reason-group').style.display = isBan ? '' : 'none';
+    document.getElementById('access-expires-group').style.display = isBan ? '' : 'none';
+
+    notice.textContent = caps.live
+        ? 'The server is running: changes are applied with console commands.'
+        : 'The server is stopped: changes are written to the list files.';
+    if (accessList === 'ops' && !caps.opsEditable) notice.textContent += ' Bedrock operators can only be changed while the server is running.';
+    if (accessList === 'ops' && caps.live && !caps.opLevels) notice.textContent += ' New operators get the server\'s default level.';
+
+    const entries = available ? accessData.lists[accessList] : [];
+    if (entries.length === 0) {
+        list.innerHTML = `<div class="empty-state"><svg><use href="#icon-users"/></svg><div>${ACCESS_EMPTY[accessList]}</div></div>`;
+        return;
+    }
+    list.innerHTML = entries.map(e => {
+        const key = accessList === 'ip-bans' ? e.ip : e.name;
+        const when = e.expires ? `Until ${formatDate(e.expires)}` : (isBan ? 'Permanent' : '');
+        return `
+            <div class="access-item">
+                <span class="access-name">${escapeHtml(key || e.xuid || '')}</span>
+                <span class="access-detail">${describeAccessEntry(e)}</span>
+                <span class="backup-meta">${escapeHtml(when)}</span>
+                <div style="text-align:right">
+                    ${key ? `<button class="btn-icon" onclick="removeAccessEntry('${escapeHtml(key)}')" title="Remove">
+                        <svg><use href="#icon-trash"/></svg>
+                    </button>` : ''}
+                </div>
+            </div>`;
+    }).join('');
+}
+
+async function loadAccess() {
+    try {
+        accessData = await apiFetch(instanceUrl('/access'));
+        if (!accessData.capabilities.lists.includes(accessList)) accessList = 'whitelist';
+        selectAccessList(accessList);
+    } catch (err) {
+        document.getElementById('access-list').innerHTML = `<div class="empty-state" style="color:var(--danger)">Failed to load access lists</div>`;
+    }
+}
+
+// Without RCON a live change has no reply, and the server writes its file a moment later
+function reloadAccessAfter(result) {
+    setTimeout(loadAccess, result.live && !result.response ? 1000 : 0);
+}
+
+async function addAccessEntry() {
+    const key = document.getElementById('access-key').value.trim();
+    if (!key) return;
+    const expires = document.getElementById('access-expires').value;
+    const body = accessList === 'ip-bans' ? { ip: key } : { name: key };
+    if (accessList === 'ops') body.level = document.getElementById('access-level').value;
+    if (accessList === 'bans' || accessList === 'ip-bans') {
+        body.reason = document.getElementById('access-reason').value.trim();
+        if (expires) body.expires = new Date(expires).getTime();
+    }
+    try {
+        const result = await apiFetch(instanceUrl(`/access/${accessList}`), { method: 'POST', body: JSON.stringify(body) });
+        toast(result.note || result.response || `${key} added`, result.note ? 'info' : 'success');
+        document.getElementById('access-key').value = '';
+        reloadAccessAfter(result);
+    } catch (err) {
+        toast('Add failed: ' + err.message, 'error');
+    }
+}
+
+async function removeAccessEntry(key) {
+    if (!confirm(`Remove ${key}?`)) return;
+    const body = accessList === 'ip-bans' ? { ip: key } : { name: key };
+    try {
+        const result = await apiFetch(instanceUrl(`/access/${accessList}/remove`), { method: 'POST', body: JSON.stringify(body) });
+        toast(result.response || `${key} removed`, 'success');
+        reloadAccessAfter(result);
+    } catch (err) {
+        toast('Remove failed: ' + err.message, 'error');
+    }
+}
+
+// === Worlds ===
+let worldData = null;
+
+async function loadWorlds() {
+    const list = document.getElementById('world-list');
+    const notice = document.getElementById('world-notice');
+    try {
+        worldData = await apiFetch(instanceUrl('/worlds'));
+        notice.textContent = worldData.activeExists
+            ? `The server loads "${worldData.active}" (level-name in server.properties).`
+            : `The server loads "${worldData.active}", which doesn't exist yet and will be generated on the next start.`;
+
+        if (worldData.worlds.length === 0) {
+            list.innerHTML = '<div class="empty-state"><svg><use href="#icon-globe"/></svg><div>No worlds yet</div></div>';
+            return;
+        }
+        list.innerHTML = worldData.worlds.map((w, i) => {
+            const details = [
+                w.seed !== undefined && w.seed !== null ? `Seed <code>${escapeHtml(w.seed)}</code>` : null,
+                w.version ? escapeHtml(w.version) : null,
+                w.dimensions.length ? `+ ${w.dimensions.map(escapeHtml).join(', ')}` : null
+            ].filter(Boolean).join(' · ');
+            return `
+            <div class="world-item">
+                <div>
+                    <div class="plugin-name">${escapeHtml(w.name)}${w.active ? ' <span class="world-active">Active</span>' : ''}</div>
+                    <div class="schedule-detail">${details}</div>
+                    ${w.error ? `<div class="plugin-warning"><svg><use href="#icon-alert"/></svg>${escapeHtml(w.error)}</div>` : ''}
+                </div>
+                <span class="backup-meta">${formatSize(w.size)}</span>
+                <span class="backup-meta">${w.lastPlayed ? formatDate(w.lastPlayed) : '—'}</span>
+                <div class="schedule-actions">
+                    ${w.active ? '' : `<button class="btn btn-sm btn-outline" onclick="switchWorld(${i})">Make Active</button>`}
+                    <a href="${instanceUrl(`/worlds/${encodeURIComponent(w.name)}/download`)}" class="btn btn-sm btn-outline" download>
+                        <svg style="width:14px;height:14px"><use href="#icon-download"/></svg> Download
+                    </a>
+                </div>
+            </div>`;
+        }).join('');
+    } catch (err) {
+        notice.textContent = '';
+        list.innerHTML = `<div class="empty-state" style="color:var(--danger)">Failed to load worlds</div>`;
+    }
+}
+
+async function importWorld() {
+    const input = document.getElementById('world-upload');
+    if (!input.files[0]) return;
+
+    const formData = new FormData();
+    formData.append('file', input.files[0]);
+
+    toast('Uploading world...', 'info');
+    try {
+        const res = await fetch(instanceUrl('/worlds/import'), {
+            method: 'POST',
+            headers: { 'X-CSRF-Token': csrfToken },
+            body: formData
+        });
+        const data = await res.json();
+        if (!res.ok) throw new Error(data.error || 'Import failed');
+        toast(`World "${data.name}" imported`, 'success');
+        loadWorlds();
+    } catch (err) {
+        toast('Import failed: ' + err.message, 'error');
+    }
+    input.value = '';
+}
+
+async function switchWorld(index) {
+    const world = worldData.worlds[index];
+    try {
+        const result = await apiFetch(instanceUrl('/worlds/switch'), { method: 'POST', body: JSON.stringify({ name: world.name }) });
+        toast(result.note || `"${world.name}" is now the active world`, result.note ? 'info' : 'success');
+        loadWorlds();
+    } catch (err) {
+        toast('Switch failed: ' + err.message, 'error');
+    }
+}
+
+function showWorldReset() {
+    if (!worldData) return;
+    document.getElementById('world-reset-text').textContent =
+        `"${worldData.active}" will be deleted after a full backup and generated again on the next start. The server must be stopped.`;
+    document.getElementById('world-reset-seed').value = '';
+    document.getElementById('world-reset-seed').placeholder = worldData.seed ? `Keep ${worldData.seed}` : 'Keep the current level-seed';
+    showModal('world-reset-modal');
+}
+
+async function resetWorld() {
+    const seed = document.getElementById('world-reset-seed').value.trim();
+    closeModal('world-reset-modal');
+    toast('Backing up and resetting the world...', 'info');
+    try {
+        const result = await apiFetch(instanceUrl('/worlds/reset'), { method: 'POST', body: JSON.stringify(seed ? { seed } : {}) });
+        toast(`World "${result.world}" reset${result.backup ? `, backup ${result.backup}` : ''}`, 'success');
+        loadWorlds();
+    } catch (err) {
+        toast('Reset failed: ' + err.message, 'error');
+    }
+}
+
+// === Plugins ===
+let pluginItems = [];
+
+const LOADER_NAMES = { bukkit: 'Bukkit', paper: 'Paper', fabric: 'Fabric', forge: 'Forge' };
+
+function describeDependencies(item) {
+    if (!item.dependencies || item.dependencies.length === 0) return '—';
+    return item.dependencies
+        .map(d => d.required ? escapeHtml(d.id) : `<span class="plugin-optional">${escapeHtml(d.id)}</span>`)
+        .join(', ');
+}
+
+async function loadPlugins() {
+    const list = document.getElementById('plugin-list');
+    const notice = document.getElementById('plugin-notice');
+    try {
+        const data = await apiFetch(instanceUrl('/plugins'));
+        pluginItems = data.items;
+
+        if (data.loaders && data.loaders.length === 0) {
+            notice.textContent = `Vanilla servers can't load plugins or mods. Switch to Paper or Fabric in the Software tab.`;
+        } else {
+            notice.textContent = `Plugins go in plugins/ and mods in mods/. Disabled jars are renamed to .jar.disabled. Changes apply after a restart.`;
+        }
+
+        if (pluginItems.length === 0) {
+            list.innerHTML = '<div class="empty-state"><svg><use href="#icon-package"/></svg><div>No plugins or mods installed</div></div>';
+            return;
+        }
+        list.innerHTML = pluginItems.map((p, i) => {
+            const problems = p.error ? [p.error] : p.warnings;
+            return `
+            <div class="plugin-item${p.enabled ? '' : ' disabled'}">
+                <div>
+                    <div class="plugin-name">${escapeHtml(p.name || p.file.split('/').pop())}${p.version ? ` <span class="plugin-version">${escapeHtml(p.version)}</span>` : ''}</div>
+                    <div class="schedule-detail">${p.loader ? `${LOADER_NAMES[p.loader] || escapeHtml(p.loader)} ${p.kind} · ` : ''}<code>${escapeHtml(p.file)}</code> · ${formatSize(p.size)}</div>
+                    ${p.description ? `<div class="schedule-detail">${escapeHtml(p.description)}</div>` : ''}
+                    ${problems.map(w => `<div class="plugin-warning"><svg><use href="#icon-alert"/></svg>${escapeHtml(w)}</div>`).join('')}
+                </div>
+                <span class="backup-meta">${escapeHtml((p.authors || []).join(', ')) || '—'}</span>
+                <span class="backup-meta">${describeDependencies(p)}</span>
+                <div class="schedule-actions">
+                    <button class="btn btn-sm btn-outline" onclick="togglePlugin(${i})">${p.enabled ? 'Disable' : 'Enable'}</button>
+                    <button class="btn-icon" onclick="deletePlugin(${i})" title="Delete">
+                        <svg><use href="#icon-trash"/></svg>
+                    </button>
+                </div>
+            </div>`;
+        }).join('');
+    } catch (err) {
+        notice.textContent = '';
+        list.innerHTML = `<div class="empty-state" style="color:var(--danger)">${escapeHtml(err.message)}</div>`;
+    }
+}
+
+async function uploadPlugin(replace = false) {
+    const input = document.getElementById('plugin-upload');
+    if (!input.files[0]) return;
+
+    const formData = new FormData();
+    formData.append('file', input.files[0]);
+    if (replace) formData.append('replace', 'true');
+
+    try {
+        const res = await fetch(instanceUrl('/plugins/upload'), {
+            method: 'POST',
+            headers: { 'X-CSRF-Token': csrfToken },
+            body: formData
+        });
+        const data = await res.json();
+        if (res.status === 409 && confirm(`${data.error}. Replace it?`)) return uploadPlugin(true);
+        if (!res.ok) throw new Error(data.error || 'Install failed');
+        toast(`Installed ${data.plugin.name}${data.note ? '. ' + data.note : ''}`, 'success');
+        loadPlugins();
+    } catch (err) {
+        toast('Install failed: ' + err.message, 'error');
+    }
+    input.value = '';
+}
+
+async function togglePlugin(index) {
+    const item = pluginItems[index];
+    try {
+        const result = await apiFetch(instanceUrl('/plugins/toggle'), {
+            method: 'POST',
+            body: JSON.stringify({ file: item.file, enabled: !item.enabled })
+        });
+        toast(result.note || `${item.name || item.file} ${item.enabled ? 'disabled' : 'enabled'}`, result.note ? 'info' : 'success');
+        loadPlugins();
+    } catch (err) {
+        toast('Failed: ' + err.message, 'error');
+    }
+}
+
+async function deletePlugin(index) {
+    const item = pluginItems[index];
+    if (!confirm(`Delete ${item.file}?`)) return;
+    try {
+        const result = await apiFetch(instanceUrl('/plugins/delete'), { method: 'POST', body: JSON.stringify({ file: item.file }) });
+        toast(result.note || `${item.file} deleted`, result.note ? 'info' : 'success');
+        loadPlugins();
+    } catch (err) {
+        toast('Delete failed: ' + err.message, 'error');
+    }
+}
+
+// === Schedules ===
+let scheduleList = [];
+let editingSchedule = null;
+
+function describeStep(step) {
+    switch (step.type) {
+        case 'command': return `/${step.command}`;
+        case 'broadcast': return `broadcast "${step.message}"`;
+        case 'restart': return step.delay ? `restart in ${step.delay}s` : 'restart';
+        case 'wait': return `wait ${step.seconds}s`;
+        default: return step.type;
+    }
+}
+
+function describeAction(action) {
+    if (action.type === 'chain') return action.steps.map(describeStep).join(' → ');
+    return describeStep(action);
+}
+
+function renderLastRun(task) {
+    if (task.running) return '<span class="schedule-result">Running…</span>';
+    if (!task.lastRun) return '<span class="backup-meta">Never</span>';
+    const run = task.lastRun;
+    return `<div class="schedule-result ${run.ok ? 'ok' : 'failed'}" title="${escapeHtml(run.message || '')}">${run.ok ? '✓' : '✗'} ${escapeHtml(run.message || '')}</div>
+        <div class="schedule-detail">${formatDate(run.time)}${run.trigger === 'manual' ? ' · run now' : ''}</div>`;
+}
+
+async function loadSchedules() {
+    const list = document.getElementById('schedule-list');
+    try {
+        scheduleList = await apiFetch(`/api/schedules?instance=${encodeURIComponent(currentInstance)}`);
+        if (scheduleList.length === 0) {
+            list.innerHTML = '<div class="empty-state"><svg><use href="#icon-clock"/></svg><div>No scheduled tasks</div></div>';
+            return;
+        }
+        list.innerHTML = scheduleList.map(t => `
+            <div class="schedule-item${t.enabled ? '' : ' disabled'}">
+                <div>
+                    <div class="schedule-name">${escapeHtml(t.name)}</div>
+                    <div class="schedule-detail"><code>${escapeHtml(t.cron)}</code> · ${escapeHtml(describeAction(t.action))}</div>
+                </div>
+                <span class="backup-meta">${t.enabled ? (t.nextRun ? formatDate(t.nextRun) : 'Never') : 'Disabled'}</span>
+                <div>${renderLastRun(t)}</div>
+                <div class="schedule-actions">
+                    <button class="btn btn-sm btn-outline" onclick="runSchedule('${t.id}')" ${t.running ? 'disabled' : ''}>Run</button>
+                    <button class="btn btn-sm btn-outline" onclick="toggleSchedule('${t.id}')">${t.enabled ? 'Disable' : 'Enable'}</button>
+                    <button class="btn-icon" onclick="showScheduleModal('${t.id}')" title="Edit">
+                        <svg><use href="#icon-edit"/></svg>
+                    </button>
+                    <button class="btn-icon" onclick="deleteSchedule('${t.id}')" title="Delete">
+                        <svg><use href="#icon-trash"/></svg>
+                    </button>
+                </div>
+            </div>
+        `).join('');
+    } catch (err) {
+        list.innerHTML = `<div class="empty-state" style="color:var(--danger)">Failed to load scheduled tasks</div>`;
+    }
+}
+
+// Chain steps are edited as text, one "<type> <argument>" per line
+function stepToLine(step) {
+    switch (step.type) {
+        case 'command': return `command ${step.command}`;
+        case 'broadcast': return `broadcast ${step.message}`;
+        case 'restart': return step.delay ? `restart ${step.delay}` : 'restart';
+        case 'wait': return `wait ${step.seconds}`;
+        default: return step.type;
+    }
+}
+
+function lineToStep(line) {
+    const [type, ...rest] = line.split(' ');
+    const arg = rest.join(' ').trim();
+    switch (type) {
+        case 'command': return { type, command: arg };
+        case 'broadcast': return { type, message: arg };
+        case 'restart': return { type, delay: arg || 0 };
+        case 'wait': return { type, seconds: arg };
+        default: return { type };
+    }
+}
+
+function updateScheduleForm() {
+    const type = document.getElementById('schedule-action').value;
+    const labels = { command: 'Command', broadcast: 'Message', restart: 'Warning (e.g. 5m)' };
+    document.getElementById('schedule-arg-group').style.display = labels[type] ? '' : 'none';
+    document.getElementById('schedule-arg-label').textContent = labels[type] || '';
+    document.getElementById('schedule-steps-group').style.display = type === 'chain' ? '' : 'none';
+}
+
+function showScheduleModal(id = null) {
+    const task = id ? scheduleList.find(t => t.id === id) : null;
+    editingSchedule = task ? task.id : null;
+    const action = task ? task.action : { type: 'command' };
+
+    document.getElementById('schedule-modal-title').textContent = task ? 'Edit Task' : 'New Task';
+    document.getElementById('schedule-name').value = task ? task.name : '';
+    document.getElementById('schedule-cron').value = task ? task.cron : '';
+    document.getElementById('schedule-action').value = action.type;
+    document.getElementById('schedule-arg').value = action.type === 'restart'
+        ? (action.delay ? `${action.delay}s` : '')
+        : (action.command || action.message || '');
+    document.getElementById('schedule-steps').value = action.type === 'chain' ? action.steps.map(stepToLine).join('\n') : '';
+    document.getElementById('schedule-enabled').checked = task ? task.enabled : true;
+    updateScheduleForm();
+    showModal('schedule-modal');
+    setTimeout(() => document.getElementById('schedule-name').focus(), 150);
+}
+
+async function saveSchedule() {
+    const type = document.getElementById('schedule-action').value;
+    const arg = document.getElementById('schedule-arg').value.trim();
+    const action = type === 'chain'
+        ? { type, steps: splitLines(document.getElementById('schedule-steps').value).map(lineToStep) }
+        : lineToStep(`${type} ${arg}`);
+    const body = {
+        name: document.getElementById('schedule-name').value.trim(),
+        cron: document.getElementById('schedule-cron').value.trim(),
+        instance: currentInstance,
+        enabled: document.getElementById('schedule-enabled').checked,
+        action
+    };
+    try {
+        const url = editingSchedule ? `/api/schedules/${encodeURIComponent(editingSchedule)}` : '/api/schedules';
+        await apiFetch(url, { method: 'POST', body: JSON.stringify(body) });
+        closeModal('schedule-modal');
+        toast('Task saved', 'success');
+        loadSchedules();
+    } catch (err) {
+        toast('Save failed: ' + err.message, 'error');
+    }
+}
+
+async function toggleSchedule(id) {
+    const task = scheduleList.find(t => t.id === id);
+    if (!task) return;
+    try {
+        await apiFetch(`/api/schedules/${encodeURIComponent(id)}`, { method: 'POST', body: JSON.stringify({ enabled: !task.enabled }) });
+        loadSchedules();
+    } catch (err) {
+        toast('Update failed: ' + err.message, 'error');
+    }
+}
+
+async function runSchedule(id) {
+    try {
+        await apiFetch(`/api/schedules/${encodeURIComponent(id)}/run`, { method: 'POST' });
+    } catch (err) {
+        toast('Run failed: ' + err.message, 'error');
+    }
+}
+
+async function deleteSchedule(id) {
+    const task = scheduleList.find(t => t.id === id);
+    if (!task || !confirm(`Delete task "${task.name}"?`)) return;
+    try {
+        await apiFetch(`/api/schedules/${encodeURIComponent(id)}/delete`, { method: 'POST' });
+        loadSchedules();
+    } catch (err) {
+        toast('Delete failed: ' + err.message, 'error');
+    }
+}
+
+socket.on('schedule-run', (task) => {
+    if (task.instance !== currentInstance) return;
+    if (!task.running && task.lastRun && !task.lastRun.ok) toast(`Task "${task.name}" failed: ${task.lastRun.message}`, 'error');
+    if (document.getElementById('tab-schedules').classList.contains('active')) loadSchedules();
+});
+
 // === Modal Helpers ===
 function showModal(id) {
     const modal = document.getElementById(id);
@@ -417,4 +1757,4 @@ document.addEventListener('keydown', (e) => {
 });
 
 // === Init ===
-loadFiles('');
+loadInstances();
@@ -14,9 +14,13 @@ const rateLimit = require('express-rate-limit');
 const multer = require('multer');
 const winston = require('winston');
 
-const MinecraftServer = require('./server/MinecraftServer');
-const BackupManager = require('./backup/BackupManager');
+const InstanceManager = require('./server/InstanceManager');
+const VersionManager = require('./server/VersionManager');
+const JavaRuntime = require('./server/JavaRuntime');
+const JvmProfiles = require('./server/JvmProfiles');
 const FileManager = require('./utils/FileManager');
+const TaskScheduler = require('./scheduler/TaskScheduler');
+const SetupWizard = require('./setup/SetupWizard');
 const cron = require('node-cron');
 
 // === Winston Logger ===
@@ -69,6 +73,12 @@ const upload = multer({
     limits: { fileSize: 50 * 1024 * 1024 } // 50MB max
 });
 
+// World zips are much larger than config files or plugins
+const worldUpload = multer({
+    storage,
+    limits: { fileSize: 2 * 1024 * 1024 * 1024 } // 2GB max
+});
+
 // === Session ===
 const sessionMiddleware = session({
     secret: process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex'),
@@ -107,19 +117,51 @@ function validateCsrf(req, res, next) {
 
 // === Components ===
 const io = socketIo(server);
-const mcServer = new MinecraftServer(io);
-const backupManager = new BackupManager(config);
-const fileManager = new FileManager();
-
-// === Scheduled Backups ===
-if (config.backup.enabled) {
-    cron.schedule(`0 */${config.backup.interval_hours} * * *`, () => {
-        logger.info('Starting automated backup...');
-        backupManager.createBackup()
-            .then(name => logger.info(`Backup created: ${name}`))
-            .catch(err => logger.error(`Backup failed: ${err.message}`));
-    });
+let instances;
+try {
+    instances = new InstanceManager(io, config, path.join(path.dirname(configPath), 'panel.json'));
+} catch (err) {
+    logger.error(err.message);
+    process.exit(1);
+}
+const versions = new VersionManager(config);
+
+const scheduler = new TaskScheduler(io, instances, path.join(path.dirname(configPath), 'schedules.json'));
+if (scheduler.loadError) {
+    logger.error(`Could not read scheduled tasks (${scheduler.loadError.message}), starting with none. The file was moved to ${scheduler.loadError.movedTo}`);
 }
+const setup = new SetupWizard(config, instances);
+
+// === Scheduled Jobs ===
+// One tick a minute: automated backups, daily restarts from config, and user tasks
+cron.schedule('* * * * *', () => {
+    const now = new Date();
+
+    // Every interval_hours counted in local time from the epoch, so intervals over 23 hours
+    // work too (a cron hour step like */36 can't express them) and e.g. 12 runs at local midnight and noon
+    const interval = Math.max(1, parseInt(config.backup.interval_hours) || 12);
+    const hour = Math.floor((now.getTime() - now.getTimezoneOffset() * 60000) / 3600000);
+    if (config.backup.enabled && now.getMinutes() === 0 && hour % interval === 0) {
+        for (const instance of instances.all()) {
+            const busy = instance.backups.busy;
+            if (busy) {
+                logger.info(`[${instance.id}] Automated backup skipped, ${busy.operation} of ${busy.name} still running`);
+                continue;
+            }
+            logger.info(`[${instance.id}] Starting automated backup...`);
+            instance.backups.createBackup({ trigger: 'scheduled' })
+                .then(name => logger.info(`[${instance.id}] Backup created: ${name}`))
+                .catch(err => logger.error(`[${instance.id}] Backup failed: ${err.message}`));
+        }
+    }
+
+    for (const instance of instances.all()) {
+        instance.server.checkScheduledRestart(now);
+        instance.access.expireBans(now.getTime())
+            .catch(err => instance.server.log(`[ERROR] Could not check temporary bans: ${err.message}`));
+    }
+    scheduler.tick(now);
+});
 
 // === Middleware ===
 app.use(helmet({
@@ -156,11 +198,13 @@ const auth = (req, res, next) => {
 // === Routes ===
 app.get('/', auth, (req, res) => {
     const csrfToken = generateCsrfToken(req.session);
-    res.render('dashboard', { config, user: req.session.user, csrfToken });
+    const list = instances.list();
+    res.render('dashboard', { config, instances: list, current: list[0], user: req.session.user, csrfToken });
 });
 
 app.get('/login', (req, res) => {
     if (req.session.user) return res.redirect('/');
+    if (setup.required) return res.redirect('/setup');
     // Whitelist error messages instead of passing raw query params
     const errorMessages = {
         'invalid': 'Invalid credentials',
@@ -172,15 +216,14 @@ app.get('/login', (req, res) => {
 
 app.post('/login', loginLimiter, async (req, res) => {
     const { username, password } = req.body;
-    const adminUser = process.env.ADMIN_USERNAME || config.panel.owner_user;
-    const adminPassHash = process.env.ADMIN_PASSWORD_HASH;
+    const owner = setup.owner();
 
-    if (username === adminUser) {
+    if (username === owner.username) {
         let authenticated = false;
 
-        if (adminPassHash && adminPassHash.startsWith('$2')) {
+        if (owner.hash) {
             try {
-                authenticated = await bcrypt.compare(password, adminPassHash);
+                authenticated = await bcrypt.compare(password, owner.hash);
             } catch (err) {
                 logger.error(`Bcrypt Error: ${err.message}`);
             }
@@ -196,6 +239,40 @@ app.post('/login', loginLimiter, async (req, res) => {
     res.redirect('/login?error=invalid');
 });
 
+// === First-run Setup ===
+app.get('/setup', (req, res) => {
+    if (!setup.required) return res.redirect('/login');
+    const csrfToken = generateCsrfToken(req.session);
+    res.render('setup', { error: null, values: setup.defaults(), software: VersionManager.SOFTWARE, eulaUrl: SetupWizard.EULA_URL, csrfToken });
+});
+
+app.post('/setup', loginLimiter, validateCsrf, async (req, res) => {
+    if (!setup.required) return res.redirect('/login');
+    try {
+        const result = await setup.complete(req.body);
+        req.session.user = { username: result.username, role: 'owner' };
+        logger.info(`Setup completed, owner account created: ${result.username}`);
+        if (result.webPortChanged) logger.info(`Panel port set to ${config.panel.web_port}, used from the next panel start`);
+
+        // Fetch the chosen jar in the background; the console shows progress
+        if (result.install) {
+            const instance = instances.get(InstanceManager.DEFAULT_ID) || instances.all()[0];
+            versions.install(instance.server, result.install.software, result.install.version)
+                .catch(err => logger.error(`[${instance.id}] Setup install failed: ${err.message}`));
+        }
+        res.redirect('/');
+    } catch (e) {
+        const { password, password_confirm, _csrf, ...values } = req.body;
+        res.status(400).render('setup', {
+            error: e.message,
+            values: { ...setup.defaults(), ...values },
+            software: VersionManager.SOFTWARE,
+            eulaUrl: SetupWizard.EULA_URL,
+            csrfToken: generateCsrfToken(req.session)
+        });
+    }
+});
+
 app.get('/logout', (req, res) => {
     const user = req.session.user;
     req.session.destroy();
@@ -203,53 +280,375 @@ app.get('/logout', (req, res) => {
     res.redirect('/login');
 });
 
+// === Instance API ===
+// Resolve :instance on every scoped route
+app.param('instance', (req, res, next, id) => {
+    const instance = instances.get(id);
+    if (!instance) return res.status(404).json({ error: 'Instance not found' });
+    req.instance = instance;
+    next();
+});
+
+app.get('/api/instances', auth, (req, res) => res.json(instances.list()));
+
+app.post('/api/instances', auth, (req, res) => {
+    try {
+        const { id, ...options } = req.body;
+        const instance = instances.create(id, options);
+        logger.info(`Instance created: ${instance.id} by ${req.session.user.username}`);
+        res.json({ success: true, instance: instances.describe(instance) });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.post('/api/instances/:instance/delete', auth, (req, res) => {
+    try {
+        instances.remove(req.instance.id, { deleteFiles: req.body.deleteFiles === true });
+        scheduler.removeInstance(req.instance.id);
+        logger.info(`Instance deleted: ${req.instance.id} by ${req.session.user.username}`);
+        res.json({ success: true });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// === Console API ===
+app.get('/api/instances/:instance/console/history', auth, (req, res) => {
+    try {
+        const before = req.query.before !== undefined ? parseInt(req.query.before) : null;
+        const limit = Math.min(Math.max(parseInt(req.query.limit) || 200, 1), 1000);
+        if (before !== null && (isNaN(before) || before < 0)) {
+            return res.status(400).json({ error: 'Invalid cursor' });
+        }
+        res.json(req.instance.server.readLogHistory(before, limit));
+    } catch (e) { res.status(500).json({ error: e.message }); }
+});
+
+// === Status API ===
+app.get('/api/instances/:instance/status', auth, (req, res) => {
+    res.json({ status: req.instance.server.status, info: req.instance.server.serverInfo });
+});
+
+// === Pending Actions API ===
+app.get('/api/instances/:instance/actions', auth, (req, res) => {
+    const next = req.instance.server.nextScheduledRestart();
+    res.json({
+        pending: req.instance.server.getPendingAction(),
+        nextScheduledRestart: next ? next.getTime() : null
+    });
+});
+
+// === Metrics API ===
+app.get('/api/instances/:instance/metrics', auth, (req, res) => {
+    const range = req.query.range === 'day' ? 'day' : 'hour';
+    res.json(req.instance.metrics.getHistory(range));
+});
+
+// === Version API ===
+app.get('/api/instances/:instance/versions', auth, async (req, res) => {
+    try {
+        const software = req.query.software || req.instance.config.server.software || 'vanilla';
+        res.json(await versions.listVersions(software));
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.get('/api/instances/:instance/versions/installed', auth, (req, res) => {
+    res.json(versions.installed(req.instance.serverPath));
+});
+
+app.post('/api/instances/:instance/versions/install', auth, async (req, res) => {
+    try {
+        const { software, version } = req.body;
+        // A newer version may upgrade the world in ways the old one can't read
+        if (versions.installed(req.instance.serverPath).current && req.instance.server.status === 'stopped') {
+            await req.instance.backups.createBackup({ trigger: 'pre-update', label: `Before ${software} ${version}` });
+        }
+        const state = await versions.install(req.instance.server, software, version);
+        instances.update(req.instance.id, { software, version });
+        logger.info(`[${req.instance.id}] Installed ${software} ${version} by ${req.session.user.username}`);
+        res.json({ success: true, ...state });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.post('/api/instances/:instance/versions/rollback', auth, (req, res) => {
+    try {
+        const state = versions.rollback(req.instance.server);
+        if (state.current && state.current.software !== 'unknown') {
+            instances.update(req.instance.id, { software: state.current.software, version: state.current.version });
+        }
+        logger.info(`[${req.instance.id}] Rolled back server jar by ${req.session.user.username}`);
+        res.json({ success: true, ...state });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// === Java Runtime API ===
+app.get('/api/java', auth, (req, res) => {
+    res.json(JavaRuntime.discover(req.query.refresh === '1'));
+});
+
+app.get('/api/instances/:instance/java', auth, (req, res) => {
+    const serverConfig = req.instance.config.server;
+    const requirement = JavaRuntime.requiredFor(serverConfig.version);
+    const result = {
+        preference: serverConfig.java || null,
+        required: requirement,
+        requiredLabel: JavaRuntime.describeRequirement(requirement),
+        selected: null,
+        error: null
+    };
+    try {
+        result.selected = req.instance.server.selectJava();
+    } catch (e) {
+        result.error = e.message;
+    }
+    res.json(result);
+});
+
+app.post('/api/instances/:instance/java', auth, (req, res) => {
+    try {
+        const java = req.body.java ? String(req.body.java).trim() : '';
+        if (java && !java.includes('/') && !/^\d+$/.test(java)) {
+            throw new Error('Java must be a major version (e.g. 21) or a path to a java binary');
+        }
+        instances.update(req.instance.id, { java });
+        logger.info(`[${req.instance.id}] Java runtime set to ${java || 'automatic'} by ${req.session.user.username}`);
+        res.json({ success: true });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// === Schedules API ===
+app.get('/api/schedules', auth, (req, res) => {
+    res.json(scheduler.list(req.query.instance || null));
+});
+
+app.post('/api/schedules', auth, (req, res) => {
+    try {
+        const task = scheduler.create(req.body);
+        logger.info(`[${task.instance}] Scheduled task "${task.name}" (${task.cron}) created by ${req.session.user.username}`);
+        res.json({ success: true, task });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.post('/api/schedules/:schedule', auth, (req, res) => {
+    try {
+        const task = scheduler.update(req.params.schedule, req.body);
+        logger.info(`[${task.instance}] Scheduled task "${task.name}" updated by ${req.session.user.username}`);
+        res.json({ success: true, task });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.post('/api/schedules/:schedule/delete', auth, (req, res) => {
+    try {
+        scheduler.delete(req.params.schedule);
+        res.json({ success: true });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// Starts the task and returns; the result arrives as a `schedule-run` event
+app.post('/api/schedules/:schedule/run', auth, (req, res) => {
+    try {
+        const task = scheduler.get(req.params.schedule);
+        if (scheduler.running.has(task.id)) throw new Error(`"${task.name}" is already running`);
+        scheduler.run(task.id, 'manual').catch(() => { });
+        logger.info(`[${task.instance}] Scheduled task "${task.name}" run by ${req.session.user.username}`);
+        res.json({ success: true });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// === Access API ===
+app.get('/api/instances/:instance/access', auth, (req, res) => {
+    res.json(req.instance.access.all());
+});
+
+app.post('/api/instances/:instance/access/:list', auth, async (req, res) => {
+    try {
+        const { name, ip, level, reason, expires } = req.body;
+        const result = await req.instance.access.add(req.params.list, { name, ip, level, reason, expires }, { source: req.session.user.username });
+        logger.info(`[${req.instance.id}] ${name || ip} added to ${req.params.list} by ${req.session.user.username}`);
+        res.json({ success: true, ...result });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.post('/api/instances/:instance/access/:list/remove', auth, async (req, res) => {
+    try {
+        const key = req.body.name || req.body.ip;
+        const result = await req.instance.access.remove(req.params.list, key);
+        logger.info(`[${req.instance.id}] ${key} removed from ${req.params.list} by ${req.session.user.username}`);
+        res.json({ success: true, ...result });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// === Plugin API ===
+app.get('/api/instances/:instance/plugins', auth, (req, res) => {
+    try {
+        res.json(req.instance.plugins.list());
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.post('/api/instances/:instance/plugins/upload', auth, upload.single('file'), (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+        const result = req.instance.plugins.install(req.file.path, req.file.originalname, { replace: req.body.replace === 'true' });
+        logger.info(`[${req.instance.id}] ${result.file} installed by ${req.session.user.username}`);
+        res.json({ success: true, ...result });
+    } catch (e) {
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        res.status(e.conflict ? 409 : 400).json({ error: e.message, conflict: e.conflict });
+    }
+});
+
+app.post('/api/instances/:instance/plugins/toggle', auth, (req, res) => {
+    try {
+        const result = req.instance.plugins.setEnabled(req.body.file, req.body.enabled === true);
+        logger.info(`[${req.instance.id}] ${req.body.file} ${req.body.enabled ? 'enabled' : 'disabled'} by ${req.session.user.username}`);
+        res.json({ success: true, ...result });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.post('/api/instances/:instance/plugins/delete', auth, (req, res) => {
+    try {
+        const result = req.instance.plugins.delete(req.body.file);
+        logger.info(`[${req.instance.id}] ${req.body.file} deleted by ${req.session.user.username}`);
+        res.json({ success: true, ...result });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// === Crash API ===
+app.get('/api/instances/:instance/crashes', auth, (req, res) => {
+    res.json(req.instance.server.crashes.list());
+});
+
+app.get('/api/instances/:instance/crashes/:crash', auth, (req, res) => {
+    try {
+        res.json(req.instance.server.crashes.get(req.params.crash));
+    } catch (e) { res.status(404).json({ error: e.message }); }
+});
+
+app.post('/api/instances/:instance/crashes/:crash/delete', auth, (req, res) => {
+    try {
+        req.instance.server.crashes.delete(req.params.crash);
+        res.json({ success: true });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// === Server Properties API ===
+app.get('/api/instances/:instance/properties', auth, (req, res) => {
+    const props = req.instance.server.properties();
+    res.json({
+        exists: props.exists(),
+        fields: props.describe(),
+        restartRequired: [...req.instance.server.pendingRestart]
+    });
+});
+
+app.post('/api/instances/:instance/properties', auth, async (req, res) => {
+    try {
+        const changes = req.body.changes;
+        if (!changes || typeof changes !== 'object') throw new Error('No changes provided');
+        const result = await req.instance.server.updateProperties(changes);
+        // Keep the instance port (shown in the panel and used for clash checks) in sync
+        if (result.changed.includes('server-port')) {
+            instances.update(req.instance.id, { port: parseInt(changes['server-port']) });
+        }
+        logger.info(`[${req.instance.id}] server.properties updated (${result.changed.join(', ') || 'no changes'}) by ${req.session.user.username}`);
+        res.json({ success: true, ...result });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// === Launch Settings API ===
+app.get('/api/instances/:instance/launch', auth, (req, res) => {
+    const serverConfig = req.instance.config.server;
+    const result = {
+        profiles: JvmProfiles.names(req.instance.config),
+        jvm: serverConfig.jvm || { profile: JvmProfiles.DEFAULT_PROFILE },
+        server_args: serverConfig.server_args || [],
+        env: serverConfig.env || {},
+        preview: null,
+        error: null
+    };
+    try {
+        result.preview = req.instance.server.previewLaunch();
+    } catch (e) {
+        result.error = e.message;
+    }
+    res.json(result);
+});
+
+app.post('/api/instances/:instance/launch', auth, (req, res) => {
+    try {
+        const { jvm = {}, server_args = [], env = {} } = req.body;
+        const changes = {
+            jvm: { profile: jvm.profile || JvmProfiles.DEFAULT_PROFILE, flags: jvm.flags || [], args: jvm.args || [] },
+            server_args,
+            env
+        };
+        // Reject bad settings before they are saved
+        const trial = { ...req.instance.config, server: { ...req.instance.config.server, ...changes } };
+        const launch = JvmProfiles.resolve(trial);
+        const { errors } = JvmProfiles.validate([...launch.flags, ...launch.extraArgs], null);
+        if (errors.length) throw new Error(errors.join('; '));
+
+        instances.update(req.instance.id, changes);
+        logger.info(`[${req.instance.id}] Launch settings updated by ${req.session.user.username}`);
+        res.json({ success: true, preview: req.instance.server.previewLaunch() });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+// === Players API ===
+app.get('/api/players', auth, (req, res) => {
+    res.json(instances.all().map(i => ({ id: i.id, online: i.server.getPlayers() })));
+});
+
+app.get('/api/instances/:instance/players', auth, (req, res) => {
+    res.json({ online: req.instance.server.getPlayers(), max: req.instance.config.server.max_players });
+});
+
 // === File API ===
-app.get('/api/files', auth, (req, res) => {
+app.get('/api/instances/:instance/files', auth, (req, res) => {
     try {
-        res.json(fileManager.listFiles(req.query.path || ''));
+        res.json(req.instance.files.listFiles(req.query.path || ''));
     } catch (e) { res.status(400).json({ error: e.message }); }
 });
 
-app.get('/api/files/content', auth, (req, res) => {
+app.get('/api/instances/:instance/files/content', auth, (req, res) => {
     try {
-        res.json({ content: fileManager.readFile(req.query.path) });
+        res.json({ content: req.instance.files.readFile(req.query.path) });
     } catch (e) { res.status(400).json({ error: e.message }); }
 });
 
-app.post('/api/files/save', auth, (req, res) => {
+app.post('/api/instances/:instance/files/save', auth, (req, res) => {
     try {
-        fileManager.writeFile(req.body.path, req.body.content);
+        req.instance.files.writeFile(req.body.path, req.body.content);
         res.json({ success: true });
     } catch (e) { res.status(400).json({ error: e.message }); }
 });
 
-app.post('/api/files/rename', auth, (req, res) => {
+app.post('/api/instances/:instance/files/rename', auth, (req, res) => {
     try {
-        fileManager.renameItem(req.body.oldPath, req.body.newName);
+        req.instance.files.renameItem(req.body.oldPath, req.body.newName);
         res.json({ success: true });
     } catch (e) { res.status(400).json({ error: e.message }); }
 });
 
-app.post('/api/files/delete', auth, (req, res) => {
+app.post('/api/instances/:instance/files/delete', auth, (req, res) => {
     try {
-        fileManager.deleteItem(req.body.path);
+        req.instance.files.deleteItem(req.body.path);
         res.json({ success: true });
     } catch (e) { res.status(400).json({ error: e.message }); }
 });
 
-app.post('/api/files/folder', auth, (req, res) => {
+app.post('/api/instances/:instance/files/folder', auth, (req, res) => {
     try {
-        fileManager.createFolder(req.body.path, req.body.name);
+        req.instance.files.createFolder(req.body.path, req.body.name);
         res.json({ success: true });
     } catch (e) { res.status(400).json({ error: e.message }); }
 });
 
-app.post('/api/files/upload', auth, upload.single('file'), (req, res) => {
+app.post('/api/instances/:instance/files/upload', auth, upload.single('file'), (req, res) => {
     try {
         if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
 
         // Move from temp to correct location
-        const targetDir = fileManager._safePath(req.body.path || '');
+        const targetDir = req.instance.files._safePath(req.body.path || '');
         const safeName = FileManager.sanitizeFilename(req.file.originalname) || 'uploaded_file';
         const targetPath = path.join(targetDir, safeName);
 
@@ -264,18 +663,105 @@ app.post('/api/files/upload', auth, upload.single('file'), (req, res) => {
     }
 });
 
+// === World API ===
+app.get('/api/instances/:instance/worlds', auth, (req, res) => {
+    try {
+        res.json(req.instance.worlds.list());
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.post('/api/instances/:instance/worlds/import', auth, worldUpload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) return res.status(400).json({ error: 'No file uploaded' });
+        const result = await req.instance.worlds.import(req.file.path, { name: req.body.name, fileName: req.file.originalname });
+        fs.unlinkSync(req.file.path);
+        logger.info(`[${req.instance.id}] World "${result.name}" imported by ${req.session.user.username}`);
+        res.json({ success: true, ...result });
+    } catch (e) {
+        if (req.file && fs.existsSync(req.file.path)) {
+            fs.unlinkSync(req.file.path);
+        }
+        res.status(400).json({ error: e.message });
+    }
+});
+
+app.get('/api/instances/:instance/worlds/:world/download', auth, async (req, res) => {
+    try {
+        res.attachment(`${req.params.world}.zip`);
+        await req.instance.worlds.export(req.params.world, res);
+    } catch (e) {
+        if (!res.headersSent) {
+            res.removeHeader('Content-Disposition');
+            return res.status(404).json({ error: e.message });
+        }
+        logger.error(`[${req.instance.id}] Export of world "${req.params.world}" failed: ${e.message}`);
+        res.destroy(e);
+    }
+});
+
+app.post('/api/instances/:instance/worlds/switch', auth, (req, res) => {
+    try {
+        const result = req.instance.worlds.switchTo(req.body.name);
+        logger.info(`[${req.instance.id}] Active world set to "${result.active}" by ${req.session.user.username}`);
+        res.json({ success: true, ...result });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.post('/api/instances/:instance/worlds/reset', auth, async (req, res) => {
+    try {
+        const result = await req.instance.worlds.reset({ seed: req.body.seed });
+        logger.info(`[${req.instance.id}] World "${result.world}" reset by ${req.session.user.username}`);
+        res.json({ success: true, ...result });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
 // === Backup API ===
-app.get('/api/backups', auth, (req, res) => res.json(backupManager.listBackups()));
+app.get('/api/instances/:instance/backups', auth, (req, res) => res.json(req.instance.backups.listBackups()));
 
-app.post('/api/backups', auth, async (req, res) => {
+app.post('/api/instances/:instance/backups', auth, async (req, res) => {
     try {
-        const name = await backupManager.createBackup();
+        const { label, note } = req.body || {};
+        const name = await req.instance.backups.createBackup({ trigger: 'manual', label, note });
         res.json({ success: true, name });
     } catch (e) { res.status(500).json({ error: e.message }); }
 });
 
-app.get('/api/backups/download/:name', auth, (req, res) => {
-    const filePath = backupManager.getBackupPath(req.params.name);
+app.post('/api/instances/:instance/backups/update', auth, (req, res) => {
+    try {
+        const { name, label, note, pinned } = req.body;
+        const meta = req.instance.backups.updateBackup(name, { label, note, pinned });
+        if (pinned !== undefined) logger.info(`[${req.instance.id}] Backup ${name} ${meta.pinned ? 'pinned' : 'unpinned'} by ${req.session.user.username}`);
+        res.json({ success: true, ...meta });
+    } catch (e) { res.status(400).json({ error: e.message }); }
+});
+
+app.get('/api/instances/:instance/backups/progress', auth, (req, res) => res.json(req.instance.backups.busy));
+
+app.post('/api/instances/:instance/backups/restore', auth, async (req, res) => {
+    try {
+        logger.info(`[${req.instance.id}] Restore of ${req.body.name} started by ${req.session.user.username}`);
+        const result = await req.instance.backups.restoreBackup(req.body.name, req.instance.server);
+        logger.info(`[${req.instance.id}] Restored ${result.restored} (safety backup ${result.safetyBackup})`);
+        res.json({ success: true, ...result });
+    } catch (e) {
+        logger.error(`[${req.instance.id}] Restore failed: ${e.message}`);
+        res.status(400).json({ error: e.message });
+    }
+});
+
+app.get('/api/instances/:instance/backups/download/:name', auth, async (req, res) => {
+    const { backups } = req.instance;
+    if (backups.store.has(req.params.name)) {
+        res.attachment(`${req.params.name}.zip`);
+        try {
+            await backups.exportZip(req.params.name, res);
+        } catch (e) {
+            logger.error(`[${req.instance.id}] Export of ${req.params.name} failed: ${e.message}`);
+            res.destroy(e);
+        }
+        return;
+    }
+    const filePath = backups.getBackupPath(req.params.name);
     if (!filePath) return res.status(404).json({ error: 'Backup not found' });
     res.download(filePath);
 });
@@ -288,26 +774,59 @@ io.on('connection', (socket) => {
     if (!session || !session.user) return socket.disconnect(true);
 
     logger.info(`Socket connected: ${session.user.username}`);
-    socket.emit('status', mcServer.status);
+    socket.emit('instances', instances.list());
+
+    // Each dashboard watches one instance at a time; console and status are scoped to its room
+    socket.on('subscribe', (id) => {
+        const instance = instances.get(id);
+        if (!instance) return;
+        for (const room of socket.rooms) {
+            if (room.startsWith('instance:')) socket.leave(room);
+        }
+        socket.join(instance.server.room);
+        socket.emit('status', instance.server.status);
+        socket.emit('console-history', instance.server.getScrollback());
+        socket.emit('players', instance.server.getPlayers());
+        socket.emit('server-info', instance.server.serverInfo);
+        socket.emit('metrics-history', instance.metrics.getHistory('hour'));
+        socket.emit('pending-action', instance.server.getPendingAction());
+    });
+
+    socket.on('control', (payload) => {
+        const { id, action, delay } = payload || {};
+        const instance = instances.get(id);
+        if (!instance) return;
 
-    socket.on('control', (action) => {
         // Validate action
-        const validActions = ['start', 'stop', 'restart'];
+        const validActions = ['start', 'stop', 'restart', 'cancel'];
         if (!validActions.includes(action)) return;
 
-        logger.info(`[SOCKET] ${session.user.username}: ${action}`);
+        logger.info(`[SOCKET] ${session.user.username}: ${action} ${id}${delay ? ` in ${delay}` : ''}`);
 
-        if (action === 'start') mcServer.start();
-        if (action === 'stop') mcServer.stop();
-        if (action === 'restart') mcServer.restart();
+        try {
+            if (action === 'start') instance.server.start();
+            if (action === 'stop' || action === 'restart') instance.server.scheduleAction(action, delay || 0);
+            if (action === 'cancel') instance.server.cancelPendingAction();
+        } catch (e) {
+            socket.emit('control-error', { id, error: e.message });
+        }
     });
 
-    socket.on('command', (cmd) => {
+    socket.on('command', (payload) => {
+        const { id, cmd } = payload || {};
+        const instance = instances.get(id);
+        if (!instance) return;
+
         if (typeof cmd !== 'string' || cmd.length > 500) return;
         const sanitized = cmd.trim();
         if (sanitized) {
-            logger.info(`[COMMAND] ${session.user.username}: ${sanitized}`);
-            mcServer.sendCommand(sanitized);
+            logger.info(`[COMMAND] ${session.user.username} @ ${id}: ${sanitized}`);
+            // Only the issuing dashboard sees the response
+            instance.server.sendCommand(sanitized)
+                .then(response => {
+                    if (response !== null) socket.emit('command-response', { id, cmd: sanitized, response });
+                })
+                .catch(err => logger.error(`[COMMAND] ${id}: ${err.message}`));
         }
     });
 
@@ -321,7 +840,8 @@ app.use((err, req, res, next) => {
     logger.error(`Error: ${err.message}\n${err.stack}`);
     if (err instanceof multer.MulterError) {
         if (err.code === 'LIMIT_FILE_SIZE') {
-            return res.status(413).json({ error: 'File too large. Maximum size is 50MB.' });
+            const limit = req.path.endsWith('/worlds/import') ? '2GB' : '50MB';
+            return res.status(413).json({ error: `File too large. Maximum size is ${limit}.` });
         }
         return res.status(400).json({ error: err.message });
     }
@@ -334,3 +854,32 @@ server.listen(PORT, '0.0.0.0', () => {
     logger.info(`🚀 DevzServer panel online at port ${PORT}`);
     logger.info(`📋 Environment: ${process.env.NODE_ENV || 'development'}`);
 });
+
+// === Shutdown ===
+// Stop game servers cleanly (detached ones keep running) before the panel exits.
+// Servers get up to 25s to stop on their own, so give up a little after that.
+const SHUTDOWN_TIMEOUT = 30000;
+let shuttingDown = false;
+
+function shutdown(signal) {
+    if (shuttingDown) {
+        logger.warn(`${signal} received again, exiting without waiting for servers`);
+        process.exit(1);
+    }
+    shuttingDown = true;
+    logger.info(`${signal} received, shutting down...`);
+
+    const timeout = new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT));
+    Promise.race([instances.shutdown(), timeout])
+        .catch(err => logger.error(`Shutdown error: ${err.message}`))
+        .finally(() => {
+            server.close();
+            process.exit(0);
+        });
+}
+
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+process.on('exit', () => {
+    for (const instance of instances.all()) instance.server.terminate();
+});
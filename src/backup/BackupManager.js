@@ -1,25 +1,71 @@
 const fs = require('fs');
 const path = require('path');
-const AdmZip = require('adm-zip');
+const EventEmitter = require('events');
+const { pipeline } = require('stream/promises');
+const SnapshotStore = require('./SnapshotStore');
+const { writeZip, openZip } = require('../utils/ZipStream');
 
-class BackupManager {
-    constructor(config) {
+/**
+ * Backups of one instance's server directory, kept as snapshots in a
+ * deduplicating SnapshotStore. Zip backups from older versions stay listed and
+ * restorable; snapshots are zipped on the fly for downloads.
+ * While the server is running, autosave is paused and the world flushed first
+ * so the snapshot holds a consistent world.
+ *
+ * Each backup has a metadata sidecar in .meta/<name>.json: { trigger, label, note, pinned }.
+ * Old backups are removed by grandfather-father-son retention rules; pinned ones never are.
+ * Emits `progress` with { operation, name, stage, message, percent, files, bytes }
+ * while a backup or restore runs.
+ */
+class BackupManager extends EventEmitter {
+    /**
+     * @param {object} config - Effective config for the instance
+     * @param {object} paths - { serverPath, backupPath } for the instance
+     * @param {MinecraftServer} [server] - The server using this directory
+     */
+    constructor(config, paths = {}, server = null) {
+        super();
         this.config = config;
-        this.serverPath = path.join(__dirname, '../../minecraft/server');
-        this.backupPath = path.join(__dirname, '../../minecraft/backups');
+        this.server = server;
+        this.serverPath = paths.serverPath || path.join(__dirname, '../../minecraft/server');
+        this.backupPath = paths.backupPath || path.join(__dirname, '../../minecraft/backups');
+        // Dot-named so it can't clash with another instance's backup folder (instance IDs can't start with ".")
+        this.store = new SnapshotStore(path.join(this.backupPath, '.store'));
+        this.metaPath = path.join(this.backupPath, '.meta');
+        // The backup or restore in progress
+        this.current = null;
+        // Zip exports reading from the store; gc waits for them to finish
+        this.exports = 0;
+        this.gcPending = false;
+        // A gc started by the last export; new snapshots wait for it
+        this.gcRunning = null;
 
         if (!fs.existsSync(this.backupPath)) {
             fs.mkdirSync(this.backupPath, { recursive: true });
         }
     }
 
+    // Files larger than this are left out of backups (and left alone by restores)
+    static MAX_FILE_SIZE = 100 * 1024 * 1024;
+    // Minimum milliseconds between progress events
+    static PROGRESS_INTERVAL = 500;
+    // What caused a backup to be taken
+    static TRIGGERS = ['manual', 'scheduled', 'pre-restore', 'pre-update', 'pre-reset'];
+    // Newest `keep_last` backups, plus the newest backup of each of the last N hours, days and weeks
+    static DEFAULT_RETENTION = { keep_last: 5, hourly: 24, daily: 7, weekly: 4 };
+    static RETENTION_PERIODS = ['hourly', 'daily', 'weekly'];
+    static MAX_LABEL_LENGTH = 64;
+    static MAX_NOTE_LENGTH = 500;
+
     // Files/dirs to exclude from backups (saves space/time)
     static EXCLUDE_PATTERNS = [
         'server.jar',
         'bedrock_server',
         '*.jar.bak',
         'cache',
-        '.git'
+        '.git',
+        '.crashes',
+        '.panel'
     ];
 
     shouldExclude(name) {
@@ -32,59 +78,242 @@ class BackupManager {
         });
     }
 
-    async createBackup() {
+    /**
+     * What's running right now: { operation, name, ... } or null
+     */
+    get busy() {
+        return this.current;
+    }
+
+    _progress(update) {
+        Object.assign(this.current, update);
+        this.emit('progress', { ...this.current });
+    }
+
+    /**
+     * Files to back up as [{ fullPath, entryPath, size, mtime }], skipping excluded and oversized files.
+     * `limits` caps files at the length the server reported for them ({ entryPath: bytes }).
+     */
+    async _collect(dirPath, zipPath = '', out = [], limits = null) {
+        const items = await fs.promises.readdir(dirPath, { withFileTypes: true });
+        for (const item of items) {
+            if (this.shouldExclude(item.name)) continue;
+            const fullPath = path.join(dirPath, item.name);
+            const entryPath = zipPath ? `${zipPath}/${item.name}` : item.name;
+            if (item.isDirectory()) {
+                await this._collect(fullPath, entryPath, out, limits);
+            } else if (item.isFile()) {
+                // Skip files larger than 100MB
+                const stats = await fs.promises.stat(fullPath);
+                if (stats.size > BackupManager.MAX_FILE_SIZE) continue;
+                const limit = limits ? limits[entryPath] : undefined;
+                if (limit !== undefined && limit < stats.size) {
+                    out.push({ fullPath, entryPath, size: limit, mtime: stats.mtimeMs, truncated: true });
+                } else {
+                    out.push({ fullPath, entryPath, size: stats.size, mtime: stats.mtimeMs });
+                }
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Snapshot the server directory. `trigger` is one of TRIGGERS; `label` and
+     * `note` are optional and can be changed later with updateBackup().
+     * Only one backup or restore runs at a time.
+     */
+    async createBackup({ trigger = 'manual', label, note } = {}) {
+        if (this.current) throw new Error(`Can't back up while ${this.current.operation === 'restore' ? 'a restore' : 'another backup'} is in progress`);
+        return this._writeBackup({ trigger, label, note });
+    }
+
+    /**
+     * Store every file not already in the store and write the manifest. Files whose
+     * size and mtime match the previous snapshot reuse its hashes without being read.
+     * Progress is emitted as `progress` events.
+     */
+    async _writeBackup({ trigger, label, note }) {
+        if (!BackupManager.TRIGGERS.includes(trigger)) throw new Error(`Unknown backup trigger: ${trigger}`);
         if (!fs.existsSync(this.serverPath)) {
             throw new Error('Server directory does not exist');
         }
 
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = `backup-${timestamp}.zip`;
-        const dest = path.join(this.backupPath, filename);
-
-        const zip = new AdmZip();
-
-        // Add files with exclusion filter
-        const addDir = (dirPath, zipPath = '') => {
-            const items = fs.readdirSync(dirPath, { withFileTypes: true });
-            for (const item of items) {
-                if (this.shouldExclude(item.name)) continue;
-                const fullPath = path.join(dirPath, item.name);
-                const entryPath = zipPath ? `${zipPath}/${item.name}` : item.name;
-                if (item.isDirectory()) {
-                    addDir(fullPath, entryPath);
+        const name = `${trigger.startsWith('pre-') ? trigger : 'backup'}-${timestamp}`;
+
+        const owner = !this.current;
+        if (owner) this.current = { operation: 'backup', name, startedAt: Date.now() };
+        const server = this.server && this.server.status === 'running' ? this.server : null;
+        try {
+            if (this.gcRunning) await this.gcRunning;
+            let limits = null;
+            if (server) {
+                this._progress({ stage: 'saving', message: 'Saving the world...', percent: null });
+                server.log('[BACKUP] Pausing autosave and flushing the world to disk...');
+                ({ limits } = await server.holdSaves());
+            }
+
+            this._progress({ stage: 'scanning', message: 'Scanning server files...', percent: null });
+            const files = await this._collect(this.serverPath, '', [], limits);
+            const totalBytes = files.reduce((sum, f) => sum + f.size, 0);
+            const latest = this.store.list()[0];
+            const previous = new Map(latest ? latest.files.map(f => [f.path, f]) : []);
+
+            const entries = [];
+            let doneBytes = 0;
+            let added = 0;
+            let lastEmit = 0;
+            for (const [i, file] of files.entries()) {
+                const known = previous.get(file.entryPath);
+                if (known && !file.truncated && known.size === file.size && known.mtime === file.mtime && await this.store.hasObject(known.hash)) {
+                    entries.push(known);
                 } else {
-                    // Skip files larger than 100MB
-                    const stats = fs.statSync(fullPath);
-                    if (stats.size > 100 * 1024 * 1024) continue;
-                    zip.addLocalFile(fullPath, zipPath || undefined);
+                    try {
+                        const stored = await this.store.put(file.fullPath, file.truncated ? file.size : undefined);
+                        entries.push({ path: file.entryPath, hash: stored.hash, size: stored.size, mtime: file.mtime });
+                        added += stored.added;
+                    } catch (err) {
+                        // World files may disappear between scanning and storing
+                        if (err.code !== 'ENOENT') throw err;
+                    }
                 }
+
+                doneBytes += file.size;
+                const now = Date.now();
+                if (now - lastEmit < BackupManager.PROGRESS_INTERVAL && i + 1 < files.length) continue;
+                lastEmit = now;
+                this._progress({
+                    stage: 'storing',
+                    message: `${i + 1}/${files.length} files`,
+                    percent: totalBytes ? Math.min(100, Math.floor((doneBytes / totalBytes) * 100)) : 100,
+                    files: { done: i + 1, total: files.length },
+                    bytes: { done: doneBytes, total: totalBytes }
+                });
             }
-        };
 
-        addDir(this.serverPath);
+            await this.store.writeManifest({
+                name,
+                created: new Date().toISOString(),
+                size: entries.reduce((sum, f) => sum + f.size, 0),
+                added,
+                files: entries
+            });
+            this._writeMeta(name, { trigger, label: '', note: '', ...BackupManager._cleanMeta({ label, note }), pinned: false });
+            await this.rotateBackups();
+            if (owner) this._progress({ stage: 'done', message: `Backup created: ${name}`, percent: 100 });
+            return name;
+        } catch (err) {
+            if (owner) this._progress({ stage: 'failed', message: `Backup failed: ${err.message}` });
+            throw err;
+        } finally {
+            if (server) await this._resumeSaves(server);
+            if (owner) this.current = null;
+        }
+    }
 
-        return new Promise((resolve, reject) => {
-            try {
-                zip.writeZip(dest);
-                this.rotateBackups();
-                resolve(filename);
-            } catch (err) {
-                reject(err);
-            }
-        });
+    async _resumeSaves(server) {
+        try {
+            if (await server.resumeSaves()) server.log('[BACKUP] Autosave resumed');
+        } catch (err) {
+            server.log(`[ERROR] Could not resume autosave: ${err.message}`);
+        }
     }
 
+    /**
+     * Snapshots and zip backups with their metadata, newest first. For snapshots
+     * `size` is the total size of the files and `added` the new storage it took.
+     * `retained` lists the rules keeping each backup; an empty list means it is
+     * removed by the next rotation.
+     */
     listBackups() {
-        if (!fs.existsSync(this.backupPath)) return [];
-        return fs.readdirSync(this.backupPath)
+        const backups = this._listAll();
+        const plan = this.retentionPlan(backups);
+        return backups.map(b => ({ ...b, retained: plan.get(b.name) || [] }));
+    }
+
+    _listAll() {
+        const snapshots = this.store.list().map(m => ({
+            name: m.name,
+            type: 'snapshot',
+            size: m.size,
+            added: m.added,
+            files: m.files.length,
+            date: new Date(m.created)
+        }));
+        const zips = !fs.existsSync(this.backupPath) ? [] : fs.readdirSync(this.backupPath)
             .filter(f => f.endsWith('.zip'))
             .map(f => {
                 const stats = fs.statSync(path.join(this.backupPath, f));
-                return { name: f, size: stats.size, date: stats.mtime };
-            })
+                return { name: f, type: 'zip', size: stats.size, date: stats.mtime };
+            });
+        return [...snapshots, ...zips]
+            .map(b => ({ ...b, ...this.readMeta(b.name) }))
             .sort((a, b) => b.date - a.date);
     }
 
+    _metaFile(name) {
+        return path.join(this.metaPath, `${path.basename(name)}.json`);
+    }
+
+    /**
+     * A backup's sidecar. Backups from before sidecars existed have no trigger.
+     */
+    readMeta(name) {
+        const meta = { trigger: null, label: '', note: '', pinned: false };
+        try {
+            Object.assign(meta, JSON.parse(fs.readFileSync(this._metaFile(name), 'utf8')));
+        } catch (err) { }
+        return meta;
+    }
+
+    _writeMeta(name, meta) {
+        fs.mkdirSync(this.metaPath, { recursive: true });
+        fs.writeFileSync(this._metaFile(name), JSON.stringify(meta, null, 2));
+    }
+
+    /**
+     * Single-line label and trimmed note, cut to their maximum lengths
+     */
+    static _cleanMeta({ label, note }) {
+        const clean = {};
+        if (label !== undefined) clean.label = String(label || '').replace(/[\r\n]+/g, ' ').trim().slice(0, BackupManager.MAX_LABEL_LENGTH);
+        if (note !== undefined) clean.note = String(note || '').trim().slice(0, BackupManager.MAX_NOTE_LENGTH);
+        return clean;
+    }
+
+    /**
+     * Change a backup's label, note or pin
+     */
+    updateBackup(name, { label, note, pinned } = {}) {
+        if (!this.store.has(name) && !this.getBackupPath(name)) throw new Error('Backup not found');
+        const meta = { ...this.readMeta(name), ...BackupManager._cleanMeta({ label, note }) };
+        if (pinned !== undefined) meta.pinned = pinned === true || pinned === 'true';
+        this._writeMeta(name, meta);
+        return meta;
+    }
+
+    /**
+     * Write a snapshot to `output` as a zip, for downloads. Rejects if `output`
+     * closes early, e.g. when the client disconnects.
+     */
+    async exportZip(name, output) {
+        const manifest = this.store.read(name);
+        if (!manifest) throw new Error('Backup not found');
+
+        this.exports++;
+        try {
+            await writeZip(output, manifest.files.map(file => ({
+                name: file.path,
+                date: new Date(file.mtime),
+                open: () => this.store.open(file.hash)
+            })));
+        } finally {
+            this.exports--;
+            // A backup or restore in progress runs the deferred gc itself when it rotates
+            if (this.exports === 0 && this.gcPending && !this.current) this._gc();
+        }
+    }
+
     getBackupPath(name) {
         // Sanitize name to prevent path traversal
         const safeName = path.basename(name);
@@ -95,15 +324,229 @@ class BackupManager {
         return fullPath;
     }
 
-    rotateBackups() {
-        const backups = this.listBackups();
-        const max = this.config.backup.max_backups || 5;
-        if (backups.length > max) {
-            const toDelete = backups.slice(max);
-            toDelete.forEach(f => {
-                try { fs.unlinkSync(path.join(this.backupPath, f.name)); } catch (e) { }
-            });
+    /**
+     * Whether a restore leaves this file alone: excluded names and files too big
+     * to have been backed up, since the archive can't hold a copy of them
+     */
+    _preserved(name, fullPath) {
+        if (this.shouldExclude(name)) return true;
+        const stats = fs.lstatSync(fullPath);
+        return stats.isFile() && stats.size > BackupManager.MAX_FILE_SIZE;
+    }
+
+    /**
+     * Delete everything in `dir` that a restore doesn't preserve.
+     * Folders that still hold preserved files are kept.
+     */
+    _clearDir(dir) {
+        for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, item.name);
+            if (this._preserved(item.name, fullPath)) continue;
+            if (item.isDirectory()) {
+                this._clearDir(fullPath);
+                if (fs.readdirSync(fullPath).length === 0) fs.rmdirSync(fullPath);
+            } else {
+                fs.rmSync(fullPath, { force: true });
+            }
+        }
+    }
+
+    /**
+     * Replace the server directory with a backup: stop the server, take a
+     * "pre-restore" backup, clear the directory (keeping excluded files such as
+     * server.jar), write the backup's files and start the server again if it was running.
+     * @param {string} name - Snapshot or zip backup name
+     * @param {MinecraftServer} server - The server using this directory
+     */
+    async restoreBackup(name, server) {
+        if (this.current) throw new Error(`Can't restore while ${this.current.operation === 'restore' ? 'another restore' : 'a backup'} is in progress`);
+
+        // Counters left over from the pre-restore backup don't apply to the later stages
+        const progress = (stage, message, percent = null) => {
+            this._progress({ stage, message, percent, files: null, bytes: null });
+            if (percent === null) server.log(`[BACKUP] ${message}`);
+        };
+
+        const { entries, close } = await this._restoreSource(name);
+
+        this.current = { operation: 'restore', name, startedAt: Date.now() };
+        server.maintenance = `restoring ${name}`;
+        const wasRunning = server.status !== 'stopped';
+        let safety = null;
+        try {
+            if (wasRunning) {
+                progress('stopping', `Stopping the server to restore ${name}...`);
+                await server.stopAndWait();
+            }
+
+            progress('safety-backup', 'Creating a pre-restore backup...');
+            safety = await this._writeBackup({ trigger: 'pre-restore', label: `Before restoring ${name}` });
+
+            progress('clearing', 'Removing current server files...');
+            fs.mkdirSync(this.serverPath, { recursive: true });
+            this._clearDir(this.serverPath);
+
+            const root = path.resolve(this.serverPath);
+            let lastPercent = -1;
+            for (const [i, entry] of entries.entries()) {
+                const dest = path.resolve(root, entry.path);
+                if (!dest.startsWith(root + path.sep)) throw new Error(`Unsafe path in backup: ${entry.path}`);
+                await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+                await entry.write(dest);
+
+                const percent = Math.floor(((i + 1) / entries.length) * 100);
+                if (percent !== lastPercent) {
+                    lastPercent = percent;
+                    progress('extracting', `Restoring ${i + 1}/${entries.length} files`, percent);
+                }
+            }
+            progress('done', `Restored ${name} (${entries.length} files), previous state saved as ${safety}`);
+        } catch (err) {
+            const hint = safety ? ` The previous state is saved as ${safety}.` : '';
+            progress('failed', `Restore of ${name} failed: ${err.message}.${hint}`);
+            throw new Error(`${err.message}.${hint}`);
+        } finally {
+            close();
+            this.current = null;
+            server.maintenance = null;
+        }
+
+        if (wasRunning) server.start();
+        return { restored: name, safetyBackup: safety, restarted: wasRunning };
+    }
+
+    /**
+     * Files to restore as { entries: [{ path, write(dest) }], close() }. The source is
+     * opened up front so rotating old backups during the pre-restore backup can't
+     * remove it; file contents are streamed to disk one entry at a time.
+     */
+    async _restoreSource(name) {
+        const restorable = (entryPath) => !entryPath.split('/').some(part => this.shouldExclude(part));
+
+        const manifest = this.store.read(name);
+        if (manifest) {
+            const entries = manifest.files.filter(f => restorable(f.path)).map(f => ({
+                path: f.path,
+                write: async (dest) => {
+                    await pipeline(this.store.open(f.hash), fs.createWriteStream(dest));
+                    if (f.mtime) await fs.promises.utimes(dest, new Date(), new Date(f.mtime));
+                }
+            }));
+            return { entries, close: () => { } };
+        }
+
+        const filePath = this.getBackupPath(name);
+        if (!filePath) throw new Error('Backup not found');
+        let zip;
+        try {
+            zip = await openZip(filePath);
+        } catch (err) {
+            throw new Error(`${name} is not a readable zip`);
         }
+        const entries = zip.entries.filter(e => !e.isDirectory && restorable(e.name)).map(e => ({
+            path: e.name,
+            write: (dest) => zip.extract(e, dest)
+        }));
+        return { entries, close: () => zip.close() };
+    }
+
+    /**
+     * Retention rules from config.yml. Configs without `backup.retention` keep
+     * the old behaviour of keeping the newest `max_backups`.
+     */
+    get retention() {
+        const backup = this.config.backup || {};
+        if (!backup.retention && backup.max_backups) {
+            return { keep_last: parseInt(backup.max_backups) || 0, hourly: 0, daily: 0, weekly: 0 };
+        }
+        const rules = { ...BackupManager.DEFAULT_RETENTION };
+        for (const [key, value] of Object.entries(backup.retention || {})) {
+            if (key in rules) rules[key] = Math.max(0, parseInt(value) || 0);
+        }
+        return rules;
+    }
+
+    /**
+     * Bucket a date falls into for a retention period (local time, weeks start on Monday)
+     */
+    static periodKey(period, date) {
+        const day = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+        if (period === 'hourly') return `${day} ${date.getHours()}`;
+        if (period === 'daily') return day;
+        const monday = new Date(date.getFullYear(), date.getMonth(), date.getDate() - ((date.getDay() + 6) % 7));
+        return monday.toDateString();
+    }
+
+    /**
+     * Which rules keep each backup: Map of name -> ['pinned', 'last', 'hourly', 'daily', 'weekly'].
+     * Backups not in the map are due for removal.
+     * @param {Array} backups - From _listAll(), newest first
+     */
+    retentionPlan(backups) {
+        const rules = this.retention;
+        const plan = new Map();
+        const keep = (backup, reason) => {
+            if (!plan.has(backup.name)) plan.set(backup.name, []);
+            plan.get(backup.name).push(reason);
+        };
+
+        backups.forEach((backup, i) => {
+            if (backup.pinned) keep(backup, 'pinned');
+            if (i < rules.keep_last) keep(backup, 'last');
+        });
+        // The newest backup of each of the last N periods that have one
+        for (const period of BackupManager.RETENTION_PERIODS) {
+            const seen = new Set();
+            for (const backup of backups) {
+                if (seen.size >= rules[period]) break;
+                const key = BackupManager.periodKey(period, new Date(backup.date));
+                if (seen.has(key)) continue;
+                seen.add(key);
+                keep(backup, period);
+            }
+        }
+        return plan;
+    }
+
+    /**
+     * Remove backups no retention rule keeps, then drop the stored files
+     * that only the removed snapshots used
+     */
+    async rotateBackups() {
+        const backups = this._listAll();
+        const plan = this.retentionPlan(backups);
+        // The source of a running restore may be the oldest backup
+        const restoring = this.current && this.current.operation === 'restore' ? this.current.name : null;
+        const expired = backups.filter(b => !plan.has(b.name) && b.name !== restoring);
+
+        let pruned = false;
+        for (const backup of expired) {
+            if (backup.type === 'snapshot') {
+                pruned = this.store.remove(backup.name) || pruned;
+            } else {
+                try { fs.unlinkSync(path.join(this.backupPath, backup.name)); } catch (e) { }
+            }
+            fs.rmSync(this._metaFile(backup.name), { force: true });
+        }
+        if (pruned || this.gcPending) await this._gc();
+    }
+
+    /**
+     * Drop stored files no snapshot uses. Deferred while an export is still
+     * reading objects; the last export to finish runs it.
+     */
+    async _gc() {
+        if (this.exports > 0) {
+            this.gcPending = true;
+            return;
+        }
+        this.gcPending = false;
+        this.gcRunning = this.store.gc()
+            .catch((err) => {
+                if (this.server) this.server.log(`[ERROR] Backup cleanup skipped: ${err.message}`);
+            })
+            .finally(() => { this.gcRunning = null; });
+        await this.gcRunning;
     }
 }
 
@@ -0,0 +1,189 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const zlib = require('zlib');
+const { Transform, Readable, pipeline: pipe } = require('stream');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Content-addressed backup storage. Every distinct file content is stored once,
+ * gzipped, under objects/<first two hex chars>/<sha256>; a snapshot is a JSON
+ * manifest listing each file's path, hash, size and mtime. Objects no manifest
+ * refers to are removed by gc().
+ *
+ *   <root>/objects/ab/ab12…   file contents
+ *   <root>/snapshots/<name>.json
+ *   <root>/tmp/               objects and manifests being written
+ */
+class SnapshotStore {
+    static MANIFEST_VERSION = 1;
+    static COMPRESSION_LEVEL = 6;
+
+    constructor(root) {
+        this.root = root;
+        this.objectsDir = path.join(root, 'objects');
+        this.snapshotsDir = path.join(root, 'snapshots');
+        this.tmpDir = path.join(root, 'tmp');
+    }
+
+    static isValidName(name) {
+        return typeof name === 'string' && /^[\w.-]+$/.test(name) && !name.startsWith('.') && !name.endsWith('.zip');
+    }
+
+    _manifestPath(name) {
+        return path.join(this.snapshotsDir, `${name}.json`);
+    }
+
+    objectPath(hash) {
+        return path.join(this.objectsDir, hash.slice(0, 2), hash);
+    }
+
+    async hasObject(hash) {
+        try {
+            await fs.promises.access(this.objectPath(hash));
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    /**
+     * Store a file's contents (the first `length` bytes when given).
+     * Returns { hash, size, added } where `added` is the bytes of new storage used, 0 for content already stored.
+     */
+    async put(filePath, length) {
+        await fs.promises.mkdir(this.tmpDir, { recursive: true });
+        const tmp = path.join(this.tmpDir, crypto.randomBytes(8).toString('hex'));
+        const hash = crypto.createHash('sha256');
+        let size = 0;
+        const input = length === 0 ? Readable.from([]) : fs.createReadStream(filePath, length !== undefined ? { end: length - 1 } : {});
+        const tap = new Transform({
+            transform(chunk, encoding, callback) {
+                hash.update(chunk);
+                size += chunk.length;
+                callback(null, chunk);
+            }
+        });
+
+        try {
+            await pipeline(input, tap, zlib.createGzip({ level: SnapshotStore.COMPRESSION_LEVEL }), fs.createWriteStream(tmp));
+            const digest = hash.digest('hex');
+            if (await this.hasObject(digest)) {
+                await fs.promises.rm(tmp, { force: true });
+                return { hash: digest, size, added: 0 };
+            }
+            const dest = this.objectPath(digest);
+            await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+            await fs.promises.rename(tmp, dest);
+            return { hash: digest, size, added: (await fs.promises.stat(dest)).size };
+        } catch (err) {
+            await fs.promises.rm(tmp, { force: true });
+            throw err;
+        }
+    }
+
+    /**
+     * Readable stream of an object's original contents. Destroying it also
+     * closes the underlying file.
+     */
+    open(hash) {
+        const gunzip = zlib.createGunzip();
+        // Errors surface on `gunzip`, which pipeline() destroys along with the file stream
+        pipe(fs.createReadStream(this.objectPath(hash)), gunzip, () => { });
+        return gunzip;
+    }
+
+    /**
+     * Save a manifest: { name, created, files: [{ path, hash, size, mtime }], ... }
+     */
+    async writeManifest(manifest) {
+        if (!SnapshotStore.isValidName(manifest.name)) throw new Error(`Invalid snapshot name: ${manifest.name}`);
+        await fs.promises.mkdir(this.tmpDir, { recursive: true });
+        await fs.promises.mkdir(this.snapshotsDir, { recursive: true });
+        const tmp = path.join(this.tmpDir, `${manifest.name}.json`);
+        await fs.promises.writeFile(tmp, JSON.stringify({ version: SnapshotStore.MANIFEST_VERSION, ...manifest }));
+        await fs.promises.rename(tmp, this._manifestPath(manifest.name));
+    }
+
+    has(name) {
+        return SnapshotStore.isValidName(name) && fs.existsSync(this._manifestPath(name));
+    }
+
+    /**
+     * The manifest of a snapshot, or null if there is none
+     */
+    read(name) {
+        if (!this.has(name)) return null;
+        return JSON.parse(fs.readFileSync(this._manifestPath(name), 'utf8'));
+    }
+
+    _manifestFiles() {
+        if (!fs.existsSync(this.snapshotsDir)) return [];
+        return fs.readdirSync(this.snapshotsDir).filter(file => file.endsWith('.json'));
+    }
+
+    /**
+     * Every readable manifest, newest first
+     */
+    list() {
+        const manifests = [];
+        for (const file of this._manifestFiles()) {
+            try {
+                manifests.push(JSON.parse(fs.readFileSync(path.join(this.snapshotsDir, file), 'utf8')));
+            } catch (err) {
+                // Hidden from the list; gc() won't run until it's repaired or removed
+            }
+        }
+        return manifests.sort((a, b) => new Date(b.created) - new Date(a.created));
+    }
+
+    /**
+     * Delete a snapshot's manifest. Its objects stay until gc().
+     */
+    remove(name) {
+        if (!this.has(name)) return false;
+        fs.rmSync(this._manifestPath(name), { force: true });
+        return true;
+    }
+
+    /**
+     * Delete objects no snapshot refers to, plus leftovers of interrupted writes.
+     * Must not run while a snapshot is being written or read. Throws without
+     * deleting anything if a manifest can't be read, since the objects it
+     * refers to would otherwise be lost for good.
+     * Returns { objects, bytes } removed.
+     */
+    async gc() {
+        const referenced = new Set();
+        for (const file of this._manifestFiles()) {
+            let manifest;
+            try {
+                manifest = JSON.parse(await fs.promises.readFile(path.join(this.snapshotsDir, file), 'utf8'));
+            } catch (err) {
+                throw new Error(`Unreadable snapshot manifest ${file} (${err.message}), not removing unused files`);
+            }
+            if (!Array.isArray(manifest.files)) throw new Error(`Snapshot manifest ${file} has no file list, not removing unused files`);
+            for (const entry of manifest.files) referenced.add(entry.hash);
+        }
+
+        let objects = 0;
+        let bytes = 0;
+        if (fs.existsSync(this.objectsDir)) {
+            for (const prefix of await fs.promises.readdir(this.objectsDir)) {
+                const dir = path.join(this.objectsDir, prefix);
+                for (const hash of await fs.promises.readdir(dir)) {
+                    if (referenced.has(hash)) continue;
+                    const file = path.join(dir, hash);
+                    bytes += (await fs.promises.stat(file)).size;
+                    await fs.promises.rm(file, { force: true });
+                    objects++;
+                }
+                if ((await fs.promises.readdir(dir)).length === 0) await fs.promises.rmdir(dir);
+            }
+        }
+        await fs.promises.rm(this.tmpDir, { recursive: true, force: true });
+        return { objects, bytes };
+    }
+}
+
+module.exports = SnapshotStore;
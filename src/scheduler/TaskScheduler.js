@@ -0,0 +1,270 @@
+const fs = require('fs');
+const crypto = require('crypto');
+const CronExpression = require('../utils/CronExpression');
+const Countdown = require('../server/Countdown');
+
+/**
+ * User-defined tasks that run on a cron schedule against one instance:
+ * a console command, a restart, a backup, a broadcast, or a chain of those.
+ *
+ * Tasks and their last result are kept in a JSON file beside config.yml.
+ * `tick()` is called once a minute and runs every enabled task due that minute.
+ */
+class TaskScheduler {
+    static ACTIONS = ['command', 'restart', 'backup', 'broadcast', 'chain'];
+    // Steps a chain may contain; `wait` pauses between steps
+    static STEP_ACTIONS = ['command', 'restart', 'backup', 'broadcast', 'wait'];
+
+    /**
+     * @param {object} io - Socket.IO server
+     * @param {InstanceManager} instances
+     * @param {string} filePath - Where tasks are persisted
+     */
+    constructor(io, instances, filePath) {
+        this.io = io;
+        this.instances = instances;
+        this.filePath = filePath;
+        this.tasks = [];
+        this.running = new Set();
+        // Set when the saved file couldn't be read: { message, movedTo }
+        this.loadError = null;
+        this.load();
+    }
+
+    /**
+     * Read the saved tasks. A file that can't be parsed is moved aside (so the next
+     * save doesn't overwrite it) and the scheduler starts empty.
+     */
+    load() {
+        if (!fs.existsSync(this.filePath)) return;
+        try {
+            const data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+            this.tasks = Array.isArray(data.tasks) ? data.tasks : [];
+        } catch (err) {
+            const movedTo = `${this.filePath}.corrupt-${Date.now()}`;
+            fs.renameSync(this.filePath, movedTo);
+            this.tasks = [];
+            this.loadError = { message: err.message, movedTo };
+        }
+    }
+
+    /**
+     * Write to a temporary file and rename it over the old one, so a crash
+     * mid-write never leaves a truncated file
+     */
+    save() {
+        const tmp = `${this.filePath}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify({ tasks: this.tasks }, null, 2), 'utf8');
+        fs.renameSync(tmp, this.filePath);
+    }
+
+    /**
+     * Check an action (or chain step) and return it with only its known fields
+     */
+    static normalizeAction(action, { step = false } = {}) {
+        const allowed = step ? TaskScheduler.STEP_ACTIONS : TaskScheduler.ACTIONS;
+        if (!action || !allowed.includes(action.type)) {
+            throw new Error(`Action must be one of: ${allowed.join(', ')}`);
+        }
+
+        switch (action.type) {
+            case 'command': {
+                const command = String(action.command || '').trim().replace(/^\//, '');
+                if (!command) throw new Error('Command is required');
+                if (/[\r\n]/.test(command)) throw new Error('Command must be a single line');
+                return { type: 'command', command };
+            }
+            case 'broadcast': {
+                const message = String(action.message || '').trim();
+                if (!message) throw new Error('Broadcast message is required');
+                if (/[\r\n]/.test(message)) throw new Error('Broadcast message must be a single line');
+                return { type: 'broadcast', message };
+            }
+            case 'restart':
+                return { type: 'restart', delay: Countdown.parseDuration(action.delay || 0) };
+            case 'wait': {
+                const seconds = Countdown.parseDuration(action.seconds || 0);
+                if (seconds < 1 || seconds > 3600) throw new Error('Wait must be between 1 second and 1 hour');
+                return { type: 'wait', seconds };
+            }
+            case 'chain': {
+                if (!Array.isArray(action.steps) || action.steps.length === 0) throw new Error('A chain needs at least one step');
+                return { type: 'chain', steps: action.steps.map(s => TaskScheduler.normalizeAction(s, { step: true })) };
+            }
+            default:
+                return { type: action.type };
+        }
+    }
+
+    _validate(task) {
+        const name = String(task.name || '').trim();
+        if (!name) throw new Error('Name is required');
+        if (!this.instances.has(task.instance)) throw new Error(`Instance "${task.instance}" not found`);
+        new CronExpression(task.cron);
+        return {
+            name,
+            instance: task.instance,
+            cron: String(task.cron).trim(),
+            enabled: task.enabled !== false,
+            action: TaskScheduler.normalizeAction(task.action)
+        };
+    }
+
+    /**
+     * Task with its next run time and whether it's running right now
+     */
+    describe(task, now = new Date()) {
+        let nextRun = null;
+        if (task.enabled) {
+            try {
+                const next = new CronExpression(task.cron).next(now);
+                nextRun = next ? next.getTime() : null;
+            } catch (e) { }
+        }
+        return { ...task, nextRun, running: this.running.has(task.id) };
+    }
+
+    list(instanceId = null) {
+        const now = new Date();
+        return this.tasks
+            .filter(t => !instanceId || t.instance === instanceId)
+            .map(t => this.describe(t, now));
+    }
+
+    get(id) {
+        const task = this.tasks.find(t => t.id === id);
+        if (!task) throw new Error('Task not found');
+        return task;
+    }
+
+    create(data) {
+        const task = {
+            id: crypto.randomBytes(6).toString('hex'),
+            ...this._validate(data),
+            createdAt: Date.now(),
+            lastRun: null
+        };
+        this.tasks.push(task);
+        this.save();
+        return this.describe(task);
+    }
+
+    update(id, changes) {
+        const task = this.get(id);
+        const { name, instance, cron, enabled, action } = { ...task, ...changes };
+        Object.assign(task, this._validate({ name, instance, cron, enabled, action }));
+        this.save();
+        return this.describe(task);
+    }
+
+    delete(id) {
+        this.get(id);
+        this.tasks = this.tasks.filter(t => t.id !== id);
+        this.save();
+    }
+
+    /**
+     * Drop tasks that belong to a deleted instance
+     */
+    removeInstance(instanceId) {
+        const before = this.tasks.length;
+        this.tasks = this.tasks.filter(t => t.instance !== instanceId);
+        if (this.tasks.length !== before) this.save();
+    }
+
+    /**
+     * Run every enabled task whose schedule matches the minute of `now`
+     */
+    tick(now = new Date()) {
+        for (const task of this.tasks) {
+            if (!task.enabled) continue;
+            let due;
+            try {
+                due = new CronExpression(task.cron).matches(now);
+            } catch (e) {
+                due = false;
+            }
+            if (due) this.run(task.id, 'schedule').catch(() => { });
+        }
+    }
+
+    /**
+     * Run a task now and record the outcome as its last run
+     * @param {string} trigger - 'schedule' or 'manual'
+     */
+    async run(id, trigger = 'manual') {
+        const task = this.get(id);
+        if (this.running.has(id)) throw new Error(`"${task.name}" is already running`);
+        const instance = this.instances.get(task.instance);
+        if (!instance) throw new Error(`Instance "${task.instance}" not found`);
+
+        const server = instance.server;
+        const started = Date.now();
+        this.running.add(id);
+        this.io.emit('schedule-run', this.describe(task));
+        server.log(`[SCHEDULE] Running "${task.name}"${trigger === 'manual' ? ' (run now)' : ''}`);
+
+        let ok = true;
+        let message;
+        try {
+            message = await this._execute(task.action, instance, task);
+        } catch (err) {
+            ok = false;
+            message = err.message;
+            server.log(`[SCHEDULE] "${task.name}" failed: ${err.message}`);
+        } finally {
+            this.running.delete(id);
+        }
+
+        task.lastRun = { time: started, trigger, ok, message, duration: Date.now() - started };
+        // The task may have been deleted while it ran
+        if (this.tasks.includes(task)) this.save();
+        this.io.emit('schedule-run', this.describe(task));
+        return task.lastRun;
+    }
+
+    _requireRunning(server, what) {
+        if (server.status !== 'running') throw new Error(`Server is not running, ${what} skipped`);
+    }
+
+    async _execute(action, instance, task) {
+        const server = instance.server;
+        switch (action.type) {
+            case 'command': {
+                this._requireRunning(server, 'command');
+                const response = await server.sendCommand(action.command);
+                return response ? response.trim() || 'Command sent' : 'Command sent';
+            }
+            case 'broadcast':
+                this._requireRunning(server, 'broadcast');
+                await server.sendCommand(`say ${action.message}`);
+                return 'Message broadcast';
+            case 'restart':
+                this._requireRunning(server, 'restart');
+                server.scheduleAction('restart', action.delay, { reason: task.name, source: 'schedule' });
+                return action.delay ? `Restarting in ${Countdown.formatDuration(action.delay)}` : 'Restarting';
+            case 'backup': {
+                const name = await instance.backups.createBackup({ trigger: 'scheduled', label: task.name });
+                return `Backup created: ${name}`;
+            }
+            case 'wait':
+                await new Promise(resolve => setTimeout(resolve, action.seconds * 1000));
+                return `Waited ${Countdown.formatDuration(action.seconds)}`;
+            case 'chain': {
+                const results = [];
+                for (const [i, step] of action.steps.entries()) {
+                    try {
+                        results.push(await this._execute(step, instance, task));
+                    } catch (err) {
+                        throw new Error(`Step ${i + 1} (${step.type}): ${err.message}`);
+                    }
+                }
+                return results.join('; ');
+            }
+            default:
+                throw new Error(`Unknown action "${action.type}"`);
+        }
+    }
+}
+
+module.exports = TaskScheduler;
@@ -0,0 +1,374 @@
+const fs = require('fs');
+const path = require('path');
+const net = require('net');
+const UuidResolver = require('./UuidResolver');
+
+/**
+ * Whitelist, operators and bans for one server.
+ *
+ * While the server is running changes go through console commands, since it
+ * keeps these lists in memory and would overwrite edits to the files. While
+ * it's stopped the JSON files are edited directly (names are resolved to UUIDs
+ * with UuidResolver). Lists are always read from the files, which the server
+ * rewrites on every change.
+ *
+ * Bedrock has an allowlist and operators but no ban lists; its operators are
+ * stored by XUID, so they can only be changed while the server is running.
+ */
+class AccessManager {
+    static LISTS = ['whitelist', 'ops', 'bans', 'ip-bans'];
+    static FILES = {
+        whitelist: 'whitelist.json',
+        ops: 'ops.json',
+        bans: 'banned-players.json',
+        'ip-bans': 'banned-ips.json'
+    };
+    // Temporary bans made while running: the ban command can't set an expiry, so the panel lifts them
+    static EXPIRY_FILE = '.ban-expiry.json';
+    // Replies to list commands that mean nothing was changed
+    static FAILURE = /^(Nothing changed|That player does not exist|Invalid|Unknown|Incorrect|Could not|No player was found)/i;
+
+    /**
+     * @param {MinecraftServer} server
+     */
+    constructor(server) {
+        this.server = server;
+        this.resolver = new UuidResolver(server);
+    }
+
+    get type() {
+        return this.server.config.server.type;
+    }
+
+    get running() {
+        return this.server.status === 'running';
+    }
+
+    /**
+     * A starting server has read the files but can't take commands yet
+     */
+    _checkNotStarting() {
+        if (this.server.status === 'starting') throw new Error('The server is starting, try again once it is running');
+    }
+
+    /**
+     * What this server supports, for the UI
+     */
+    capabilities() {
+        const java = this.type === 'java';
+        return {
+            lists: java ? AccessManager.LISTS : ['whitelist', 'ops'],
+            live: this.running,
+            // Vanilla `op` always grants op-permission-level, so other levels need the server stopped
+            opLevels: java && !this.running,
+            opsEditable: java || this.running
+        };
+    }
+
+    /**
+     * "yyyy-MM-dd HH:mm:ss +0000", the date format of the Java ban files
+     */
+    static formatBanDate(time) {
+        return new Date(time).toISOString().replace('T', ' ').replace(/\.\d+Z$/, ' +0000');
+    }
+
+    static parseBanDate(text) {
+        if (!text || text === 'forever') return null;
+        const match = String(text).match(/^(\d{4}-\d{2}-\d{2}) (\d{2}:\d{2}:\d{2}) ([+-]\d{2})(\d{2})$/);
+        const time = match ? Date.parse(`${match[1]}T${match[2]}${match[3]}:${match[4]}`) : Date.parse(text);
+        return isNaN(time) ? null : time;
+    }
+
+    _file(list) {
+        if (!AccessManager.LISTS.includes(list)) throw new Error(`Unknown list "${list}"`);
+        if (!this.capabilities().lists.includes(list)) throw new Error('Bedrock servers have no ban lists');
+        if (this.type === 'bedrock') {
+            if (list === 'ops') return path.join(this.server.serverPath, 'permissions.json');
+            // allowlist.json replaced whitelist.json in Bedrock 1.18.10
+            const legacy = path.join(this.server.serverPath, 'whitelist.json');
+            const current = path.join(this.server.serverPath, 'allowlist.json');
+            return !fs.existsSync(current) && fs.existsSync(legacy) ? legacy : current;
+        }
+        return path.join(this.server.serverPath, AccessManager.FILES[list]);
+    }
+
+    _read(list) {
+        const file = this._file(list);
+        if (!fs.existsSync(file)) return [];
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            throw new Error(`${path.basename(file)} is not valid JSON (${err.message})`);
+        }
+        return Array.isArray(data) ? data : [];
+    }
+
+    _write(list, entries) {
+        fs.writeFileSync(this._file(list), JSON.stringify(entries, null, 2), 'utf8');
+    }
+
+    _expiryPath() {
+        return path.join(this.server.serverPath, AccessManager.EXPIRY_FILE);
+    }
+
+    _readExpiries() {
+        try {
+            return JSON.parse(fs.readFileSync(this._expiryPath(), 'utf8'));
+        } catch (e) {
+            return { bans: {}, 'ip-bans': {} };
+        }
+    }
+
+    _writeExpiries(expiries) {
+        const empty = Object.values(expiries).every(e => Object.keys(e).length === 0);
+        if (empty) fs.rmSync(this._expiryPath(), { force: true });
+        else fs.writeFileSync(this._expiryPath(), JSON.stringify(expiries, null, 2), 'utf8');
+    }
+
+    static _key(list, entry) {
+        return list === 'ip-bans' ? entry.ip : String(entry.name || entry.xuid || '').toLowerCase();
+    }
+
+    /**
+     * Entries of one list in a common shape
+     */
+    list(list) {
+        const entries = this._read(list);
+        const expiries = list === 'bans' || list === 'ip-bans' ? this._readExpiries()[list] || {} : {};
+
+        return entries.map((e) => {
+            switch (list) {
+                case 'whitelist':
+                    return { name: e.name, uuid: e.uuid || null, xuid: e.xuid || null };
+                case 'ops':
+                    if (this.type === 'bedrock') return { name: null, xuid: e.xuid, level: e.permission };
+                    return { name: e.name, uuid: e.uuid, level: e.level, bypassesPlayerLimit: e.bypassesPlayerLimit === true };
+                default: {
+                    const base = list === 'ip-bans' ? { ip: e.ip } : { name: e.name, uuid: e.uuid };
+                    return {
+                        ...base,
+                        reason: e.reason || null,
+                        source: e.source || null,
+                        created: AccessManager.parseBanDate(e.created),
+                        expires: AccessManager.parseBanDate(e.expires) || expiries[AccessManager._key(list, e)] || null
+                    };
+                }
+            }
+        });
+    }
+
+    all() {
+        const lists = {};
+        for (const list of this.capabilities().lists) {
+            try {
+                lists[list] = this.list(list);
+            } catch (err) {
+                lists[list] = [];
+            }
+        }
+        return { capabilities: this.capabilities(), lists };
+    }
+
+    /**
+     * Run a list command on the running server. Replies that mean nothing
+     * changed become errors; with stdin only there is no reply to check.
+     */
+    async _command(cmd) {
+        const response = await this.server.sendCommand(cmd);
+        const text = response ? response.trim() : null;
+        if (text && AccessManager.FAILURE.test(text)) throw new Error(text);
+        return text;
+    }
+
+    static _validateIp(ip) {
+        if (!net.isIP(String(ip || ''))) throw new Error(`Invalid IP address "${ip}"`);
+        return String(ip);
+    }
+
+    static _reason(reason) {
+        const text = String(reason || '').trim();
+        if (/[\r\n]/.test(text)) throw new Error('Reason must be a single line');
+        return text;
+    }
+
+    static _expires(expires) {
+        if (expires === undefined || expires === null || expires === '') return null;
+        const time = typeof expires === 'number' ? expires : Date.parse(expires);
+        if (isNaN(time)) throw new Error(`Invalid expiry "${expires}"`);
+        if (time <= Date.now()) throw new Error('Expiry must be in the future');
+        return time;
+    }
+
+    /**
+     * Add an entry. `entry` is { name } or { ip } for IP bans, plus
+     * `level` for ops and `reason`/`expires` for bans.
+     * Returns { live, response, note }.
+     */
+    async add(list, entry, { source = 'Server' } = {}) {
+        this._file(list);
+        this._checkNotStarting();
+        const name = list === 'ip-bans' ? null : String(entry.name || '').trim();
+        if (name !== null && !UuidResolver.isValidName(name)) throw new Error(`Invalid player name "${entry.name}"`);
+        const ip = list === 'ip-bans' ? AccessManager._validateIp(entry.ip) : null;
+        const reason = AccessManager._reason(entry.reason);
+        const expires = list === 'bans' || list === 'ip-bans' ? AccessManager._expires(entry.expires) : null;
+        let level = null;
+        if (list === 'ops' && entry.level !== undefined && entry.level !== null && entry.level !== '') {
+            level = parseInt(entry.level);
+            if (isNaN(level) || level < 1 || level > 4) throw new Error('Op level must be between 1 and 4');
+        }
+
+        if (this.running) return this._addLive(list, { name, ip, reason, expires, level });
+
+        if (this.type === 'bedrock') {
+            if (list === 'ops') throw new Error('Bedrock operators are stored by XUID; start the server to op a player');
+            const entries = this._read(list);
+            if (entries.some(e => e.name && e.name.toLowerCase() === name.toLowerCase())) throw new Error(`${name} is already on the allowlist`);
+            entries.push({ ignoresPlayerLimit: false, name });
+            this._write(list, entries);
+            return { live: false };
+        }
+        return this._addToFile(list, { name, ip, reason, expires, level, source });
+    }
+
+    async _addLive(list, { name, ip, reason, expires, level }) {
+        let cmd;
+        if (list === 'whitelist') cmd = `${this.type === 'bedrock' ? 'allowlist' : 'whitelist'} add ${name}`;
+        if (list === 'ops') cmd = `op ${name}`;
+        if (list === 'bans') cmd = `ban ${name}${reason ? ` ${reason}` : ''}`;
+        if (list === 'ip-bans') cmd = `ban-ip ${ip}${reason ? ` ${reason}` : ''}`;
+        const response = await this._command(cmd);
+
+        let note = null;
+        if (level !== null && this.type === 'java') {
+            const defaultLevel = parseInt(this.server._readProperties()['op-permission-level']) || 4;
+            if (level !== defaultLevel) note = `Operators added while running get level ${defaultLevel} (op-permission-level). Stop the server to set level ${level}.`;
+        }
+        if (expires) {
+            const expiries = this._readExpiries();
+            expiries[list] = { ...(expiries[list] || {}), [list === 'ip-bans' ? ip : name.toLowerCase()]: expires };
+            this._writeExpiries(expiries);
+        }
+        return { live: true, response, note };
+    }
+
+    async _addToFile(list, { name, ip, reason, expires, level, source }) {
+        const entries = this._read(list);
+
+        if (list === 'ip-bans') {
+            if (entries.some(e => e.ip === ip)) throw new Error(`${ip} is already banned`);
+            entries.push({
+                ip,
+                created: AccessManager.formatBanDate(Date.now()),
+                source,
+                expires: expires ? AccessManager.formatBanDate(expires) : 'forever',
+                reason: reason || 'Banned by an operator.'
+            });
+            this._write(list, entries);
+            return { live: false };
+        }
+
+        const profile = await this.resolver.resolve(name);
+        const existing = entries.find(e => e.uuid === profile.uuid);
+        if (existing && list !== 'ops') throw new Error(`${profile.name} is already ${list === 'bans' ? 'banned' : 'whitelisted'}`);
+
+        if (list === 'whitelist') entries.push({ uuid: profile.uuid, name: profile.name });
+        if (list === 'ops') {
+            const defaultLevel = parseInt(this.server._readProperties()['op-permission-level']) || 4;
+            if (existing) {
+                existing.level = level !== null ? level : existing.level;
+            } else {
+                entries.push({ uuid: profile.uuid, name: profile.name, level: level !== null ? level : defaultLevel, bypassesPlayerLimit: false });
+            }
+        }
+        if (list === 'bans') {
+            entries.push({
+                uuid: profile.uuid,
+                name: profile.name,
+                created: AccessManager.formatBanDate(Date.now()),
+                source,
+                expires: expires ? AccessManager.formatBanDate(expires) : 'forever',
+                reason: reason || 'Banned by an operator.'
+            });
+        }
+        this._write(list, entries);
+        return { live: false };
+    }
+
+    /**
+     * Remove an entry by player name (or IP for IP bans)
+     */
+    async remove(list, key) {
+        this._file(list);
+        this._checkNotStarting();
+        const value = String(key || '').trim();
+        if (list === 'ip-bans') AccessManager._validateIp(value);
+        else if (!UuidResolver.isValidName(value)) throw new Error(`Invalid player name "${key}"`);
+
+        // A temporary ban keeps its expiry until the pardon has gone through, so a failed
+        // removal is retried by expireBans() instead of leaving the ban permanent
+        if (this.running) {
+            const cmd = {
+                whitelist: `${this.type === 'bedrock' ? 'allowlist' : 'whitelist'} remove ${value}`,
+                ops: `deop ${value}`,
+                bans: `pardon ${value}`,
+                'ip-bans': `pardon-ip ${value}`
+            }[list];
+            let response;
+            try {
+                response = await this._command(cmd);
+            } catch (err) {
+                // "Nothing changed": the ban is already gone
+                if (/^Nothing changed/i.test(err.message)) this._clearExpiry(list, value);
+                throw err;
+            }
+            this._clearExpiry(list, value);
+            return { live: true, response };
+        }
+
+        if (this.type === 'bedrock' && list === 'ops') throw new Error('Bedrock operators are stored by XUID; start the server to deop a player');
+        const entries = this._read(list);
+        const remaining = entries.filter(e => AccessManager._key(list, e) !== value.toLowerCase() && e.ip !== value);
+        if (remaining.length === entries.length) {
+            this._clearExpiry(list, value);
+            throw new Error(`${value} is not on the list`);
+        }
+        this._write(list, remaining);
+        this._clearExpiry(list, value);
+        return { live: false };
+    }
+
+    _clearExpiry(list, key) {
+        if (list !== 'bans' && list !== 'ip-bans') return;
+        const expiries = this._readExpiries();
+        const id = list === 'ip-bans' ? key : key.toLowerCase();
+        if (expiries[list] && expiries[list][id] !== undefined) {
+            delete expiries[list][id];
+            this._writeExpiries(expiries);
+        }
+    }
+
+    /**
+     * Lift temporary bans made while running once they expire. Called every minute.
+     */
+    async expireBans(now = Date.now()) {
+        if (this.type !== 'java' || this.server.status === 'starting' || !fs.existsSync(this._expiryPath())) return;
+        const expiries = this._readExpiries();
+        for (const list of ['bans', 'ip-bans']) {
+            for (const [key, expires] of Object.entries(expiries[list] || {})) {
+                if (expires > now) continue;
+                try {
+                    await this.remove(list, key);
+                    this.server.log(`[SYSTEM] Temporary ban of ${key} expired`);
+                } catch (err) {
+                    // Already pardoned by hand; remove() has dropped the expiry
+                    if (/^Nothing changed|is not on the list$/i.test(err.message)) continue;
+                    this.server.log(`[ERROR] Could not lift the temporary ban of ${key}, will retry: ${err.message}`);
+                }
+            }
+        }
+    }
+}
+
+module.exports = AccessManager;
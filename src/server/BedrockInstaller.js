@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+/**
+ * Installs or upgrades a Bedrock Dedicated Server from its official zip.
+ * User-owned config and worlds are kept when they already exist.
+ */
+class BedrockInstaller {
+    // Top-level entries that belong to the operator once they exist
+    static PRESERVE = [
+        'server.properties',
+        'permissions.json',
+        'allowlist.json',
+        'whitelist.json',
+        'worlds',
+        'config'
+    ];
+
+    static BINARY = 'bedrock_server';
+
+    static isZip(filePath) {
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const magic = Buffer.alloc(2);
+            fs.readSync(fd, magic, 0, 2, 0);
+            return magic.toString('ascii') === 'PK';
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Extract `zipPath` into `serverPath`.
+     * Returns { preserved: string[], files: number }
+     */
+    static install(zipPath, serverPath) {
+        if (!BedrockInstaller.isZip(zipPath)) {
+            throw new Error('Bedrock download is not a zip archive');
+        }
+
+        const root = path.resolve(serverPath);
+        const zip = new AdmZip(zipPath);
+        const preserved = new Set();
+        let files = 0;
+
+        for (const entry of zip.getEntries()) {
+            const entryName = entry.entryName.replace(/\\/g, '/');
+            const top = entryName.split('/')[0];
+            const target = path.resolve(root, entryName);
+
+            // Zip-slip guard
+            if (target !== root && !target.startsWith(root + path.sep)) continue;
+
+            if (BedrockInstaller.PRESERVE.includes(top) && fs.existsSync(path.join(root, top))) {
+                preserved.add(top);
+                continue;
+            }
+
+            if (entry.isDirectory) {
+                fs.mkdirSync(target, { recursive: true });
+                continue;
+            }
+
+            fs.mkdirSync(path.dirname(target), { recursive: true });
+            fs.writeFileSync(target, entry.getData());
+            files++;
+        }
+
+        const binary = path.join(root, BedrockInstaller.BINARY);
+        if (!fs.existsSync(binary)) throw new Error(`Archive did not contain ${BedrockInstaller.BINARY}`);
+        fs.chmodSync(binary, 0o755);
+
+        return { preserved: [...preserved], files };
+    }
+}
+
+module.exports = BedrockInstaller;
@@ -0,0 +1,120 @@
+/**
+ * A cancellable countdown to a stop or restart that warns players in-game
+ * with `say` and `title` at configured points (e.g. 5m, 1m, 10s before).
+ */
+class Countdown {
+    static DEFAULT_WARNINGS = ['15m', '10m', '5m', '1m', '30s', '10s', '5s', '4s', '3s', '2s', '1s'];
+    static DEFAULT_MESSAGE = 'Server {action} in {time}';
+
+    /**
+     * Parse "90", "90s", "5m", "1h" or a number of seconds into seconds
+     */
+    static parseDuration(value) {
+        if (typeof value === 'number') return Math.max(0, Math.floor(value));
+        const match = String(value).trim().match(/^(\d+)\s*(s|m|h)?$/i);
+        if (!match) throw new Error(`Invalid duration "${value}" (use e.g. 30s, 5m, 1h)`);
+        const n = parseInt(match[1]);
+        return n * ({ h: 3600, m: 60, s: 1 }[(match[2] || 's').toLowerCase()]);
+    }
+
+    /**
+     * Human-readable duration: "5 minutes", "1 minute 30 seconds", "10 seconds"
+     */
+    static formatDuration(seconds) {
+        const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+        const parts = [];
+        if (seconds >= 3600) parts.push(plural(Math.floor(seconds / 3600), 'hour'));
+        if (seconds % 3600 >= 60) parts.push(plural(Math.floor((seconds % 3600) / 60), 'minute'));
+        if (seconds % 60 || seconds === 0) parts.push(plural(seconds % 60, 'second'));
+        return parts.join(' ');
+    }
+
+    /**
+     * Next time one of the daily "HH:MM" entries comes round after `now`
+     */
+    static nextDaily(times, now = new Date()) {
+        let next = null;
+        for (const time of times || []) {
+            const match = String(time).match(/^(\d{1,2}):(\d{2})$/);
+            if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) continue;
+            const at = new Date(now);
+            at.setHours(parseInt(match[1]), parseInt(match[2]), 0, 0);
+            if (at <= now) at.setDate(at.getDate() + 1);
+            if (!next || at < next) next = at;
+        }
+        return next;
+    }
+
+    /**
+     * @param {MinecraftServer} server
+     * @param {object} options - { action: 'stop'|'restart', seconds, reason, source }
+     */
+    constructor(server, { action, seconds, reason = null, source = 'manual' }) {
+        const settings = server.config.server.countdown || {};
+        this.server = server;
+        this.action = action;
+        this.seconds = seconds;
+        this.reason = reason;
+        this.source = source;
+        this.title = settings.title !== false;
+        this.message = settings.message || Countdown.DEFAULT_MESSAGE;
+        this.warnings = (settings.warnings || Countdown.DEFAULT_WARNINGS).map(Countdown.parseDuration);
+        this.endsAt = null;
+        this.timers = [];
+    }
+
+    /**
+     * Start warning players and run `onDone` when time is up
+     */
+    start(onDone) {
+        this.endsAt = Date.now() + this.seconds * 1000;
+
+        // Always announce once at the start, then at each warning point still ahead
+        const points = new Set([this.seconds, ...this.warnings.filter(w => w < this.seconds)]);
+        for (const remaining of points) {
+            this.timers.push(setTimeout(() => this.warn(remaining), (this.seconds - remaining) * 1000));
+        }
+        this.timers.push(setTimeout(onDone, this.seconds * 1000));
+    }
+
+    cancel() {
+        for (const timer of this.timers) clearTimeout(timer);
+        this.timers = [];
+    }
+
+    _text(remaining) {
+        const verb = this.action === 'restart' ? 'restarting' : 'stopping';
+        const text = this.message
+            .replace('{action}', verb)
+            .replace('{time}', Countdown.formatDuration(remaining));
+        return this.reason ? `${text} (${this.reason})` : text;
+    }
+
+    async warn(remaining) {
+        if (this.server.status !== 'running') return;
+        const text = this._text(remaining);
+        this.server.log(`[SYSTEM] ${text}`);
+        await this.server.sendCommand(`say ${text}`);
+        if (this.title) await this.server.sendCommand(Countdown.titleCommand(this.server.config.server.type, text));
+    }
+
+    /**
+     * Java takes a JSON text component; Bedrock takes plain text
+     */
+    static titleCommand(type, text) {
+        if (type === 'bedrock') return `title @a title ${text}`;
+        return `title @a title ${JSON.stringify({ text, color: 'gold' })}`;
+    }
+
+    toJSON() {
+        return {
+            action: this.action,
+            seconds: this.seconds,
+            endsAt: this.endsAt,
+            reason: this.reason,
+            source: this.source
+        };
+    }
+}
+
+module.exports = Countdown;
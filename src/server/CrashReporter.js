@@ -0,0 +1,262 @@
+const fs = require('fs');
+const path = require('path');
+const cgroup = require('../utils/cgroup');
+
+/**
+ * Records why a server died: exit code/signal, restart attempt, the console
+ * lines before exit, any new `crash-reports/*.txt` or `hs_err_pid*.log`, and
+ * likely causes matched from all of that. Records are kept as JSON files in
+ * `<server>/.crashes`.
+ */
+class CrashReporter {
+    static DIR = '.crashes';
+    static MAX_RECORDS = 50;
+    static CONSOLE_LINES = 200;
+    static MAX_FILE_BYTES = 64 * 1024;
+
+    // Known failure signatures, checked against the console tail and report files
+    static CAUSES = [
+        {
+            id: 'oom-kill',
+            title: 'Killed by the system (out of memory)',
+            hint: 'The container or OS ran out of memory. Lower the server memory setting or raise the container limit.',
+            test: (ctx) => ctx.oomKilled || (!ctx.hang && ((ctx.signal === 'SIGKILL' && !ctx.intentional) || ctx.code === 137))
+        },
+        {
+            id: 'java-heap',
+            title: 'Java heap exhausted',
+            hint: 'The server needs more memory than -Xmx allows. Raise the memory setting or reduce view distance / plugins.',
+            test: (ctx) => /java\.lang\.OutOfMemoryError/.test(ctx.text)
+        },
+        {
+            id: 'native-memory',
+            title: 'JVM could not allocate native memory',
+            hint: 'The JVM ran out of memory outside the heap. Leave more headroom between the memory setting and the container limit.',
+            test: (ctx) => /Native memory allocation \(\w+\) failed|There is insufficient memory for the Java Runtime/.test(ctx.text)
+        },
+        {
+            id: 'port-in-use',
+            title: 'Port already in use',
+            hint: 'Another process (or instance) is bound to the server port. Change server-port or stop the other server.',
+            test: (ctx) => /FAILED TO BIND TO PORT|Address already in use|Network port occupied/i.test(ctx.text)
+        },
+        {
+            id: 'unsupported-java',
+            title: 'Unsupported Java version',
+            hint: 'The server or a plugin/mod was built for a different Java version. Pick a matching runtime on the Software tab.',
+            test: (ctx) => /UnsupportedClassVersionError|compiled by a more recent version of the Java Runtime|Unsupported Java detected|requires (a )?Java \d+/i.test(ctx.text)
+        },
+        {
+            id: 'mod-conflict',
+            title: 'Mod or plugin conflict',
+            hint: 'A mod or plugin is incompatible, duplicated or missing a dependency. Check the report for the mods named.',
+            test: (ctx) => /Incompatible mods? found|Mod resolution failed|Mod loading has failed|Duplicate mods? found|DuplicateModsFoundException|Missing or unsupported mandatory dependencies|Ambiguous plugin name|UnknownDependencyException/i.test(ctx.text)
+        },
+        {
+            id: 'eula',
+            title: 'EULA not accepted',
+            hint: 'Set eula=true in eula.txt.',
+            test: (ctx) => /You need to agree to the EULA/.test(ctx.text)
+        },
+        {
+            id: 'watchdog',
+            title: 'Server stopped responding',
+            hint: 'The server froze and was stopped by a watchdog. The thread dump shows where the main thread was stuck.',
+            test: (ctx) => ctx.hang || /A single server tick took|The server has stopped responding/i.test(ctx.text)
+        }
+    ];
+
+    /**
+     * Decode the "class file version N" in UnsupportedClassVersionError into the Java major it needs
+     */
+    static requiredJava(text) {
+        const match = text.match(/class file version (\d+)\.\d+\)?,? this version of the Java Runtime only recognizes class file versions up to (\d+)/);
+        return match ? { needs: parseInt(match[1]) - 44, running: parseInt(match[2]) - 44 } : null;
+    }
+
+    /**
+     * @param {MinecraftServer} server
+     */
+    constructor(server) {
+        this.server = server;
+        this.dir = path.join(server.serverPath, CrashReporter.DIR);
+        this.runStartedAt = null;
+        this.oomAtStart = null;
+    }
+
+    /**
+     * Remember when this run started so only newer report files are attached
+     */
+    markStart(startedAt = Date.now()) {
+        this.runStartedAt = startedAt;
+        this.oomAtStart = cgroup.oomKillCount();
+    }
+
+    _readExcerpt(filePath) {
+        const fd = fs.openSync(filePath, 'r');
+        try {
+            const buffer = Buffer.alloc(Math.min(fs.fstatSync(fd).size, CrashReporter.MAX_FILE_BYTES));
+            fs.readSync(fd, buffer, 0, buffer.length, 0);
+            return buffer.toString('utf8');
+        } finally {
+            fs.closeSync(fd);
+        }
+    }
+
+    /**
+     * Report files written during this run: crash-reports/*.txt, watchdog thread dumps and this pid's hs_err log
+     */
+    _newReportFiles(pid) {
+        const files = [];
+        const since = (this.runStartedAt || 0) - 1000;
+        const reportsDir = path.join(this.server.serverPath, 'crash-reports');
+
+        if (fs.existsSync(reportsDir)) {
+            for (const name of fs.readdirSync(reportsDir)) {
+                const full = path.join(reportsDir, name);
+                const stat = fs.statSync(full);
+                if (stat.isFile() && stat.mtimeMs >= since) files.push({ name: `crash-reports/${name}`, full });
+            }
+        }
+        const dumpsDir = path.join(this.server.serverPath, 'thread-dumps');
+        if (fs.existsSync(dumpsDir)) {
+            for (const name of fs.readdirSync(dumpsDir)) {
+                const full = path.join(dumpsDir, name);
+                if (fs.statSync(full).mtimeMs >= since) files.push({ name: `thread-dumps/${name}`, full });
+            }
+        }
+        const hsErr = path.join(this.server.serverPath, `hs_err_pid${pid}.log`);
+        if (fs.existsSync(hsErr)) files.push({ name: path.basename(hsErr), full: hsErr });
+
+        return files.map(f => ({ name: f.name, content: this._readExcerpt(f.full) }));
+    }
+
+    /**
+     * One-line summary: the report's Description and first exception, or the last error line
+     */
+    static summarize(files, consoleLines) {
+        for (const file of files) {
+            const description = file.content.match(/^Description: (.+)$/m);
+            const exception = file.content.match(/^([\w.$]+(?:Exception|Error)(?::[^\n]*)?)$/m);
+            if (description || exception) {
+                return [description && description[1], exception && exception[1]].filter(Boolean).join(' — ');
+            }
+            const problem = file.content.match(/^#\s+(\w[^\n]*(?:SIGSEGV|SIGBUS|Out of Memory|insufficient memory)[^\n]*)$/m);
+            if (problem) return problem[1].trim();
+        }
+        const errorLine = [...consoleLines].reverse().find(l => /ERROR|Exception|Error:|FAILED/i.test(l));
+        return errorLine || null;
+    }
+
+    /**
+     * Build, save and announce a crash record.
+     * `details` is { pid, code, signal, attempt, maxAttempts, willRestart, intentional, hang, uptime }
+     */
+    capture(details) {
+        const consoleLines = this.server.getScrollback()
+            .filter(e => e.time >= (this.runStartedAt || 0))
+            .slice(-CrashReporter.CONSOLE_LINES)
+            .map(e => e.line);
+
+        let files = [];
+        try {
+            files = this._newReportFiles(details.pid);
+        } catch (err) {
+            this.server.log(`[ERROR] Could not read crash reports: ${err.message}`);
+        }
+
+        const oomNow = cgroup.oomKillCount();
+        const ctx = {
+            ...details,
+            oomKilled: oomNow !== null && this.oomAtStart !== null && oomNow > this.oomAtStart,
+            text: consoleLines.join('\n') + '\n' + files.map(f => f.content).join('\n')
+        };
+
+        const causes = CrashReporter.CAUSES
+            .filter(c => c.test(ctx))
+            .map(({ id, title, hint }) => ({ id, title, hint }));
+        const java = CrashReporter.requiredJava(ctx.text);
+        if (java) {
+            const cause = causes.find(c => c.id === 'unsupported-java');
+            if (cause) cause.hint = `Something needs Java ${java.needs} but the server runs Java ${java.running}. ${cause.hint}`;
+        }
+
+        const time = Date.now();
+        const record = {
+            id: `${new Date(time).toISOString().replace(/[:.]/g, '-')}`,
+            time,
+            pid: details.pid,
+            code: details.code,
+            signal: details.signal,
+            uptime: details.uptime,
+            attempt: details.attempt,
+            maxAttempts: details.maxAttempts,
+            willRestart: details.willRestart,
+            hang: details.hang,
+            summary: CrashReporter.summarize(files, consoleLines),
+            causes,
+            files,
+            console: consoleLines
+        };
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(path.join(this.dir, `${record.id}.json`), JSON.stringify(record), 'utf8');
+        this._prune();
+
+        const causeText = causes.length ? causes.map(c => c.title).join(', ') : 'unknown cause';
+        this.server.log(`[SYSTEM] Crash recorded: ${causeText}${files.length ? ` (${files.map(f => f.name).join(', ')})` : ''}`);
+        this.server.io.to(this.server.room).emit('crash', CrashReporter.brief(record));
+        return record;
+    }
+
+    _prune() {
+        const names = fs.readdirSync(this.dir).filter(n => n.endsWith('.json')).sort();
+        for (const name of names.slice(0, Math.max(0, names.length - CrashReporter.MAX_RECORDS))) {
+            fs.rmSync(path.join(this.dir, name), { force: true });
+        }
+    }
+
+    /**
+     * Record without the bulky console and file contents
+     */
+    static brief(record) {
+        const { files, console: consoleLines, ...rest } = record;
+        return { ...rest, files: files.map(f => f.name) };
+    }
+
+    /**
+     * Crash records, newest first, without console/file contents
+     */
+    list() {
+        if (!fs.existsSync(this.dir)) return [];
+        return fs.readdirSync(this.dir)
+            .filter(n => n.endsWith('.json'))
+            .sort()
+            .reverse()
+            .map(n => {
+                try {
+                    return CrashReporter.brief(JSON.parse(fs.readFileSync(path.join(this.dir, n), 'utf8')));
+                } catch (e) {
+                    return null;
+                }
+            })
+            .filter(Boolean);
+    }
+
+    _file(id) {
+        if (!/^[\w-]+$/.test(id)) throw new Error('Invalid crash id');
+        const file = path.join(this.dir, `${id}.json`);
+        if (!fs.existsSync(file)) throw new Error('Crash record not found');
+        return file;
+    }
+
+    get(id) {
+        return JSON.parse(fs.readFileSync(this._file(id), 'utf8'));
+    }
+
+    delete(id) {
+        fs.rmSync(this._file(id));
+    }
+}
+
+module.exports = CrashReporter;
@@ -0,0 +1,234 @@
+const fs = require('fs');
+const path = require('path');
+const { spawn, execFileSync } = require('child_process');
+const { StringDecoder } = require('string_decoder');
+const EventEmitter = require('events');
+
+/**
+ * A server process that survives the panel exiting, with the same surface the
+ * panel uses on a ChildProcess (pid, stdin.write, stdout 'data', kill, 'close').
+ *
+ * The process runs in its own process group. Its stdin is a named pipe and its
+ * output goes to a file that is tailed, so none of its I/O depends on the panel.
+ * A PID file lets a restarted panel find it again with `attach()`.
+ */
+class DetachedProcess extends EventEmitter {
+    static DIR = '.panel';
+    static TAIL_INTERVAL = 500;
+    static LIVENESS_INTERVAL = 2000;
+    // The console file is truncated once fully read past this size
+    static MAX_CONSOLE_BYTES = 16 * 1024 * 1024;
+
+    static paths(serverPath) {
+        const dir = path.join(serverPath, DetachedProcess.DIR);
+        return {
+            dir,
+            pidFile: path.join(dir, 'server.pid'),
+            stdin: path.join(dir, 'stdin'),
+            console: path.join(dir, 'console.log')
+        };
+    }
+
+    /**
+     * True while `pid` exists and isn't a zombie waiting to be reaped
+     */
+    static isAlive(pid) {
+        try {
+            process.kill(pid, 0);
+        } catch (err) {
+            if (err.code !== 'EPERM') return false;
+        }
+        try {
+            const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+            return stat.slice(stat.lastIndexOf(')') + 2, stat.lastIndexOf(')') + 3) !== 'Z';
+        } catch (e) {
+            return true; // No procfs: trust kill(0)
+        }
+    }
+
+    /**
+     * Guard against PID reuse: the process must still be running in `serverPath`
+     */
+    static _runsIn(pid, serverPath) {
+        try {
+            return fs.realpathSync(`/proc/${pid}/cwd`) === fs.realpathSync(serverPath);
+        } catch (e) {
+            return !fs.existsSync('/proc'); // Can't check without procfs
+        }
+    }
+
+    /**
+     * Start `cmd` detached in `cwd`. `meta` is stored in the PID file for `attach()`.
+     */
+    static spawn(cmd, args, { cwd, env, meta = {} }) {
+        const paths = DetachedProcess.paths(cwd);
+        fs.mkdirSync(paths.dir, { recursive: true });
+        fs.rmSync(paths.stdin, { force: true });
+        execFileSync('mkfifo', ['-m', '600', paths.stdin]);
+        fs.writeFileSync(paths.console, '');
+
+        // The pipe is opened read-write so the server never reads EOF while no panel
+        // is writing; the console file is append-only so it can be truncated under it
+        const stdinFd = fs.openSync(paths.stdin, 'r+');
+        const outFd = fs.openSync(paths.console, 'a');
+        let child;
+        try {
+            child = spawn(cmd, args, { cwd, env, detached: true, stdio: [stdinFd, outFd, outFd] });
+        } finally {
+            fs.closeSync(stdinFd);
+            fs.closeSync(outFd);
+        }
+        child.unref();
+
+        if (child.pid) {
+            const info = { pid: child.pid, startedAt: Date.now(), cmd, ...meta };
+            fs.writeFileSync(paths.pidFile, JSON.stringify(info), 'utf8');
+        }
+        return new DetachedProcess({ pid: child.pid, paths, child });
+    }
+
+    /**
+     * Reconnect to a server left running by an earlier panel process.
+     * Returns { process, info } or null, removing a stale PID file.
+     */
+    static attach(serverPath) {
+        const paths = DetachedProcess.paths(serverPath);
+        if (!fs.existsSync(paths.pidFile)) return null;
+
+        let info;
+        try {
+            info = JSON.parse(fs.readFileSync(paths.pidFile, 'utf8'));
+        } catch (e) {
+            info = null;
+        }
+        if (!info || !Number.isInteger(info.pid) || !DetachedProcess.isAlive(info.pid) || !DetachedProcess._runsIn(info.pid, serverPath)) {
+            fs.rmSync(paths.pidFile, { force: true });
+            return null;
+        }
+
+        // Output written while no panel was attached is in the file; carry on from its end
+        let offset = 0;
+        try { offset = fs.statSync(paths.console).size; } catch (e) { }
+        return { process: new DetachedProcess({ pid: info.pid, paths, offset }), info };
+    }
+
+    /**
+     * @param {object} options - { pid, paths, child (when we spawned it), offset to tail from }
+     */
+    constructor({ pid, paths, child = null, offset = 0 }) {
+        super();
+        this.pid = pid;
+        this.paths = paths;
+        this.child = child;
+        this.offset = offset;
+        this.exited = false;
+        this.decoder = new StringDecoder('utf8');
+
+        // stdout and stderr share the console file
+        this.stdout = new EventEmitter();
+        this.stderr = new EventEmitter();
+        this.stdin = {
+            writable: true,
+            write: (text) => this._write(text)
+        };
+
+        this.tailTimer = setInterval(() => this._tail(), DetachedProcess.TAIL_INTERVAL);
+        this.livenessTimer = null;
+
+        if (child) {
+            child.on('error', (err) => {
+                this._unfollow();
+                this.emit('error', err);
+            });
+            child.on('exit', (code, signal) => this._exit(code, signal));
+        } else {
+            // Not our child, so there is no exit event (or exit code) to wait for
+            this.livenessTimer = setInterval(() => {
+                if (!DetachedProcess.isAlive(this.pid)) this._exit(null, null);
+            }, DetachedProcess.LIVENESS_INTERVAL);
+        }
+    }
+
+    /**
+     * Write to the server's stdin pipe. Non-blocking: a write that can't be
+     * delivered right away (no reader, full pipe) is dropped.
+     */
+    _write(text) {
+        let fd;
+        try {
+            fd = fs.openSync(this.paths.stdin, fs.constants.O_WRONLY | fs.constants.O_NONBLOCK);
+            fs.writeSync(fd, text);
+            return true;
+        } catch (err) {
+            return false;
+        } finally {
+            if (fd !== undefined) fs.closeSync(fd);
+        }
+    }
+
+    _tail() {
+        let fd;
+        try {
+            fd = fs.openSync(this.paths.console, 'r');
+            let size = fs.fstatSync(fd).size;
+            if (size < this.offset) this.offset = 0;
+
+            while (this.offset < size) {
+                const buffer = Buffer.alloc(Math.min(size - this.offset, 1024 * 1024));
+                const read = fs.readSync(fd, buffer, 0, buffer.length, this.offset);
+                if (read === 0) break;
+                this.offset += read;
+                const text = this.decoder.write(buffer.slice(0, read));
+                if (text) this.stdout.emit('data', text);
+            }
+
+            // Keep the file from growing forever. Lines written between the size
+            // check and the truncate would be lost, so only do it when caught up.
+            if (this.offset > DetachedProcess.MAX_CONSOLE_BYTES) {
+                size = fs.fstatSync(fd).size;
+                if (size === this.offset) {
+                    fs.truncateSync(this.paths.console, 0);
+                    this.offset = 0;
+                }
+            }
+        } catch (e) {
+            // File missing or unreadable; try again on the next tick
+        } finally {
+            if (fd !== undefined) fs.closeSync(fd);
+        }
+    }
+
+    _exit(code, signal) {
+        if (this.exited) return;
+        this._tail();
+        const rest = this.decoder.end();
+        if (rest) this.stdout.emit('data', rest);
+        this._unfollow();
+        fs.rmSync(this.paths.pidFile, { force: true });
+        this.emit('close', code, signal);
+    }
+
+    kill(signal = 'SIGTERM') {
+        if (this.exited) return false;
+        if (this.child) return this.child.kill(signal);
+        process.kill(this.pid, signal);
+        return true;
+    }
+
+    /**
+     * Stop following the process without touching it, e.g. when the panel exits
+     */
+    _unfollow() {
+        this.exited = true;
+        this.stdin.writable = false;
+        clearInterval(this.tailTimer);
+        if (this.livenessTimer) clearInterval(this.livenessTimer);
+    }
+
+    detach() {
+        if (this.child) this.child.removeAllListeners('exit');
+        this._unfollow();
+    }
+}
+
+module.exports = DetachedProcess;
@@ -0,0 +1,298 @@
+const fs = require('fs');
+const path = require('path');
+
+const MinecraftServer = require('./MinecraftServer');
+const MetricsCollector = require('./MetricsCollector');
+const AccessManager = require('./AccessManager');
+const PluginManager = require('./PluginManager');
+const WorldManager = require('./WorldManager');
+const BackupManager = require('../backup/BackupManager');
+const FileManager = require('../utils/FileManager');
+
+const MINECRAFT_ROOT = path.join(__dirname, '../../minecraft');
+const DEFAULT_ID = 'default';
+
+// Per-instance keys that may be set when creating an instance
+const INSTANCE_KEYS = ['name', 'type', 'software', 'version', 'memory', 'port', 'max_players', 'auto_restart', 'max_restart_attempts', 'download_url', 'java', 'jvm', 'server_args', 'env', 'countdown', 'scheduled_restarts', 'restart_warning', 'watchdog', 'detached', 'uuid_resolver'];
+
+class InstanceManager {
+    static DEFAULT_ID = DEFAULT_ID;
+
+    /**
+     * Settings changed from the panel (instances, server defaults, the owner account)
+     * are saved to a JSON state file and layered over config.yml on load, so the
+     * hand-written config.yml and its comments are never rewritten.
+     *
+     * @param {object} io - Socket.IO server
+     * @param {object} config - Parsed config.yml
+     * @param {string} statePath - Where panel-managed settings are persisted
+     */
+    constructor(io, config, statePath) {
+        this.io = io;
+        this.config = config;
+        this.statePath = statePath;
+        this.instances = new Map();
+        this.state = this._readState();
+        this._applyState();
+
+        // Configs without an `instances` block describe a single server
+        if (!this.config.instances || Object.keys(this.config.instances).length === 0) {
+            this.config.instances = { [DEFAULT_ID]: {} };
+        }
+
+        for (const [id, block] of Object.entries(this.config.instances)) {
+            this.config.instances[id] = block || {};
+            this._load(id, this.config.instances[id]);
+        }
+    }
+
+    /**
+     * { panel, server, instances } where each instance entry holds the keys changed
+     * from the panel, or null for an instance removed from the panel
+     */
+    _readState() {
+        const state = { panel: {}, server: {}, instances: {} };
+        if (!fs.existsSync(this.statePath)) return state;
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.statePath, 'utf8'));
+        } catch (err) {
+            // Starting without it would drop the owner account and reopen setup to anyone
+            throw new Error(`Could not read ${this.statePath}: ${err.message}`);
+        }
+        for (const key of Object.keys(state)) {
+            if (data[key] && typeof data[key] === 'object') state[key] = data[key];
+        }
+        return state;
+    }
+
+    _applyState() {
+        const { panel, server, instances } = this.state;
+        this.config.panel = Object.assign(this.config.panel || {}, panel);
+        this.config.server = Object.assign(this.config.server || {}, server);
+        if (Object.keys(instances).length === 0) return;
+
+        const merged = { ...(this.config.instances || {}) };
+        for (const [id, block] of Object.entries(instances)) {
+            if (block === null) delete merged[id];
+            else merged[id] = { ...(merged[id] || {}), ...block };
+        }
+        this.config.instances = merged;
+    }
+
+    static isValidId(id) {
+        return typeof id === 'string' && /^[a-z0-9][a-z0-9_-]{0,31}$/.test(id);
+    }
+
+    /**
+     * Resolve server and backup directories for an instance.
+     * The default instance keeps the original single-server layout.
+     */
+    static pathsFor(id, block = {}) {
+        if (block.directory) {
+            const serverPath = path.resolve(MINECRAFT_ROOT, block.directory);
+            return { serverPath, backupPath: path.join(MINECRAFT_ROOT, 'backups', id) };
+        }
+        if (id === DEFAULT_ID) {
+            return {
+                serverPath: path.join(MINECRAFT_ROOT, 'server'),
+                backupPath: path.join(MINECRAFT_ROOT, 'backups')
+            };
+        }
+        return {
+            serverPath: path.join(MINECRAFT_ROOT, 'servers', id),
+            backupPath: path.join(MINECRAFT_ROOT, 'backups', id)
+        };
+    }
+
+    /**
+     * Build the effective config for an instance: top-level `server` values act as defaults
+     */
+    _effectiveConfig(block) {
+        const server = { ...this.config.server, ...block };
+        // A Bedrock instance under Java defaults shouldn't inherit the Java port
+        if (server.type === 'bedrock' && block.port === undefined && this.config.server.type !== 'bedrock') {
+            server.port = 19132;
+        }
+        return { ...this.config, server };
+    }
+
+    _load(id, block) {
+        const config = this._effectiveConfig(block);
+        const { serverPath, backupPath } = InstanceManager.pathsFor(id, block);
+
+        const server = new MinecraftServer(this.io, { id, config, serverPath });
+        const backups = new BackupManager(config, { serverPath, backupPath }, server);
+        backups.on('progress', (progress) => this.io.to(server.room).emit('backup-progress', progress));
+        const instance = {
+            id,
+            config,
+            serverPath,
+            backupPath,
+            server,
+            backups,
+            files: new FileManager(serverPath),
+            access: new AccessManager(server),
+            plugins: new PluginManager(server),
+            worlds: new WorldManager(server, backups),
+            metrics: new MetricsCollector(server)
+        };
+        instance.metrics.start();
+        this.instances.set(id, instance);
+        server.reattach();
+        return instance;
+    }
+
+    get(id) {
+        return this.instances.get(id) || null;
+    }
+
+    has(id) {
+        return this.instances.has(id);
+    }
+
+    all() {
+        return [...this.instances.values()];
+    }
+
+    describe(instance) {
+        const s = instance.config.server;
+        return {
+            id: instance.id,
+            name: s.name || instance.id,
+            type: s.type,
+            software: s.type === 'java' ? (s.software || 'vanilla') : null,
+            version: s.version,
+            memory: s.memory,
+            port: s.port,
+            max_players: s.max_players,
+            status: instance.server.status
+        };
+    }
+
+    list() {
+        return this.all().map(i => this.describe(i));
+    }
+
+    /**
+     * Create and persist a new instance
+     */
+    create(id, options = {}) {
+        if (!InstanceManager.isValidId(id)) {
+            throw new Error('Invalid instance ID (use lowercase letters, digits, "-" or "_")');
+        }
+        if (this.instances.has(id)) throw new Error(`Instance "${id}" already exists`);
+
+        const block = {};
+        for (const key of INSTANCE_KEYS) {
+            if (options[key] !== undefined && options[key] !== '') block[key] = options[key];
+        }
+        if (block.type && !['java', 'bedrock'].includes(block.type)) {
+            throw new Error('Type must be "java" or "bedrock"');
+        }
+        if (block.port !== undefined) {
+            block.port = parseInt(block.port);
+            if (isNaN(block.port) || block.port < 1 || block.port > 65535) throw new Error('Invalid port');
+        }
+        if (block.max_players !== undefined) block.max_players = parseInt(block.max_players) || 20;
+
+        // The port the instance will actually use, e.g. 19132 for Bedrock under Java defaults
+        const port = this._effectiveConfig(block).server.port;
+        const clash = this.all().find(i => i.config.server.port === port);
+        if (clash) throw new Error(`Port ${port} is already used by instance "${clash.id}"`);
+
+        this.config.instances[id] = block;
+        this.state.instances[id] = { ...block };
+        const instance = this._load(id, block);
+        this.saveState();
+        return instance;
+    }
+
+    /**
+     * Persist changed config keys for an instance. The running MinecraftServer,
+     * BackupManager etc. share `instance.config`, so they see the change immediately.
+     */
+    update(id, changes) {
+        const instance = this.instances.get(id);
+        if (!instance) throw new Error('Instance not found');
+        Object.assign(this.config.instances[id], changes);
+        Object.assign(instance.config.server, changes);
+        this.state.instances[id] = { ...this.state.instances[id], ...changes };
+        this.saveState();
+        return instance;
+    }
+
+    /**
+     * Change top-level `server` defaults and persist them. Instances pick up
+     * every key their own block doesn't override.
+     */
+    updateDefaults(changes) {
+        Object.assign(this.config.server, changes);
+        Object.assign(this.state.server, changes);
+        for (const instance of this.instances.values()) {
+            const block = this.config.instances[instance.id];
+            for (const [key, value] of Object.entries(changes)) {
+                if (block[key] === undefined) instance.config.server[key] = value;
+            }
+        }
+        this.saveState();
+    }
+
+    /**
+     * Change `panel` settings (e.g. the owner account) and persist them
+     */
+    updatePanel(changes) {
+        Object.assign(this.config.panel, changes);
+        Object.assign(this.state.panel, changes);
+        this.saveState();
+    }
+
+    /**
+     * Remove an instance. It must be stopped first.
+     */
+    remove(id, { deleteFiles = false } = {}) {
+        const instance = this.instances.get(id);
+        if (!instance) throw new Error('Instance not found');
+        if (instance.server.status !== 'stopped') throw new Error('Stop the server before deleting it');
+        if (this.instances.size === 1) throw new Error('Cannot delete the last instance');
+
+        instance.metrics.stop();
+        this.instances.delete(id);
+        delete this.config.instances[id];
+        this.state.instances[id] = null;
+        this.saveState();
+
+        if (deleteFiles) {
+            fs.rmSync(instance.serverPath, { recursive: true, force: true });
+            if (instance.backupPath !== InstanceManager.pathsFor(DEFAULT_ID).backupPath) {
+                fs.rmSync(instance.backupPath, { recursive: true, force: true });
+            }
+        }
+    }
+
+    /**
+     * Stop every server (or leave detached ones running) before the panel exits
+     */
+    shutdown() {
+        return Promise.all(this.all().map((instance) => {
+            instance.metrics.stop();
+            return instance.server.shutdown();
+        }));
+    }
+
+    /**
+     * Write the state file (tmp file, then rename). Every current instance is
+     * listed so one created beside an implicit default doesn't replace it on reload.
+     */
+    saveState() {
+        for (const id of this.instances.keys()) {
+            if (!this.state.instances[id]) this.state.instances[id] = {};
+        }
+        const tmp = `${this.statePath}.tmp`;
+        // Holds the owner's password hash
+        fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2), { encoding: 'utf8', mode: 0o600 });
+        fs.renameSync(tmp, this.statePath);
+    }
+}
+
+module.exports = InstanceManager;
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const { spawnSync } = require('child_process');
+
+/**
+ * Discovers installed Java runtimes and matches them to Minecraft versions.
+ */
+class JavaRuntime {
+    // Directories whose children are JDK installs (each with bin/java)
+    static SEARCH_DIRS = ['/opt/java', '/usr/lib/jvm', '/usr/java'];
+
+    // Minimum (and where relevant maximum) Java major per Minecraft release, newest first
+    static REQUIREMENTS = [
+        { from: [1, 20, 5], min: 21, max: null },
+        { from: [1, 18, 0], min: 17, max: null },
+        { from: [1, 17, 0], min: 16, max: null },
+        { from: [1, 12, 0], min: 8, max: null },
+        // Pre-1.12 servers break on the Java 9+ class loader
+        { from: [0, 0, 0], min: 8, max: 8 }
+    ];
+
+    static cache = null;
+
+    /**
+     * Parse `java -version` output into { version, major, vendor }
+     */
+    static parseVersionOutput(output) {
+        const match = output.match(/version "([^"]+)"/);
+        if (!match) return null;
+        const version = match[1];
+        // Legacy scheme is 1.8.0_392 → 8; modern is 17.0.9 → 17
+        const parts = version.split(/[._+-]/).map(n => parseInt(n));
+        const major = parts[0] === 1 ? parts[1] : parts[0];
+        const vendorLine = output.split('\n').find(l => /Runtime Environment/.test(l));
+        return { version, major, vendor: vendorLine ? vendorLine.replace(/\s*\(build.*$/, '').trim() : null };
+    }
+
+    /**
+     * Run `<javaPath> -version` and parse it. Returns null if the binary doesn't work.
+     */
+    static probe(javaPath) {
+        // `java -version` prints to stderr
+        const result = spawnSync(javaPath, ['-version'], { encoding: 'utf8', timeout: 10000 });
+        if (result.error) return null;
+        return JavaRuntime.parseVersionOutput(`${result.stderr || ''}${result.stdout || ''}`);
+    }
+
+    static _candidates() {
+        const candidates = [];
+        if (process.env.JAVA_HOME) candidates.push(path.join(process.env.JAVA_HOME, 'bin', 'java'));
+
+        for (const dir of JavaRuntime.SEARCH_DIRS) {
+            candidates.push(path.join(dir, 'bin', 'java'));
+            try {
+                for (const entry of fs.readdirSync(dir)) {
+                    candidates.push(path.join(dir, entry, 'bin', 'java'));
+                }
+            } catch (e) {
+                // Directory doesn't exist
+            }
+        }
+
+        // Whatever `java` resolves to on PATH
+        for (const dir of (process.env.PATH || '').split(path.delimiter)) {
+            if (dir) candidates.push(path.join(dir, 'java'));
+        }
+        return candidates;
+    }
+
+    /**
+     * All working runtimes as [{ path, version, major, vendor, onPath }], deduplicated by real path
+     */
+    static discover(refresh = false) {
+        if (JavaRuntime.cache && !refresh) return JavaRuntime.cache;
+
+        const seen = new Set();
+        const runtimes = [];
+        const pathDirs = (process.env.PATH || '').split(path.delimiter);
+
+        for (const candidate of JavaRuntime._candidates()) {
+            let real;
+            try {
+                real = fs.realpathSync(candidate);
+                fs.accessSync(real, fs.constants.X_OK);
+            } catch (e) {
+                continue;
+            }
+            if (seen.has(real)) continue;
+            seen.add(real);
+
+            const info = JavaRuntime.probe(real);
+            if (!info) continue;
+            runtimes.push({
+                path: candidate,
+                ...info,
+                onPath: pathDirs.includes(path.dirname(candidate))
+            });
+        }
+
+        JavaRuntime.cache = runtimes.sort((a, b) => b.major - a.major);
+        return JavaRuntime.cache;
+    }
+
+    static _parseMcVersion(version) {
+        const match = String(version || '').match(/^(\d+)\.(\d+)(?:\.(\d+))?/);
+        return match ? [parseInt(match[1]), parseInt(match[2]), parseInt(match[3] || 0)] : null;
+    }
+
+    /**
+     * Java requirement for a Minecraft version: { min, max } or null when unknown (e.g. snapshots)
+     */
+    static requiredFor(mcVersion) {
+        const v = JavaRuntime._parseMcVersion(mcVersion);
+        if (!v) return null;
+        for (const rule of JavaRuntime.REQUIREMENTS) {
+            const cmp = v[0] - rule.from[0] || v[1] - rule.from[1] || v[2] - rule.from[2];
+            if (cmp >= 0) return { min: rule.min, max: rule.max };
+        }
+        return null;
+    }
+
+    static isCompatible(major, requirement) {
+        if (!requirement) return true;
+        return major >= requirement.min && (requirement.max === null || major <= requirement.max);
+    }
+
+    static describeRequirement(requirement) {
+        if (!requirement) return 'any Java';
+        if (requirement.max === requirement.min) return `Java ${requirement.min}`;
+        return requirement.max ? `Java ${requirement.min}-${requirement.max}` : `Java ${requirement.min}+`;
+    }
+
+    /**
+     * Pick the runtime for a server.
+     * `preference` is a path to a java binary, a major version ("21"), or empty for automatic:
+     * the PATH java when compatible, otherwise the newest compatible runtime.
+     * Throws with an explanation when nothing suitable is installed.
+     */
+    static select(mcVersion, preference = null) {
+        const requirement = JavaRuntime.requiredFor(mcVersion);
+        const needed = JavaRuntime.describeRequirement(requirement);
+        const runtimes = JavaRuntime.discover();
+
+        if (preference && String(preference).includes('/')) {
+            const info = JavaRuntime.probe(String(preference));
+            if (!info) throw new Error(`Configured Java ${preference} does not exist or failed to run`);
+            if (!JavaRuntime.isCompatible(info.major, requirement)) {
+                throw new Error(`Configured Java ${preference} is Java ${info.major}, but Minecraft ${mcVersion} needs ${needed}`);
+            }
+            return { path: String(preference), ...info, requirement };
+        }
+
+        if (runtimes.length === 0) {
+            throw new Error(`No Java runtime found. Minecraft ${mcVersion} needs ${needed}.`);
+        }
+
+        if (preference) {
+            const major = parseInt(preference);
+            const match = runtimes.find(r => r.major === major);
+            if (!match) {
+                const found = runtimes.map(r => r.major).join(', ');
+                throw new Error(`Java ${major} is not installed (found: ${found})`);
+            }
+            if (!JavaRuntime.isCompatible(major, requirement)) {
+                throw new Error(`Java ${major} is configured, but Minecraft ${mcVersion} needs ${needed}`);
+            }
+            return { ...match, requirement };
+        }
+
+        const compatible = runtimes.filter(r => JavaRuntime.isCompatible(r.major, requirement));
+        const chosen = compatible.find(r => r.onPath) || compatible[0];
+        if (!chosen) {
+            const found = runtimes.map(r => `Java ${r.major}`).join(', ');
+            throw new Error(`Minecraft ${mcVersion} needs ${needed}, but only ${found} is installed`);
+        }
+        return { ...chosen, requirement };
+    }
+}
+
+module.exports = JavaRuntime;
@@ -0,0 +1,150 @@
+/**
+ * Named JVM flag profiles and per-Java-version flag validation.
+ *
+ * Profiles come from BUILTIN plus any `jvm_profiles` in config.yml (which may
+ * override a built-in). The `custom` profile uses `server.jvm.flags`.
+ * Heap size is always set from `server.memory`, never by a profile.
+ */
+class JvmProfiles {
+    static BUILTIN = {
+        // Aikar's G1 flags (https://docs.papermc.io/paper/aikars-flags)
+        aikar: [
+            '-XX:+UseG1GC',
+            '-XX:+ParallelRefProcEnabled',
+            '-XX:MaxGCPauseMillis=200',
+            '-XX:+UnlockExperimentalVMOptions',
+            '-XX:+DisableExplicitGC',
+            '-XX:+UseContainerSupport',
+            '-XX:G1HeapWastePercent=5',
+            '-XX:G1MixedGCCountTarget=4',
+            '-XX:G1MixedGCLiveThresholdPercent=90',
+            '-XX:G1RSetUpdatingPauseTimePercent=5',
+            '-XX:SurvivorRatio=32',
+            '-XX:+PerfDisableSharedMem',
+            '-XX:MaxTenuringThreshold=1',
+            '-Dusing.aikars.flags=https://mcutils.com',
+            '-Daikars.new.flags=true'
+        ],
+        // Low-pause collector for large heaps
+        zgc: [
+            '-XX:+UseZGC',
+            '-XX:+DisableExplicitGC',
+            '-XX:+AlwaysPreTouch',
+            '-XX:+PerfDisableSharedMem',
+            '-XX:+UseContainerSupport'
+        ],
+        minimal: []
+    };
+
+    static DEFAULT_PROFILE = 'aikar';
+
+    // Flags that only exist from (or until) a Java major version
+    static FLAG_RULES = [
+        { pattern: /^-XX:[+-]UseZGC$/, min: 15, reason: 'ZGC is production-ready from Java 15' },
+        { pattern: /^-XX:[+-]ZGenerational$/, min: 21, max: 22, reason: 'generational ZGC is selectable on Java 21-22 only' },
+        { pattern: /^-XX:[+-]UseShenandoahGC$/, min: 12, reason: 'Shenandoah needs Java 12+' },
+        { pattern: /^--add-(opens|exports|modules)/, min: 9, reason: 'module flags need Java 9+' },
+        { pattern: /^--enable-preview$/, min: 12, reason: 'preview features need Java 12+' },
+        { pattern: /^-XX:[+-]UseCMSInitiatingOccupancyOnly$|^-XX:[+-]UseConcMarkSweepGC$/, max: 13, reason: 'CMS was removed in Java 14' },
+        { pattern: /^-XX:(Perm|MaxPerm)Size=/, max: 7, reason: 'PermGen was removed in Java 8' }
+    ];
+
+    /**
+     * All profile names available with this config
+     */
+    static names(config) {
+        return [...new Set([...Object.keys(JvmProfiles.BUILTIN), ...Object.keys(config.jvm_profiles || {}), 'custom'])];
+    }
+
+    /**
+     * Resolve the launch options of a server block:
+     * { profile, flags, extraArgs, serverArgs, env }
+     */
+    static resolve(config) {
+        const jvm = config.server.jvm || {};
+        const profile = jvm.profile || JvmProfiles.DEFAULT_PROFILE;
+        const custom = config.jvm_profiles || {};
+
+        let flags;
+        if (profile === 'custom') flags = jvm.flags || [];
+        else if (custom[profile]) flags = custom[profile];
+        else if (JvmProfiles.BUILTIN[profile]) flags = JvmProfiles.BUILTIN[profile];
+        else throw new Error(`Unknown JVM profile "${profile}" (available: ${JvmProfiles.names(config).join(', ')})`);
+
+        return {
+            profile,
+            flags: JvmProfiles._list(flags, 'profile flags'),
+            extraArgs: JvmProfiles._list(jvm.args, 'jvm.args'),
+            serverArgs: JvmProfiles._list(config.server.server_args, 'server_args'),
+            env: JvmProfiles.parseEnv(config.server.env)
+        };
+    }
+
+    static _list(value, name) {
+        if (value === undefined || value === null) return [];
+        if (!Array.isArray(value)) throw new Error(`${name} must be a list`);
+        return value.map(String);
+    }
+
+    /**
+     * Validate an env map from config into string values
+     */
+    static parseEnv(value) {
+        if (!value) return {};
+        if (typeof value !== 'object' || Array.isArray(value)) throw new Error('env must be a map of NAME: value');
+        const env = {};
+        for (const [key, val] of Object.entries(value)) {
+            if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(key)) throw new Error(`Invalid environment variable name "${key}"`);
+            env[key] = String(val);
+        }
+        return env;
+    }
+
+    /**
+     * Check JVM flags against a Java major version.
+     * Returns { errors, warnings }; errors should block the launch.
+     */
+    static validate(flags, javaMajor) {
+        const errors = [];
+        const warnings = [];
+
+        for (const flag of flags) {
+            if (!flag.startsWith('-')) {
+                errors.push(`"${flag}" is not a JVM option`);
+                continue;
+            }
+            if (/^-Xm[xs]/.test(flag)) {
+                errors.push(`${flag}: heap size is set from server.memory`);
+                continue;
+            }
+            if (flag === '-jar') {
+                errors.push('-jar is added by the panel');
+                continue;
+            }
+            if (!javaMajor) continue;
+
+            for (const rule of JvmProfiles.FLAG_RULES) {
+                if (!rule.pattern.test(flag)) continue;
+                const tooOld = rule.min && javaMajor < rule.min;
+                const tooNew = rule.max && javaMajor > rule.max;
+                if (tooOld || tooNew) errors.push(`${flag} is not supported on Java ${javaMajor} (${rule.reason})`);
+            }
+        }
+
+        const collectors = flags.filter(f => /^-XX:\+Use\w+GC$/.test(f));
+        if (collectors.length > 1) warnings.push(`Multiple garbage collectors selected: ${collectors.join(', ')}`);
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Quote an argument list for display as a shell command line
+     */
+    static formatCommand(cmd, args) {
+        return [cmd, ...args]
+            .map(a => (/^[\w@%+=:,./-]+$/.test(a) ? a : `'${a.replace(/'/g, `'\\''`)}'`))
+            .join(' ');
+    }
+}
+
+module.exports = JvmProfiles;
@@ -0,0 +1,125 @@
+/**
+ * Turns raw Java / Bedrock console lines into typed events:
+ *   ready, join, leave, uuid, chat, death, advancement, warning, lag
+ * Lines that carry no recognised event return null.
+ */
+class LogParser {
+    // [12:34:56] [Server thread/INFO]: message
+    static JAVA_PREFIX = /^\[\d{2}:\d{2}:\d{2}\] \[([^\]]*)\/(\w+)\]: (.*)$/;
+    // [12:34:56 INFO]: message (Paper/Spigot console format)
+    static JAVA_SHORT_PREFIX = /^\[\d{2}:\d{2}:\d{2} (\w+)\]: (.*)$/;
+    // [2024-01-01 12:34:56:789 INFO] message (older builds prefix "NO LOG FILE! - ")
+    static BEDROCK_PREFIX = /^(?:NO LOG FILE! - )?\[\d{4}-\d{2}-\d{2} [\d:]+ (\w+)\] (.*)$/;
+
+    static JAVA_PATTERNS = {
+        ready: /^Done \([\d.,]+s\)!/,
+        uuid: /^UUID of player (\w+) is ([0-9a-f-]{36})$/i,
+        join: /^(\w+) joined the game$/,
+        leave: /^(\w+) left the game$/,
+        chat: /^(?:\[Not Secure\] )?<(\w+)> (.*)$/,
+        advancement: /^(\w+) has (made the advancement|completed the challenge|reached the goal) \[(.+)\]$/,
+        lag: /^Can't keep up! Is the server overloaded\? Running (\d+)ms or (\d+) ticks behind/
+    };
+
+    static BEDROCK_PATTERNS = {
+        ready: /^Server started\.$/,
+        join: /^Player connected: ([^,]+), xuid: (\d*)/,
+        leave: /^Player disconnected: ([^,]+), xuid: (\d*)/
+    };
+
+    // Vanilla death message verbs, matched after a known online player's name
+    static DEATH_PHRASES = [
+        'was slain', 'was shot', 'was killed', 'was blown up', 'was burnt', 'was fireballed',
+        'was pummeled', 'was squashed', 'was squished', 'was pricked', 'was impaled', 'was poked',
+        'was stung', 'was frozen', 'was skewered', 'was obliterated', 'was doomed', 'was roasted',
+        'was struck by lightning', 'was speared', 'drowned', 'died', 'fell',
+        'burned to death', 'blew up', 'hit the ground too hard', 'tried to swim in lava',
+        'suffocated', 'starved to death', 'went up in flames', 'walked into', 'withered away',
+        'experienced kinetic energy', 'froze to death', 'discovered the floor was lava',
+        'went off with a bang', 'left the confines of this world', 'didn\'t want to live'
+    ];
+
+    /**
+     * @param {string} type - 'java' or 'bedrock'
+     */
+    constructor(type = 'java') {
+        this.type = type;
+    }
+
+    /**
+     * Split a raw console line into { thread, level, message }
+     */
+    splitPrefix(line) {
+        let m;
+        if (this.type === 'bedrock') {
+            if ((m = line.match(LogParser.BEDROCK_PREFIX))) return { thread: null, level: m[1].toUpperCase(), message: m[2] };
+            return { thread: null, level: null, message: line };
+        }
+        if ((m = line.match(LogParser.JAVA_PREFIX))) return { thread: m[1], level: m[2].toUpperCase(), message: m[3] };
+        if ((m = line.match(LogParser.JAVA_SHORT_PREFIX))) return { thread: null, level: m[1].toUpperCase(), message: m[2] };
+        return { thread: null, level: null, message: line };
+    }
+
+    /**
+     * Parse one console line
+     * @param {string} line
+     * @param {Set<string>} [onlinePlayers] - names used to recognise death messages
+     * @returns {object|null}
+     */
+    parse(line, onlinePlayers = new Set()) {
+        const { level, message } = this.splitPrefix(line.trim());
+        if (!message) return null;
+
+        return this.type === 'bedrock'
+            ? this._parseBedrock(level, message)
+            : this._parseJava(level, message, onlinePlayers);
+    }
+
+    _parseJava(level, message, onlinePlayers) {
+        const p = LogParser.JAVA_PATTERNS;
+        let m;
+
+        if (p.ready.test(message)) return { type: 'ready' };
+        if ((m = message.match(p.uuid))) return { type: 'uuid', player: m[1], uuid: m[2] };
+        if ((m = message.match(p.join))) return { type: 'join', player: m[1] };
+        if ((m = message.match(p.leave))) return { type: 'leave', player: m[1] };
+        if ((m = message.match(p.chat))) return { type: 'chat', player: m[1], message: m[2] };
+        if ((m = message.match(p.advancement))) {
+            const kind = m[2].startsWith('made') ? 'advancement' : m[2].startsWith('completed') ? 'challenge' : 'goal';
+            return { type: 'advancement', player: m[1], advancement: m[3], kind };
+        }
+        if ((m = message.match(p.lag))) return { type: 'lag', ms: parseInt(m[1]), ticks: parseInt(m[2]) };
+
+        const death = this._parseDeath(message, onlinePlayers);
+        if (death) return death;
+
+        if (level === 'WARN') return { type: 'warning', message };
+        return null;
+    }
+
+    _parseBedrock(level, message) {
+        const p = LogParser.BEDROCK_PATTERNS;
+        let m;
+
+        if (p.ready.test(message)) return { type: 'ready' };
+        if ((m = message.match(p.join))) return { type: 'join', player: m[1].trim(), xuid: m[2] || null };
+        if ((m = message.match(p.leave))) return { type: 'leave', player: m[1].trim(), xuid: m[2] || null };
+        if (level === 'WARN') return { type: 'warning', message };
+        return null;
+    }
+
+    _parseDeath(message, onlinePlayers) {
+        const space = message.indexOf(' ');
+        if (space === -1) return null;
+        const player = message.slice(0, space);
+        if (!onlinePlayers.has(player)) return null;
+
+        const rest = message.slice(space + 1);
+        if (LogParser.DEATH_PHRASES.some(phrase => rest === phrase || rest.startsWith(phrase + ' '))) {
+            return { type: 'death', player, message };
+        }
+        return null;
+    }
+}
+
+module.exports = LogParser;
@@ -0,0 +1,193 @@
+const fs = require('fs');
+const RingBuffer = require('../utils/RingBuffer');
+const cgroup = require('../utils/cgroup');
+
+/**
+ * Samples CPU / memory of a server process (from /proc/<pid>) and its container
+ * (cgroups), plus TPS/MSPT for Java servers, and keeps a rolling history:
+ *   - hour: one sample every SAMPLE_INTERVAL
+ *   - day:  one averaged sample per minute
+ */
+class MetricsCollector {
+    static SAMPLE_INTERVAL = 5000;
+    static TPS_INTERVAL = 30000;
+    static HOUR_SAMPLES = 3600 * 1000 / MetricsCollector.SAMPLE_INTERVAL;
+    static DAY_SAMPLES = 24 * 60;
+    // Kernel clock ticks per second for /proc/<pid>/stat (USER_HZ is 100 on Linux)
+    static CLK_TCK = 100;
+
+    /**
+     * @param {MinecraftServer} server
+     */
+    constructor(server) {
+        this.server = server;
+        this.hour = new RingBuffer(MetricsCollector.HOUR_SAMPLES);
+        this.day = new RingBuffer(MetricsCollector.DAY_SAMPLES);
+        this.minuteBucket = [];
+        this.timer = null;
+
+        this.prevProc = null;
+        this.prevContainer = null;
+
+        // TPS source is detected per server run: 'paper', 'vanilla' or 'none'
+        this.tpsMode = null;
+        this.tpsPid = null;
+        this.lastTpsAt = 0;
+        this.tps = null;
+        this.mspt = null;
+    }
+
+    start() {
+        if (this.timer) return;
+        this.timer = setInterval(() => {
+            this.sample().catch(() => { });
+        }, MetricsCollector.SAMPLE_INTERVAL);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    getHistory(range = 'hour') {
+        return range === 'day' ? this.day.toArray() : this.hour.toArray();
+    }
+
+    /**
+     * Read cumulative CPU ticks and resident memory for a pid
+     */
+    _readProcess(pid) {
+        try {
+            const stat = fs.readFileSync(`/proc/${pid}/stat`, 'utf8');
+            // Fields after "(comm)" start at field 3 (state); utime/stime are fields 14/15
+            const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+            const ticks = parseInt(fields[11]) + parseInt(fields[12]);
+
+            const status = fs.readFileSync(`/proc/${pid}/status`, 'utf8');
+            const rss = status.match(/^VmRSS:\s+(\d+) kB$/m);
+
+            return { ticks, rssBytes: rss ? parseInt(rss[1]) * 1024 : null };
+        } catch (e) {
+            return null; // Process gone or /proc unavailable (non-Linux)
+        }
+    }
+
+    async sample() {
+        const now = Date.now();
+        const sample = {
+            time: now,
+            cpu: null,
+            rss: null,
+            containerCpu: null,
+            containerMemory: cgroup.memoryUsageBytes(),
+            containerLimit: cgroup.memoryLimitBytes(),
+            tps: null,
+            mspt: null
+        };
+
+        // Process CPU is a percentage of one core, like `top`
+        const pid = this.server.process ? this.server.process.pid : null;
+        const proc = pid ? this._readProcess(pid) : null;
+        if (proc) {
+            sample.rss = proc.rssBytes;
+            if (this.prevProc && this.prevProc.pid === pid) {
+                const seconds = (now - this.prevProc.time) / 1000;
+                const ticks = proc.ticks - this.prevProc.ticks;
+                sample.cpu = Math.round((ticks / MetricsCollector.CLK_TCK / seconds) * 1000) / 10;
+            }
+            this.prevProc = { pid, time: now, ticks: proc.ticks };
+        } else {
+            this.prevProc = null;
+        }
+
+        const containerMicros = cgroup.cpuUsageMicros();
+        if (containerMicros !== null) {
+            if (this.prevContainer) {
+                const elapsed = (now - this.prevContainer.time) * 1000;
+                sample.containerCpu = Math.round(((containerMicros - this.prevContainer.micros) / elapsed) * 1000) / 10;
+            }
+            this.prevContainer = { time: now, micros: containerMicros };
+        }
+
+        if (this.server.config.server.type === 'java' && this.server.status === 'running') {
+            if (now - this.lastTpsAt >= MetricsCollector.TPS_INTERVAL) {
+                this.lastTpsAt = now;
+                await this._sampleTps(pid);
+            }
+            sample.tps = this.tps;
+            sample.mspt = this.mspt;
+        } else {
+            this.tps = null;
+            this.mspt = null;
+        }
+
+        this._record(sample);
+        return sample;
+    }
+
+    /**
+     * Query TPS/MSPT over RCON. Paper/Spigot answer `tps` (and Paper `mspt`);
+     * vanilla 1.20.3+ answers `tick query`.
+     */
+    async _sampleTps(pid) {
+        if (this.tpsPid !== pid) {
+            this.tpsPid = pid;
+            this.tpsMode = null;
+        }
+        if (this.tpsMode === 'none') return;
+
+        if (this.tpsMode === null || this.tpsMode === 'paper') {
+            const tps = await this.server.queryCommand('tps');
+            const match = tps && tps.match(/TPS from last 1m, 5m, 15m: \*?([\d.]+)/);
+            if (match) {
+                this.tpsMode = 'paper';
+                this.tps = parseFloat(match[1]);
+                const mspt = await this.server.queryCommand('mspt');
+                const msptMatch = mspt && mspt.match(/([\d.]+)\/[\d.]+\/[\d.]+/);
+                this.mspt = msptMatch ? parseFloat(msptMatch[1]) : null;
+                return;
+            }
+            if (tps === null) return; // RCON unavailable; try again next time
+        }
+
+        const query = await this.server.queryCommand('tick query');
+        const match = query && query.match(/Average time per tick: ([\d.]+)ms/);
+        if (match) {
+            this.tpsMode = 'vanilla';
+            this.mspt = parseFloat(match[1]);
+            // Ticks are capped at 20/s, so anything under 50ms MSPT is a full 20 TPS
+            this.tps = Math.round((1000 / Math.max(this.mspt, 50)) * 10) / 10;
+        } else if (query !== null) {
+            this.tpsMode = 'none';
+        }
+    }
+
+    _record(sample) {
+        this.hour.push(sample);
+        this.server.io.to(this.server.room).emit('metrics', sample);
+
+        // Roll finished minutes into the day history
+        const minute = Math.floor(sample.time / 60000);
+        if (this.minuteBucket.length && Math.floor(this.minuteBucket[0].time / 60000) !== minute) {
+            this.day.push(MetricsCollector.average(this.minuteBucket));
+            this.minuteBucket = [];
+        }
+        this.minuteBucket.push(sample);
+    }
+
+    /**
+     * Average numeric fields of several samples, ignoring nulls
+     */
+    static average(samples) {
+        const out = { time: Math.floor(samples[0].time / 60000) * 60000 };
+        for (const key of ['cpu', 'rss', 'containerCpu', 'containerMemory', 'containerLimit', 'tps', 'mspt']) {
+            const values = samples.map(s => s[key]).filter(v => v !== null && v !== undefined);
+            out[key] = values.length
+                ? Math.round((values.reduce((a, b) => a + b, 0) / values.length) * 10) / 10
+                : null;
+        }
+        return out;
+    }
+}
+
+module.exports = MetricsCollector;
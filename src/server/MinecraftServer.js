@@ -1,66 +1,260 @@
-const { spawn, execSync } = require('child_process');
+const { spawn } = require('child_process');
 const path = require('path');
 const fs = require('fs');
 const http = require('http');
 const https = require('https');
 const os = require('os');
+const crypto = require('crypto');
 const yaml = require('js-yaml');
 const EventEmitter = require('events');
+const RingBuffer = require('../utils/RingBuffer');
+const LogParser = require('./LogParser');
+const RconClient = require('./RconClient');
+const ServerPing = require('./ServerPing');
+const BedrockInstaller = require('./BedrockInstaller');
+const JavaRuntime = require('./JavaRuntime');
+const JvmProfiles = require('./JvmProfiles');
+const ServerProperties = require('./ServerProperties');
+const Countdown = require('./Countdown');
+const CrashReporter = require('./CrashReporter');
+const Watchdog = require('./Watchdog');
+const DetachedProcess = require('./DetachedProcess');
+const { readLinesBefore } = require('../utils/LogReader');
+const cgroup = require('../utils/cgroup');
 
 class MinecraftServer extends EventEmitter {
-    constructor(io) {
+    // Status probe cadence: fast while waiting for readiness, slower once running
+    static PROBE_INTERVAL_STARTING = 2000;
+    static PROBE_INTERVAL_RUNNING = 15000;
+    // How long a backup waits for the server to confirm its world is flushed to disk
+    static SAVE_TIMEOUT = 60000;
+    // Bedrock: how long to wait for each `save query` answer before asking again
+    static SAVE_QUERY_INTERVAL = 2000;
+
+    /**
+     * @param {object} io - Socket.IO server
+     * @param {object} options - { id, config, serverPath } for this instance
+     */
+    constructor(io, options = {}) {
         super();
         this.io = io;
-        this.serverPath = path.join(__dirname, '../../minecraft/server');
+        this.id = options.id || 'default';
+        this.room = `instance:${this.id}`;
+        this.serverPath = options.serverPath || path.join(__dirname, '../../minecraft/server');
         this.process = null;
         this.status = 'stopped';
         this.shouldStop = false;
         this.crashCount = 0;
+        // server.properties keys changed while running that only take effect after a restart
+        this.pendingRestart = new Set();
+        // Set while the server directory is being rewritten (e.g. "restoring backup-….zip"); blocks start()
+        this.maintenance = null;
+        // Countdown to a stop/restart that is warning players
+        this.pendingAction = null;
         this.lastCrashTime = 0;
 
         if (!fs.existsSync(this.serverPath)) {
             fs.mkdirSync(this.serverPath, { recursive: true });
         }
 
-        const configPath = path.join(__dirname, '../../config/config.yml');
-        this.config = yaml.load(fs.readFileSync(configPath, 'utf8'));
+        if (options.config) {
+            this.config = options.config;
+        } else {
+            const configPath = path.join(__dirname, '../../config/config.yml');
+            this.config = yaml.load(fs.readFileSync(configPath, 'utf8'));
+        }
+
+        // Recent console lines, replayed to dashboards when they subscribe
+        const panel = this.config.panel || {};
+        this.scrollback = new RingBuffer(panel.console_scrollback || 1000);
+
+        // Online players keyed by name: { name, uuid, xuid, joinedAt }
+        this.players = new Map();
+        this.pendingUuids = new Map();
+        this.stdoutRemainder = '';
+        // Pending waitForOutput() calls
+        this.outputWaiters = new Set();
+        // holdSaves() calls not yet matched by resumeSaves(); autosave resumes when the last one ends
+        this.savesHeld = 0;
+
+        this.rcon = null;
+        this.rconConnecting = null;
+
+        // Last Server List Ping / RakNet result
+        this.serverInfo = null;
+        this.probeTimer = null;
+
+        // When the current run reached "running" (null while starting or stopped)
+        this.runningSince = null;
+        this.crashes = new CrashReporter(this);
+
+        // Runtime used for the current run, and when the watchdog last killed a frozen server
+        this.javaRuntime = null;
+        this.hangDetectedAt = null;
+        this.watchdog = new Watchdog(this);
     }
 
     log(msg) {
-        this.io.emit('console', msg);
+        const time = Date.now();
+        for (const line of String(msg).split('\n')) {
+            if (line.trim()) this.scrollback.push({ time, line });
+        }
+        this.io.to(this.room).emit('console', msg);
     }
 
     /**
-     * Detect container memory limit via cgroups (Docker/Railway/K8s)
-     * Returns memory limit in MB, or null if not in a container
+     * Buffered console lines as [{ time, line }], oldest first
      */
-    getContainerMemoryMB() {
-        const cgroupPaths = [
-            '/sys/fs/cgroup/memory.max',                    // cgroups v2
-            '/sys/fs/cgroup/memory/memory.limit_in_bytes'   // cgroups v1
-        ];
+    getScrollback() {
+        return this.scrollback.toArray();
+    }
 
-        for (const cgPath of cgroupPaths) {
-            try {
-                const content = fs.readFileSync(cgPath, 'utf8').trim();
-                if (content === 'max') continue; // No limit set
-                const bytes = parseInt(content);
-                // Sanity check: must be positive and less than 1TB
-                if (!isNaN(bytes) && bytes > 0 && bytes < 1e12) {
-                    return Math.floor(bytes / (1024 * 1024));
-                }
-            } catch (e) {
-                // File doesn't exist = not in container, try next
+    /**
+     * Online players, in join order
+     */
+    getPlayers() {
+        return [...this.players.values()];
+    }
+
+    _emitPlayers() {
+        this.io.to(this.room).emit('players', this.getPlayers());
+    }
+
+    _clearPlayers() {
+        this.players.clear();
+        this.pendingUuids.clear();
+        this._emitPlayers();
+    }
+
+    /**
+     * Split stdout into complete lines and run each through the log parser.
+     * Partial lines are held until the rest of the line arrives.
+     */
+    _parseOutput(chunk) {
+        const text = this.stdoutRemainder + chunk;
+        const lines = text.split(/\r?\n/);
+        this.stdoutRemainder = lines.pop();
+
+        const names = new Set(this.players.keys());
+        for (const line of lines) {
+            this._feedWaiters(line);
+            const event = this.parser.parse(line, names);
+            if (event) this._handleEvent(event);
+        }
+    }
+
+    _handleEvent(event) {
+        switch (event.type) {
+            case 'ready':
+                // Readiness comes from the status probe; the log line just triggers one early
+                if (this.status === 'starting') this.probe();
+                break;
+            case 'uuid':
+                // Logged by the authenticator just before the join line
+                this.pendingUuids.set(event.player, event.uuid);
+                return;
+            case 'join':
+                event.uuid = this.pendingUuids.get(event.player) || null;
+                this.pendingUuids.delete(event.player);
+                this.players.set(event.player, {
+                    name: event.player,
+                    uuid: event.uuid,
+                    xuid: event.xuid || null,
+                    joinedAt: Date.now()
+                });
+                this._emitPlayers();
+                break;
+            case 'leave':
+                this.players.delete(event.player);
+                this._emitPlayers();
+                break;
+        }
+
+        event.time = Date.now();
+        this.emit('event', event);
+        this.io.to(this.room).emit('game-event', event);
+    }
+
+    /**
+     * Host and port the game listens on, as configured in server.properties
+     */
+    _gameAddress() {
+        const props = this._readProperties();
+        const port = parseInt(props['server-port']) || this.config.server.port || (this.config.server.type === 'bedrock' ? 19132 : 25565);
+        return { host: '127.0.0.1', port };
+    }
+
+    /**
+     * Ping the game port once. The first successful reply marks the server as running.
+     */
+    async probe() {
+        if (!this.process) return null;
+        const { host, port } = this._gameAddress();
+        try {
+            const info = await ServerPing.ping(this.config.server.type, host, port);
+            if (!this.process) return null;
+
+            this.serverInfo = { ...info, port, updatedAt: Date.now() };
+            this.io.to(this.room).emit('server-info', this.serverInfo);
+
+            if (this.status === 'starting') {
+                this.setStatus('running');
+                this.runningSince = Date.now();
+                this.crashCount = 0; // Reset crash count on successful start
+                this.log(`[SYSTEM] Server is responding on port ${port} (${info.latency}ms)`);
+                this._scheduleProbe();
+                this.watchdog.start();
             }
+            return this.serverInfo;
+        } catch (err) {
+            return null;
         }
-        return null;
+    }
+
+    _scheduleProbe() {
+        this._stopProbing();
+        const interval = this.status === 'running'
+            ? MinecraftServer.PROBE_INTERVAL_RUNNING
+            : MinecraftServer.PROBE_INTERVAL_STARTING;
+        this.probeTimer = setInterval(() => this.probe(), interval);
+    }
+
+    _stopProbing() {
+        if (this.probeTimer) clearInterval(this.probeTimer);
+        this.probeTimer = null;
+    }
+
+    /**
+     * Page backwards through logs/latest.log (Java servers write it; Bedrock does not)
+     */
+    readLogHistory(before = null, limit = 200) {
+        const logPath = path.join(this.serverPath, 'logs', 'latest.log');
+        return readLinesBefore(logPath, before, limit);
+    }
+
+    /**
+     * Update status and notify both this instance's viewers and the instance list
+     */
+    setStatus(status) {
+        this.status = status;
+        this.io.to(this.room).emit('status', status);
+        this.io.emit('instance-status', { id: this.id, status });
+    }
+
+    /**
+     * Detect container memory limit via cgroups (Docker/Railway/K8s)
+     * Returns memory limit in MB, or null if not in a container
+     */
+    getContainerMemoryMB() {
+        const bytes = cgroup.memoryLimitBytes();
+        return bytes === null ? null : Math.floor(bytes / (1024 * 1024));
     }
 
     /**
      * Calculate safe memory allocation based on actual available RAM
      * Detects container limits to prevent OOM kills
      */
-    getMemoryArgs() {
+    getMemoryArgs(verbose = true) {
         const configMemory = this.config.server.memory || '512M';
 
         // Detect REAL available memory (container limit > system RAM)
@@ -82,7 +276,7 @@ class MinecraftServer extends EventEmitter {
         const actualMB = Math.min(configMB, maxAllowed);
         const minMB = Math.min(128, Math.floor(actualMB * 0.25));
 
-        this.log(`[SYSTEM] Memory: ${source} has ${availableMB}MB, config=${configMemory}, allocating -Xmx${actualMB}M -Xms${minMB}M`);
+        if (verbose) this.log(`[SYSTEM] Memory: ${source} has ${availableMB}MB, config=${configMemory}, allocating -Xmx${actualMB}M -Xms${minMB}M`);
 
         return {
             xmx: `-Xmx${actualMB}M`,
@@ -91,19 +285,22 @@ class MinecraftServer extends EventEmitter {
     }
 
     /**
-     * Download a file with HTTP/HTTPS support and redirect following
+     * Download a file with HTTP/HTTPS support and redirect following.
+     * When `checksum` ({ algorithm: 'sha1'|'sha256', hash }) is given the file is
+     * hashed while streaming and removed if it doesn't match.
      */
-    async downloadFile(url, dest) {
+    async downloadFile(url, dest, checksum = null) {
         return new Promise((resolve, reject) => {
             const httpModule = url.startsWith('https') ? https : http;
             const file = fs.createWriteStream(dest);
 
-            httpModule.get(url, (response) => {
+            httpModule.get(url, { headers: { 'User-Agent': 'DevzServer' } }, (response) => {
                 // Follow redirects
-                if (response.statusCode === 301 || response.statusCode === 302) {
+                if ([301, 302, 307, 308].includes(response.statusCode)) {
                     file.close();
                     fs.unlinkSync(dest);
-                    return this.downloadFile(response.headers.location, dest).then(resolve).catch(reject);
+                    const next = new URL(response.headers.location, url).toString();
+                    return this.downloadFile(next, dest, checksum).then(resolve).catch(reject);
                 }
 
                 if (response.statusCode !== 200) {
@@ -112,9 +309,19 @@ class MinecraftServer extends EventEmitter {
                     return reject(new Error(`Download failed with status ${response.statusCode}`));
                 }
 
+                const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+                if (hash) response.on('data', (chunk) => hash.update(chunk));
+
                 response.pipe(file);
                 file.on('finish', () => {
                     file.close();
+                    if (hash) {
+                        const actual = hash.digest('hex');
+                        if (actual !== checksum.hash.toLowerCase()) {
+                            fs.unlink(dest, () => { });
+                            return reject(new Error(`Checksum mismatch (${checksum.algorithm}): expected ${checksum.hash}, got ${actual}`));
+                        }
+                    }
                     resolve();
                 });
             }).on('error', (err) => {
@@ -126,140 +333,312 @@ class MinecraftServer extends EventEmitter {
     }
 
     /**
-     * Check if Java is installed (for Java servers)
+     * Check if any Java runtime is installed (for Java servers)
      */
     isJavaInstalled() {
-        try {
-            execSync('java -version', { stdio: 'ignore' });
-            return true;
-        } catch {
-            return false;
-        }
+        return JavaRuntime.discover().length > 0;
     }
 
-    async start() {
-        if (this.status !== 'stopped') return;
-
-        this.shouldStop = false;
-        this.status = 'starting';
-        this.io.emit('status', 'starting');
-        this.log('--- Server starting... ---');
+    /**
+     * Pick the Java runtime for this server's Minecraft version, honouring `server.java`
+     * (a path to a java binary or a major version). Throws when none is compatible.
+     */
+    selectJava() {
+        return JavaRuntime.select(this.config.server.version, this.config.server.java || null);
+    }
 
-        const isJava = this.config.server.type === 'java';
-        const fileName = isJava ? 'server.jar' : 'bedrock_server';
-        const fullPath = path.join(this.serverPath, fileName);
-
-        // Check Java installation
-        if (isJava && !this.isJavaInstalled()) {
-            this.log('[ERROR] Java is not installed! Please install Java 17+ to run a Java server.');
-            this.status = 'stopped';
-            this.io.emit('status', 'stopped');
-            return;
-        }
+    /**
+     * Download server.jar if needed, accept the EULA and create server.properties
+     */
+    async _prepareJava() {
+        const jarPath = path.join(this.serverPath, 'server.jar');
 
         // Auto-download if missing
-        if (!fs.existsSync(fullPath) && this.config.server.download_url) {
-            this.log(`Downloading ${this.config.server.type} server files...`);
+        if (!fs.existsSync(jarPath) && this.config.server.download_url) {
+            this.log('Downloading java server files...');
             try {
-                await this.downloadFile(this.config.server.download_url, fullPath);
-                if (!isJava) fs.chmodSync(fullPath, 0o755);
+                await this.downloadFile(this.config.server.download_url, jarPath);
                 this.log('Download complete!');
             } catch (err) {
                 this.log(`[ERROR] Download failed: ${err.message}`);
-                this.status = 'stopped';
-                this.io.emit('status', 'stopped');
-                return;
+                return false;
+            }
+        }
+
+        if (!fs.existsSync(jarPath)) {
+            this.log('[ERROR] server.jar not found. Install a version on the Software page (or set server.download_url).');
+            return false;
+        }
+
+        // The EULA is accepted by the operator in the setup wizard (or with `eula: true` in config.yml)
+        const eulaPath = path.join(this.serverPath, 'eula.txt');
+        const eulaInFile = fs.existsSync(eulaPath) && /^eula\s*=\s*true\s*$/m.test(fs.readFileSync(eulaPath, 'utf8'));
+        if (!eulaInFile) {
+            if (this.config.server.eula !== true) {
+                this.log('[ERROR] The Minecraft EULA (https://aka.ms/MinecraftEULA) has not been accepted. Set `eula: true` in config.yml to accept it.');
+                return false;
+            }
+            fs.writeFileSync(eulaPath, `#Accepted in the DevzServer setup (https://aka.ms/MinecraftEULA)\n#${new Date().toString()}\neula=true\n`, 'utf8');
+            this.log('EULA accepted in setup, eula.txt written.');
+        }
+
+        // Fill in server.properties on first start (it may already hold values saved from the settings form)
+        const properties = this.properties();
+        if (!properties.has('server-port')) {
+            // Determine Minecraft port
+            let mcPort = this.config.server.port || 25565;
+            const panelPort = parseInt(process.env.PORT || this.config.panel.web_port || 8080);
+
+            // Avoid overlap with panel
+            if (mcPort === panelPort) {
+                mcPort = mcPort + 1;
+                this.log(`[SYSTEM] Port conflict detected! Moving Minecraft to ${mcPort}`);
+            }
+
+            const defaults = {
+                'server-port': mcPort,
+                'max-players': this.config.server.max_players || 20,
+                'motd': 'DevzServer Managed',
+                'online-mode': true,
+                'query.port': mcPort
+            };
+
+            // RCON gives the panel a command channel that returns responses
+            if (this.config.server.rcon !== false) {
+                Object.assign(defaults, {
+                    'enable-rcon': true,
+                    'rcon.port': mcPort + 10,
+                    'rcon.password': crypto.randomBytes(18).toString('base64url'),
+                    'broadcast-rcon-to-ops': false
+                });
+            }
+            for (const [key, value] of Object.entries(defaults)) {
+                if (!properties.has(key)) properties.set(key, value);
+            }
+            properties.save();
+        }
+        return true;
+    }
+
+    /**
+     * Build the Java command line from the configured JVM profile, extra JVM args,
+     * server args and env. Flags are validated against the runtime's Java version.
+     */
+    _javaLaunch(runtime, { quiet = false } = {}) {
+        const memArgs = this.getMemoryArgs(!quiet);
+        const launch = JvmProfiles.resolve(this.config);
+        const jvmFlags = [...launch.flags, ...launch.extraArgs];
+        const { errors, warnings } = JvmProfiles.validate(jvmFlags, runtime.major);
+
+        return {
+            cmd: runtime.path,
+            args: [memArgs.xmx, memArgs.xms, ...jvmFlags, '-jar', 'server.jar', 'nogui', ...launch.serverArgs],
+            env: { ...process.env, ...launch.env },
+            envOverrides: launch.env,
+            profile: launch.profile,
+            errors,
+            warnings
+        };
+    }
+
+    /**
+     * Install or upgrade the Bedrock server from its zip and write server.properties.
+     * The URL of the installed archive is remembered so a changed download_url triggers an upgrade.
+     */
+    async _prepareBedrock() {
+        const binary = path.join(this.serverPath, BedrockInstaller.BINARY);
+        const marker = path.join(this.serverPath, '.bedrock-source');
+        const url = this.config.server.download_url;
+        const installedFrom = fs.existsSync(marker) ? fs.readFileSync(marker, 'utf8').trim() : null;
+
+        // A binary without a marker was installed by hand; leave it alone
+        const isUpgrade = fs.existsSync(binary) && installedFrom !== null && installedFrom !== url;
+        let freshProperties = false;
+
+        if (url && (!fs.existsSync(binary) || isUpgrade)) {
+            const zipPath = path.join(this.serverPath, '.bedrock-download.zip');
+            this.log(`${isUpgrade ? 'Upgrading' : 'Downloading'} bedrock server files...`);
+            try {
+                await this.downloadFile(url, zipPath);
+                this.log('Extracting Bedrock server...');
+                const { preserved, files } = BedrockInstaller.install(zipPath, this.serverPath);
+                fs.writeFileSync(marker, url + '\n', 'utf8');
+                freshProperties = !preserved.includes('server.properties');
+                this.log(`Bedrock install complete! ${files} files extracted` +
+                    (preserved.length ? `, kept ${preserved.join(', ')}` : ''));
+            } catch (err) {
+                this.log(`[ERROR] Bedrock install failed: ${err.message}`);
+                return false;
+            } finally {
+                fs.rmSync(zipPath, { force: true });
             }
         }
 
-        if (!fs.existsSync(fullPath)) {
-            this.log('[ERROR] Server file not found and no download URL configured.');
-            this.status = 'stopped';
-            this.io.emit('status', 'stopped');
+        if (!fs.existsSync(binary)) {
+            this.log('[ERROR] Bedrock server not found. Set server.download_url to the Bedrock server zip for your version.');
+            return false;
+        }
+
+        // Bedrock listens on UDP, so it can't clash with the panel's TCP port
+        const propsPath = path.join(this.serverPath, 'server.properties');
+        if (freshProperties || !fs.existsSync(propsPath)) {
+            const port = this.config.server.port || 19132;
+            this._updateProperties({
+                'server-name': this.config.server.name || 'DevzServer',
+                'max-players': this.config.server.max_players || 20,
+                'server-port': port,
+                'server-portv6': port + 1
+            });
+            this.log(`[SYSTEM] Bedrock ports: IPv4 ${port}/udp, IPv6 ${port + 1}/udp`);
+        }
+        return true;
+    }
+
+    _bedrockLaunch() {
+        // The server ships its own shared libraries next to the binary
+        const envOverrides = { LD_LIBRARY_PATH: this.serverPath, ...JvmProfiles.parseEnv(this.config.server.env) };
+        return {
+            cmd: path.join(this.serverPath, BedrockInstaller.BINARY),
+            args: [],
+            env: { ...process.env, ...envOverrides },
+            envOverrides,
+            errors: [],
+            warnings: []
+        };
+    }
+
+    /**
+     * The exact command `start()` would run, without starting anything
+     */
+    previewLaunch() {
+        if (this.config.server.type !== 'java') {
+            const { cmd, args, envOverrides } = this._bedrockLaunch();
+            return { cmd, args, env: envOverrides, commandLine: JvmProfiles.formatCommand(cmd, args), errors: [], warnings: [] };
+        }
+        const runtime = this.selectJava();
+        const { cmd, args, envOverrides, profile, errors, warnings } = this._javaLaunch(runtime, { quiet: true });
+        return {
+            cmd, args, env: envOverrides, profile,
+            java: { version: runtime.version, major: runtime.major, path: runtime.path },
+            commandLine: JvmProfiles.formatCommand(cmd, args),
+            errors, warnings
+        };
+    }
+
+    async start() {
+        if (this.status !== 'stopped') return;
+        if (this.maintenance) {
+            this.log(`[ERROR] Can't start while ${this.maintenance}`);
             return;
         }
 
-        // Java specific setup
-        if (isJava) {
-            // Accept EULA
-            const eulaPath = path.join(this.serverPath, 'eula.txt');
-            fs.writeFileSync(eulaPath, 'eula=true\n', 'utf8');
-            this.log('EULA accepted automatically.');
-
-            // Ensure server.properties exists
-            const propsPath = path.join(this.serverPath, 'server.properties');
-            if (!fs.existsSync(propsPath)) {
-                // Determine Minecraft port
-                let mcPort = this.config.server.port || 25565;
-                const panelPort = parseInt(process.env.PORT || this.config.panel.web_port || 8080);
-
-                // Avoid overlap with panel
-                if (mcPort === panelPort) {
-                    mcPort = mcPort + 1;
-                    this.log(`[SYSTEM] Port conflict detected! Moving Minecraft to ${mcPort}`);
-                }
+        this.shouldStop = false;
+        this.setStatus('starting');
+        this.log('--- Server starting... ---');
+        this.pendingRestart.clear();
+
+        const isJava = this.config.server.type === 'java';
 
-                const props = [
-                    `server-port=${mcPort}`,
-                    `max-players=${this.config.server.max_players || 20}`,
-                    'motd=DevzServer Managed',
-                    'online-mode=true',
-                    `query.port=${mcPort}`
-                ].join('\n');
-                fs.writeFileSync(propsPath, props + '\n', 'utf8');
+        // Pick a Java runtime that can run this Minecraft version and build the command line
+        let launch;
+        try {
+            if (isJava) {
+                const runtime = this.selectJava();
+                this.javaRuntime = runtime;
+                this.log(`[SYSTEM] Using Java ${runtime.version} (${runtime.path})`);
+                launch = this._javaLaunch(runtime);
+            } else {
+                launch = this._bedrockLaunch();
             }
+        } catch (err) {
+            this.log(`[ERROR] ${err.message}`);
+            this.setStatus('stopped');
+            return;
+        }
+        for (const warning of launch.warnings) this.log(`[WARN] ${warning}`);
+        if (launch.errors.length) {
+            for (const error of launch.errors) this.log(`[ERROR] ${error}`);
+            this.setStatus('stopped');
+            return;
         }
+        if (launch.profile) this.log(`[SYSTEM] JVM profile: ${launch.profile}`);
+
+        const prepared = isJava ? await this._prepareJava() : await this._prepareBedrock();
+        if (!prepared) {
+            this.setStatus('stopped');
+            return;
+        }
+
+        const { cmd, args, env } = launch;
 
-        // Build args
-        const cmd = isJava ? 'java' : `./${fileName}`;
-        const memArgs = isJava ? this.getMemoryArgs() : null;
-
-        // Optimized JVM Flags (Aikar's + Container-aware)
-        const jvmFlags = [
-            memArgs.xmx,
-            memArgs.xms,
-            '-XX:+UseG1GC',
-            '-XX:+ParallelRefProcEnabled',
-            '-XX:MaxGCPauseMillis=200',
-            '-XX:+UnlockExperimentalVMOptions',
-            '-XX:+DisableExplicitGC',
-            '-XX:+UseContainerSupport',
-            '-XX:G1HeapWastePercent=5',
-            '-XX:G1MixedGCCountTarget=4',
-            '-XX:G1MixedGCLiveThresholdPercent=90',
-            '-XX:G1RSetUpdatingPauseTimePercent=5',
-            '-XX:SurvivorRatio=32',
-            '-XX:+PerfDisableSharedMem',
-            '-XX:MaxTenuringThreshold=1',
-            '-Dusing.aikars.flags=https://mcutils.com',
-            '-Daikars.new.flags=true'
-        ];
-
-        const args = isJava ? [...jvmFlags, '-jar', fileName, 'nogui'] : [];
+        this.runningSince = null;
+        this.hangDetectedAt = null;
+        this.crashes.markStart();
 
         try {
-            this.process = spawn(cmd, args, {
-                cwd: this.serverPath,
-                shell: !isJava
-            });
+            this.process = this.config.server.detached
+                ? DetachedProcess.spawn(cmd, args, { cwd: this.serverPath, env, meta: { java: this.javaRuntime } })
+                : spawn(cmd, args, { cwd: this.serverPath, env });
         } catch (err) {
             this.log(`[ERROR] Failed to spawn process: ${err.message}`);
-            this.status = 'stopped';
-            this.io.emit('status', 'stopped');
+            this.setStatus('stopped');
             return;
         }
 
+        this.log(`[SYSTEM] Process started with PID: ${this.process.pid}${this.config.server.detached ? ' (detached)' : ''}`);
+        this._watchProcess();
+    }
+
+    /**
+     * Pick up a detached server left running by a previous panel process.
+     * It's treated as starting until the status probe answers.
+     */
+    reattach() {
+        if (this.process) return false;
+        let found;
+        try {
+            found = DetachedProcess.attach(this.serverPath);
+        } catch (err) {
+            this.log(`[ERROR] Could not check for a detached server: ${err.message}`);
+            return false;
+        }
+        if (!found) return false;
+
+        const { process: proc, info } = found;
+        this.process = proc;
+        this.shouldStop = false;
+        this.javaRuntime = info.java || null;
+        this.runningSince = null;
+        this.hangDetectedAt = null;
+        this.crashes.markStart(info.startedAt);
+        this.setStatus('starting');
+
+        // Show what the server printed before the panel restarted
+        for (const line of readLinesBefore(proc.paths.console, proc.offset, 100).lines) {
+            if (line.trim()) this.scrollback.push({ time: Date.now(), line });
+        }
+        this.log(`[SYSTEM] Reattached to running server (PID ${proc.pid}, started ${new Date(info.startedAt).toLocaleString()})`);
+        this._watchProcess();
+        this.probe();
+        return true;
+    }
+
+    /**
+     * Follow the current process's output and exit
+     */
+    _watchProcess() {
         const pid = this.process.pid;
-        this.log(`[SYSTEM] Process started with PID: ${pid}`);
+        this.parser = new LogParser(this.config.server.type);
+        this.stdoutRemainder = '';
+        this._clearPlayers();
+        this.serverInfo = null;
+        this._scheduleProbe();
 
         this.process.stdout.on('data', (data) => {
-            const str = data.toString().trim();
+            const raw = data.toString();
+            const str = raw.trim();
             if (str) this.log(str);
-            if (str.includes('Done') || str.includes('Server started')) {
-                this.status = 'running';
-                this.crashCount = 0; // Reset crash count on successful start
-                this.io.emit('status', 'running');
-            }
+            this._parseOutput(raw);
         });
 
         this.process.stderr.on('data', (data) => {
@@ -269,17 +648,29 @@ class MinecraftServer extends EventEmitter {
 
         this.process.on('error', (err) => {
             this.log(`[ERROR] Process error: ${err.message}`);
-            this.status = 'stopped';
-            this.io.emit('status', 'stopped');
+            this._stopProbing();
+            this.watchdog.stop();
+            this.setStatus('stopped');
             this.process = null;
         });
 
         this.process.on('close', (code, signal) => {
-            this.status = 'stopped';
-            this.io.emit('status', 'stopped');
-            const reason = signal ? `signal ${signal}` : `exit code ${code}`;
+            const runningSince = this.runningSince;
+            this.runningSince = null;
+            this.watchdog.stop();
+            this.cancelPendingAction({ silent: true });
+            this.setStatus('stopped');
+            this._clearPlayers();
+            this._closeRcon();
+            this._stopProbing();
+            this.serverInfo = null;
+            this.io.to(this.room).emit('server-info', null);
+            // A reattached process isn't our child, so its exit status can't be read
+            const reason = signal ? `signal ${signal}` : code !== null ? `exit code ${code}` : 'exit status unknown';
             this.log(`--- Server stopped (PID ${pid}, ${reason}) ---`);
             this.process = null;
+            for (const waiter of [...this.outputWaiters]) waiter.done(new Error('The server stopped'));
+            this.savesHeld = 0;
 
             // Emit event for restart logic
             this.emit('stopped', { code, signal, wasIntentional: this.shouldStop });
@@ -289,6 +680,18 @@ class MinecraftServer extends EventEmitter {
             // Signal (SIGKILL, SIGTERM) or non-zero exit = crash — restart
             const isCrash = (signal !== null) || (code !== null && code !== 0);
 
+            // A clean exit before the server ever answered pings is a failed start (port in use, EULA, ...)
+            const failedStart = !isCrash && runningSince === null;
+            const crashDetails = {
+                pid, code, signal,
+                intentional: this.shouldStop,
+                hang: this.hangDetectedAt !== null,
+                uptime: runningSince ? Date.now() - runningSince : 0,
+                attempt: null,
+                maxAttempts: null,
+                willRestart: false
+            };
+
             if (!this.shouldStop && isCrash && this.config.server.auto_restart) {
                 const maxAttempts = this.config.server.max_restart_attempts || 5;
                 const now = Date.now();
@@ -300,6 +703,10 @@ class MinecraftServer extends EventEmitter {
                 this.lastCrashTime = now;
                 this.crashCount++;
 
+                crashDetails.attempt = this.crashCount;
+                crashDetails.maxAttempts = maxAttempts;
+                crashDetails.willRestart = this.crashCount <= maxAttempts;
+
                 if (this.crashCount <= maxAttempts) {
                     const delay = Math.min(5000 * this.crashCount, 30000); // Progressive delay: 5s, 10s, 15s...
                     this.log(`[SYSTEM] Server crashed unexpectedly. Auto-restarting in ${delay / 1000}s... (attempt ${this.crashCount}/${maxAttempts})`);
@@ -310,12 +717,21 @@ class MinecraftServer extends EventEmitter {
                     this.log(`[SYSTEM] Server crashed ${this.crashCount} times. Auto-restart disabled. Please check server logs.`);
                 }
             }
+
+            if (!this.shouldStop && (isCrash || failedStart)) {
+                try {
+                    this.crashes.capture(crashDetails);
+                } catch (err) {
+                    this.log(`[ERROR] Failed to save crash record: ${err.message}`);
+                }
+            }
         });
     }
 
     stop() {
         if (!this.process) return;
 
+        this.cancelPendingAction({ silent: true });
         this.shouldStop = true;
         const pidToKill = this.process.pid;
         const processToKill = this.process;
@@ -352,6 +768,48 @@ class MinecraftServer extends EventEmitter {
         }
     }
 
+    /**
+     * Called when the panel is exiting. Detached servers are left running for the
+     * next panel to reattach to; others are stopped gracefully. Resolves once done.
+     */
+    shutdown() {
+        this.shouldStop = true; // Also cancels any auto-restart that is waiting
+        if (!this.process) return Promise.resolve();
+
+        if (this.process instanceof DetachedProcess) {
+            this.cancelPendingAction({ silent: true });
+            this.watchdog.stop();
+            this._stopProbing();
+            this._closeRcon();
+            this.process.detach();
+            this.log(`[SYSTEM] Panel shutting down, leaving detached server running (PID ${this.process.pid})`);
+            this.process = null;
+            return Promise.resolve();
+        }
+
+        return this.stopAndWait();
+    }
+
+    /**
+     * Stop the server and resolve once it has exited
+     */
+    stopAndWait() {
+        if (!this.process) return Promise.resolve();
+        return new Promise((resolve) => {
+            this.once('stopped', resolve);
+            this.stop();
+        });
+    }
+
+    /**
+     * Last resort when the panel exits without shutting down: SIGTERM still runs
+     * the server's shutdown hook (which saves worlds) instead of leaving an orphan
+     */
+    terminate() {
+        if (!this.process || this.process instanceof DetachedProcess) return;
+        try { this.process.kill('SIGTERM'); } catch (e) { }
+    }
+
     restart() {
         this.shouldStop = false;
         if (this.status === 'stopped') {
@@ -378,10 +836,318 @@ class MinecraftServer extends EventEmitter {
         }, 35000);
     }
 
-    sendCommand(cmd) {
+    /**
+     * Stop or restart after a countdown that warns players in-game.
+     * A zero delay, or a server that isn't running, acts immediately.
+     * Replaces any countdown already pending.
+     */
+    scheduleAction(action, delay = 0, { reason = null, source = 'manual' } = {}) {
+        if (!['stop', 'restart'].includes(action)) throw new Error(`Cannot schedule "${action}"`);
+        const seconds = Countdown.parseDuration(delay);
+        this.cancelPendingAction({ silent: true });
+
+        if (seconds === 0 || this.status !== 'running') {
+            if (action === 'stop') this.stop();
+            else this.restart();
+            return null;
+        }
+
+        const countdown = new Countdown(this, { action, seconds, reason, source });
+        this.pendingAction = countdown;
+        countdown.start(() => {
+            this.pendingAction = null;
+            this._emitPendingAction();
+            if (action === 'stop') this.stop();
+            else this.restart();
+        });
+        this.log(`[SYSTEM] ${action === 'stop' ? 'Stop' : 'Restart'} scheduled in ${Countdown.formatDuration(seconds)}` +
+            (source !== 'manual' ? ` (${source})` : ''));
+        this._emitPendingAction();
+        return countdown.toJSON();
+    }
+
+    /**
+     * Cancel a pending countdown. Returns false if there was none.
+     */
+    cancelPendingAction({ silent = false } = {}) {
+        if (!this.pendingAction) return false;
+        const { action } = this.pendingAction;
+        this.pendingAction.cancel();
+        this.pendingAction = null;
+        if (!silent) {
+            this.log(`[SYSTEM] Scheduled ${action} cancelled`);
+            if (this.status === 'running') this.sendCommand(`say Scheduled ${action} cancelled`);
+        }
+        this._emitPendingAction();
+        return true;
+    }
+
+    getPendingAction() {
+        return this.pendingAction ? this.pendingAction.toJSON() : null;
+    }
+
+    _emitPendingAction() {
+        this.io.to(this.room).emit('pending-action', this.getPendingAction());
+    }
+
+    /**
+     * Next daily restart from `server.scheduled_restarts`, or null
+     */
+    nextScheduledRestart(now = new Date()) {
+        return Countdown.nextDaily(this.config.server.scheduled_restarts, now);
+    }
+
+    /**
+     * Called every minute: start the warning countdown when a scheduled restart is close
+     */
+    checkScheduledRestart(now = new Date()) {
+        if (this.status !== 'running' || this.pendingAction) return;
+        const next = this.nextScheduledRestart(now);
+        if (!next) return;
+        const seconds = Math.round((next - now) / 1000);
+        const warning = Countdown.parseDuration(this.config.server.restart_warning || '5m');
+        if (seconds <= warning) this.scheduleAction('restart', seconds, { source: 'schedule' });
+    }
+
+    /**
+     * server.properties of this instance, loaded
+     */
+    properties() {
+        return new ServerProperties(path.join(this.serverPath, 'server.properties'), this.config.server.type).load();
+    }
+
+    _readProperties() {
+        return this.properties().toObject();
+    }
+
+    /**
+     * Set keys in server.properties without validation, keeping every other line as it is
+     */
+    _updateProperties(updates) {
+        const props = this.properties();
+        for (const [key, value] of Object.entries(updates)) props.set(key, value);
+        props.save();
+    }
+
+    /**
+     * Validate and save property changes from the settings form.
+     * While running, keys with a live command are applied immediately; the rest
+     * are remembered as needing a restart until the next start.
+     * Returns { changed, applied, restartRequired }
+     */
+    async updateProperties(changes) {
+        const panelPort = parseInt(process.env.PORT || this.config.panel.web_port || 8080);
+        if (this.config.server.type === 'java' && parseInt(changes['server-port']) === panelPort) {
+            throw new Error(`server-port ${panelPort} is used by the panel`);
+        }
+
+        const props = this.properties();
+        const changed = props.update(changes);
+        if (changed.length) props.save();
+
+        const applied = [];
+        if (this.status !== 'stopped') {
+            for (const key of changed) {
+                const entry = props.schema[key];
+                if (this.status === 'running' && entry && entry.live) {
+                    await this.sendCommand(entry.live(props.get(key)));
+                    applied.push(key);
+                } else {
+                    this.pendingRestart.add(key);
+                }
+            }
+            if (this.pendingRestart.size) {
+                this.log(`[SYSTEM] Restart required to apply: ${[...this.pendingRestart].join(', ')}`);
+            }
+        }
+        return { changed, applied, restartRequired: [...this.pendingRestart] };
+    }
+
+    /**
+     * Return a connected RCON client, or null when RCON is disabled or unreachable
+     */
+    async _getRcon() {
+        if (this.config.server.type !== 'java' || this.config.server.rcon === false) return null;
+        if (this.rcon && this.rcon.connected) return this.rcon;
+        if (this.rconConnecting) return this.rconConnecting;
+
+        const props = this._readProperties();
+        if (props['enable-rcon'] !== 'true' || !props['rcon.password']) return null;
+
+        const client = new RconClient({
+            host: '127.0.0.1',
+            port: parseInt(props['rcon.port']) || 25575,
+            password: props['rcon.password']
+        });
+        client.on('error', () => { }); // Surfaced through command() rejections
+        client.on('close', () => {
+            if (this.rcon === client) this.rcon = null;
+        });
+
+        this.rconConnecting = client.connect()
+            .then(() => {
+                this.rcon = client;
+                return client;
+            })
+            .catch(() => null)
+            .finally(() => { this.rconConnecting = null; });
+        return this.rconConnecting;
+    }
+
+    _closeRcon() {
+        if (this.rcon) this.rcon.close();
+        this.rcon = null;
+    }
+
+    /**
+     * Run a command over RCON only, for internal polling that should neither
+     * echo into the console nor fall back to stdin. Resolves null when unavailable.
+     */
+    async queryCommand(cmd) {
+        if (this.status !== 'running') return null;
+        const rcon = await this._getRcon();
+        if (!rcon) return null;
+        try {
+            const response = await rcon.command(cmd);
+            return response.replace(/\u00a7./g, '');
+        } catch (err) {
+            return null;
+        }
+    }
+
+    /**
+     * Send a console command. Uses RCON when available so the response can be
+     * returned; falls back to the process's stdin (response is then null).
+     */
+    async sendCommand(cmd) {
+        const rcon = await this._getRcon();
+        if (rcon) {
+            try {
+                const response = await rcon.command(cmd);
+                return response.replace(/\u00a7./g, ''); // Strip formatting codes
+            } catch (err) {
+                // The server drops RCON connections as it shuts down, often before answering
+                if (/^stop$/i.test(cmd.trim()) && /connection closed/.test(err.message)) return null;
+                // The command may already have run, so don't repeat it over stdin
+                this.log(`[RCON] Command failed: ${err.message}`);
+                return null;
+            }
+        }
+
         if (this.process && this.process.stdin && this.process.stdin.writable) {
             this.process.stdin.write(cmd + '\n');
         }
+        return null;
+    }
+
+    /**
+     * Resolve with the first value `match(line)` returns for a console line
+     * (anything but undefined). Rejects after `timeout` ms or when the server stops.
+     */
+    waitForOutput(match, timeout = MinecraftServer.SAVE_TIMEOUT) {
+        return new Promise((resolve, reject) => {
+            const waiter = {
+                match,
+                done: (err, value) => {
+                    clearTimeout(waiter.timer);
+                    this.outputWaiters.delete(waiter);
+                    if (err) reject(err);
+                    else resolve(value);
+                },
+                timer: setTimeout(() => waiter.done(new Error(`No response from the server within ${timeout / 1000}s`)), timeout)
+            };
+            this.outputWaiters.add(waiter);
+        });
+    }
+
+    _feedWaiters(line) {
+        for (const waiter of [...this.outputWaiters]) {
+            let value;
+            try {
+                value = waiter.match(line);
+            } catch (err) {
+                waiter.done(err);
+                continue;
+            }
+            if (value !== undefined) waiter.done(null, value);
+        }
+    }
+
+    /**
+     * Run a command and wait for its answer, whether it comes back over RCON
+     * or only shows up in the console
+     */
+    async _commandAndWait(cmd, match, timeout) {
+        const answer = this.waitForOutput(match, timeout);
+        const response = await this.sendCommand(cmd);
+        if (response) for (const line of response.split('\n')) this._feedWaiters(line);
+        return answer;
+    }
+
+    /**
+     * Get the world into a state that can be copied: autosave paused and
+     * everything flushed to disk. Must be followed by resumeSaves(), even if it throws.
+     * Holds may overlap (a backup and a world export); saving resumes after the last one.
+     *
+     * Java: `save-off`, then `save-all flush` until "Saved the game".
+     * Bedrock: `save hold`, then `save query` until the files are ready. Bedrock keeps
+     * appending to its files, so it returns { limits } mapping each file (relative to
+     * the server directory) to the length that belongs to the snapshot.
+     */
+    async holdSaves() {
+        this.savesHeld++;
+        if (this.config.server.type === 'bedrock') return this._holdSavesBedrock();
+
+        await this.sendCommand('save-off');
+        // Pre-1.13 servers say "Saved the world"
+        await this._commandAndWait('save-all flush', (line) => (/Saved the (game|world)/.test(line) ? true : undefined));
+        return { limits: null };
+    }
+
+    async _holdSavesBedrock() {
+        await this.sendCommand('save hold');
+        const deadline = Date.now() + MinecraftServer.SAVE_TIMEOUT;
+        while (Date.now() < deadline) {
+            // The file list is the line after "Data saved. Files are now ready to be copied."
+            let ready = false;
+            const match = (line) => {
+                if (ready) return line.trim() ? line.trim() : undefined;
+                if (line.includes('Files are now ready to be copied')) ready = true;
+                return undefined;
+            };
+            try {
+                const list = await this._commandAndWait('save query', match, MinecraftServer.SAVE_QUERY_INTERVAL);
+                return { limits: MinecraftServer.parseSaveQuery(list) };
+            } catch (err) {
+                if (this.status !== 'running') throw err;
+            }
+        }
+        throw new Error(`The server did not finish saving within ${MinecraftServer.SAVE_TIMEOUT / 1000}s`);
+    }
+
+    /**
+     * Turn the `save query` file list ("Bedrock level/db/000005.ldb:1234, ...")
+     * into { 'worlds/Bedrock level/db/000005.ldb': 1234, ... }
+     */
+    static parseSaveQuery(list) {
+        const limits = {};
+        for (const item of list.split(', ')) {
+            const colon = item.lastIndexOf(':');
+            const length = parseInt(item.slice(colon + 1));
+            if (colon <= 0 || isNaN(length)) continue;
+            limits[`worlds/${item.slice(0, colon).replace(/\\/g, '/')}`] = length;
+        }
+        return limits;
+    }
+
+    /**
+     * Turn autosave back on after holdSaves(). Resolves true when saving actually resumed.
+     */
+    async resumeSaves() {
+        this.savesHeld = Math.max(0, this.savesHeld - 1);
+        if (this.savesHeld > 0 || !this.process) return false;
+        await this.sendCommand(this.config.server.type === 'bedrock' ? 'save resume' : 'save-on');
+        return true;
     }
 }
 
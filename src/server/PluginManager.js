@@ -0,0 +1,380 @@
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const AdmZip = require('adm-zip');
+
+/**
+ * Lists, installs and enables/disables the plugins (plugins/) and mods (mods/)
+ * of a Java server, reading each jar's descriptor: plugin.yml,
+ * paper-plugin.yml, fabric.mod.json or META-INF/mods.toml.
+ *
+ * Disabled jars are renamed to `<name>.jar.disabled`, which no loader picks up.
+ */
+class PluginManager {
+    static DIRS = { plugin: 'plugins', mod: 'mods' };
+    static DISABLED_SUFFIX = '.disabled';
+
+    // Loaders each server software can run; software not listed here accepts anything
+    static SOFTWARE_LOADERS = {
+        vanilla: [],
+        paper: ['bukkit', 'paper'],
+        spigot: ['bukkit'],
+        purpur: ['bukkit', 'paper'],
+        fabric: ['fabric'],
+        quilt: ['fabric'],
+        forge: ['forge'],
+        neoforge: ['forge']
+    };
+
+    // Dependency ids the loader itself provides
+    static BUILTIN_IDS = {
+        fabric: ['minecraft', 'java', 'fabricloader', 'fabric-loader', 'quilt_loader'],
+        forge: ['minecraft', 'java', 'forge', 'neoforge', 'javafml', 'lowcodefml']
+    };
+
+    /**
+     * Just enough TOML for mods.toml: tables, arrays of tables, strings
+     * (including multi-line), booleans, numbers and one-line arrays
+     */
+    static parseToml(text) {
+        const root = {};
+        let current = root;
+        const lines = text.split(/\r?\n/);
+
+        const splitKey = (key) => key.split('.').map(k => k.trim().replace(/^["']|["']$/g, ''));
+        const walk = (keys) => {
+            let node = root;
+            for (const key of keys) {
+                if (node[key] === undefined) node[key] = {};
+                node = Array.isArray(node[key]) ? node[key][node[key].length - 1] : node[key];
+            }
+            return node;
+        };
+        const parseValue = (raw) => {
+            let m;
+            if ((m = raw.match(/^"((?:\\.|[^"\\])*)"/))) return JSON.parse(`"${m[1]}"`);
+            if ((m = raw.match(/^'([^']*)'/))) return m[1];
+            if ((m = raw.match(/^(true|false)\b/))) return m[1] === 'true';
+            if ((m = raw.match(/^[+-]?\d[\d_]*(\.\d+)?\b/))) return Number(m[0].replace(/_/g, ''));
+            if ((m = raw.match(/^\[(.*)\]/))) {
+                return m[1].split(/,(?=(?:[^"]*"[^"]*")*[^"]*$)/).map(s => s.trim()).filter(Boolean).map(parseValue);
+            }
+            return raw.replace(/\s+#.*$/, '').trim();
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i].trim();
+            if (!line || line.startsWith('#')) continue;
+            let m;
+            if ((m = line.match(/^\[\[\s*([^\]]+?)\s*\]\]/))) {
+                const keys = splitKey(m[1]);
+                const parent = walk(keys.slice(0, -1));
+                const last = keys[keys.length - 1];
+                if (!Array.isArray(parent[last])) parent[last] = [];
+                current = {};
+                parent[last].push(current);
+            } else if ((m = line.match(/^\[\s*([^\]]+?)\s*\]/))) {
+                current = walk(splitKey(m[1]));
+            } else if ((m = line.match(/^("[^"]*"|'[^']*'|[\w.-]+)\s*=\s*(.*)$/))) {
+                const keys = splitKey(m[1]);
+                const target = keys.slice(0, -1).reduce((node, k) => (node[k] = node[k] || {}), current);
+                const triple = m[2].match(/^("""|''')/);
+                if (triple) {
+                    let body = m[2].slice(3);
+                    while (!body.includes(triple[1]) && i + 1 < lines.length) body += '\n' + lines[++i];
+                    target[keys[keys.length - 1]] = body.slice(0, body.indexOf(triple[1])).replace(/^\n/, '');
+                } else {
+                    target[keys[keys.length - 1]] = parseValue(m[2].trim());
+                }
+            }
+        }
+        return root;
+    }
+
+    static _list(value) {
+        if (value === undefined || value === null) return [];
+        return (Array.isArray(value) ? value : [value]).map(String);
+    }
+
+    static _authors(value) {
+        return PluginManager._list(Array.isArray(value) ? value.map(a => (a && a.name) || a) : value && (value.name || value))
+            .flatMap(a => a.split(/\s*,\s*/))
+            .filter(Boolean);
+    }
+
+    /**
+     * paper-plugin.yml dependencies come as `{ server: { Name: { required } } }` or, in early versions, a list
+     */
+    static _paperDependencies(deps) {
+        if (!deps) return [];
+        if (Array.isArray(deps)) return deps.map(d => ({ id: d.name, required: d.required !== 'false' }));
+        const out = [];
+        for (const section of ['server', 'bootstrap']) {
+            for (const [id, info] of Object.entries(deps[section] || {})) {
+                out.push({ id, required: !info || info.required !== 'false' });
+            }
+        }
+        return out;
+    }
+
+    static _fromPluginYml(text, loader) {
+        // Failsafe keeps every scalar a string, so `version: 2.10` isn't read as 2.1
+        const data = yaml.load(text, { schema: yaml.FAILSAFE_SCHEMA }) || {};
+        if (!data.name) throw new Error(`${loader === 'paper' ? 'paper-plugin.yml' : 'plugin.yml'} has no name`);
+        const dependencies = loader === 'paper'
+            ? PluginManager._paperDependencies(data.dependencies)
+            : [
+                ...PluginManager._list(data.depend).map(id => ({ id, required: true })),
+                ...PluginManager._list(data.softdepend).map(id => ({ id, required: false }))
+            ];
+        return {
+            kind: 'plugin',
+            loader,
+            id: String(data.name),
+            name: String(data.name),
+            version: data.version !== undefined ? String(data.version) : null,
+            authors: PluginManager._authors(data.authors || data.author),
+            description: data.description ? String(data.description) : null,
+            dependencies,
+            provides: PluginManager._list(data.provides)
+        };
+    }
+
+    static _fromFabric(text, zip) {
+        const data = JSON.parse(text.replace(/^\uFEFF/, ''));
+        if (!data.id) throw new Error('fabric.mod.json has no id');
+        const deps = (field, required) => Object.keys(data[field] || {}).map(id => ({ id, required }));
+
+        // Jar-in-jar libraries count as provided by this mod
+        const provides = PluginManager._list(data.provides);
+        for (const nested of data.jars || []) {
+            try {
+                const inner = new AdmZip(zip.readFile(nested.file));
+                const innerJson = inner.readAsText('fabric.mod.json');
+                if (innerJson) {
+                    const info = JSON.parse(innerJson.replace(/^\uFEFF/, ''));
+                    provides.push(info.id, ...PluginManager._list(info.provides));
+                }
+            } catch (e) { }
+        }
+
+        return {
+            kind: 'mod',
+            loader: 'fabric',
+            id: String(data.id),
+            name: data.name ? String(data.name) : String(data.id),
+            version: data.version ? String(data.version) : null,
+            authors: PluginManager._authors(data.authors),
+            description: data.description ? String(data.description) : null,
+            dependencies: [...deps('depends', true), ...deps('recommends', false), ...deps('suggests', false)],
+            provides: provides.filter(Boolean)
+        };
+    }
+
+    static _fromModsToml(text, zip) {
+        const data = PluginManager.parseToml(text);
+        const mod = (data.mods || [])[0];
+        if (!mod || !mod.modId) throw new Error('mods.toml has no [[mods]] entry');
+
+        let version = mod.version ? String(mod.version) : null;
+        if (version === '${file.jarVersion}') {
+            const manifest = zip.readAsText('META-INF/MANIFEST.MF') || '';
+            const match = manifest.match(/^Implementation-Version:\s*(.+)$/m);
+            version = match ? match[1].trim() : null;
+        }
+
+        const dependencies = ((data.dependencies || {})[mod.modId] || []).map(d => ({
+            id: String(d.modId),
+            // Forge uses `mandatory`, NeoForge `type`
+            required: d.type ? d.type === 'required' : d.mandatory !== false
+        }));
+        return {
+            kind: 'mod',
+            loader: 'forge',
+            id: String(mod.modId),
+            name: mod.displayName ? String(mod.displayName) : String(mod.modId),
+            version,
+            authors: PluginManager._authors(mod.authors || data.authors),
+            description: mod.description ? String(mod.description).trim() : null,
+            dependencies,
+            provides: (data.mods || []).slice(1).map(m => String(m.modId))
+        };
+    }
+
+    /**
+     * Read a jar's descriptor. Throws if it's not a plugin or mod.
+     */
+    static inspect(jarPath) {
+        let zip;
+        try {
+            zip = new AdmZip(jarPath);
+            zip.getEntries();
+        } catch (err) {
+            throw new Error('Not a valid jar file');
+        }
+        const read = (name) => zip.getEntry(name) ? zip.readAsText(name) : null;
+
+        let text;
+        if ((text = read('paper-plugin.yml')) !== null) return PluginManager._fromPluginYml(text, 'paper');
+        if ((text = read('plugin.yml')) !== null) return PluginManager._fromPluginYml(text, 'bukkit');
+        if ((text = read('fabric.mod.json')) !== null) return PluginManager._fromFabric(text, zip);
+        if ((text = read('META-INF/neoforge.mods.toml')) !== null) return PluginManager._fromModsToml(text, zip);
+        if ((text = read('META-INF/mods.toml')) !== null) return PluginManager._fromModsToml(text, zip);
+        throw new Error('No plugin.yml, paper-plugin.yml, fabric.mod.json or mods.toml found in the jar');
+    }
+
+    /**
+     * @param {MinecraftServer} server
+     */
+    constructor(server) {
+        this.server = server;
+    }
+
+    get software() {
+        return this.server.config.server.software || 'vanilla';
+    }
+
+    /**
+     * Loaders this server can run, or null when the software is unknown
+     */
+    get loaders() {
+        return PluginManager.SOFTWARE_LOADERS[this.software] || null;
+    }
+
+    _checkJava() {
+        if (this.server.config.server.type !== 'java') throw new Error('Bedrock servers use add-ons, not plugins or mods');
+    }
+
+    /**
+     * Installed plugins and mods with descriptor info and warnings
+     */
+    list() {
+        this._checkJava();
+        const items = [];
+        for (const dir of Object.values(PluginManager.DIRS)) {
+            const full = path.join(this.server.serverPath, dir);
+            if (!fs.existsSync(full)) continue;
+            for (const name of fs.readdirSync(full).sort((a, b) => a.localeCompare(b))) {
+                const enabled = name.endsWith('.jar');
+                if (!enabled && !name.endsWith('.jar' + PluginManager.DISABLED_SUFFIX)) continue;
+                const filePath = path.join(full, name);
+                const stat = fs.statSync(filePath);
+                if (!stat.isFile()) continue;
+
+                const item = { file: `${dir}/${name}`, enabled, size: stat.size, modified: stat.mtime, warnings: [] };
+                try {
+                    Object.assign(item, PluginManager.inspect(filePath));
+                } catch (err) {
+                    item.error = err.message;
+                }
+                items.push(item);
+            }
+        }
+        this._addWarnings(items);
+        return { software: this.software, loaders: this.loaders, items };
+    }
+
+    _addWarnings(items) {
+        const active = items.filter(i => i.enabled && !i.error);
+        const key = (item, id) => `${item.kind}:${item.kind === 'plugin' ? id.toLowerCase() : id}`;
+
+        const provided = new Set();
+        const owners = new Map();
+        for (const item of active) {
+            for (const id of [item.id, ...item.provides]) provided.add(key(item, id));
+            const own = key(item, item.id);
+            owners.set(own, [...(owners.get(own) || []), item]);
+        }
+
+        for (const item of active) {
+            const duplicates = owners.get(key(item, item.id)).filter(other => other !== item);
+            if (duplicates.length) {
+                item.warnings.push(`Duplicate ${item.kind} id "${item.id}" (also in ${duplicates.map(d => d.file).join(', ')})`);
+            }
+            const builtin = PluginManager.BUILTIN_IDS[item.loader] || [];
+            const missing = item.dependencies
+                .filter(d => d.required && !builtin.includes(d.id) && !provided.has(key(item, d.id)))
+                .map(d => d.id);
+            if (missing.length) item.warnings.push(`Missing required ${missing.length === 1 ? 'dependency' : 'dependencies'}: ${missing.join(', ')}`);
+            if (this.loaders && !this.loaders.includes(item.loader)) {
+                item.warnings.push(`${item.loader} ${item.kind}s don't load on ${this.software}`);
+            }
+        }
+    }
+
+    /**
+     * Resolve "plugins/Name.jar[.disabled]" inside the server directory
+     */
+    _resolve(file) {
+        const [dir, name, ...rest] = String(file || '').split('/');
+        if (rest.length || !Object.values(PluginManager.DIRS).includes(dir) || !name || name !== path.basename(name)
+            || !/\.jar(\.disabled)?$/.test(name)) {
+            throw new Error('Invalid plugin file');
+        }
+        const full = path.join(this.server.serverPath, dir, name);
+        if (!fs.existsSync(full)) throw new Error('Plugin file not found');
+        return { dir, name, full };
+    }
+
+    _restartNote() {
+        return this.server.status === 'stopped' ? null : 'Restart the server to apply the change';
+    }
+
+    setEnabled(file, enabled) {
+        this._checkJava();
+        const { dir, name, full } = this._resolve(file);
+        const isEnabled = name.endsWith('.jar');
+        if (isEnabled === enabled) return { file, note: null };
+
+        const newName = enabled ? name.slice(0, -PluginManager.DISABLED_SUFFIX.length) : name + PluginManager.DISABLED_SUFFIX;
+        const target = path.join(this.server.serverPath, dir, newName);
+        if (fs.existsSync(target)) throw new Error(`${dir}/${newName} already exists`);
+        fs.renameSync(full, target);
+        return { file: `${dir}/${newName}`, note: this._restartNote() };
+    }
+
+    delete(file) {
+        this._checkJava();
+        fs.rmSync(this._resolve(file).full);
+        return { note: this._restartNote() };
+    }
+
+    /**
+     * Validate an uploaded jar and move it into plugins/ or mods/.
+     * A jar with the same id as an installed one is refused unless `replace` is set,
+     * in which case the old file is removed.
+     */
+    install(tmpPath, originalName, { replace = false } = {}) {
+        this._checkJava();
+        const name = path.basename(String(originalName || '')).replace(/[^\w.+-]/g, '_');
+        if (!name.endsWith('.jar')) throw new Error('Only .jar files can be installed');
+
+        const info = PluginManager.inspect(tmpPath);
+        if (this.loaders && !this.loaders.includes(info.loader)) {
+            const kinds = this.loaders.some(l => l === 'fabric' || l === 'forge') ? 'mods' : 'plugins';
+            const what = this.loaders.length ? `only loads ${this.loaders.join('/')} ${kinds}` : "can't load plugins or mods";
+            throw new Error(`${info.name} is a ${info.loader} ${info.kind}, but this ${this.software} server ${what}`);
+        }
+
+        const dir = PluginManager.DIRS[info.kind];
+        const sameId = this.list().items.filter(i => !i.error && i.kind === info.kind
+            && (info.kind === 'plugin' ? i.id.toLowerCase() === info.id.toLowerCase() : i.id === info.id));
+        if (sameId.length && !replace) {
+            const err = new Error(`${info.name} is already installed as ${sameId.map(i => i.file).join(', ')}`);
+            err.conflict = sameId.map(i => i.file);
+            throw err;
+        }
+        const target = path.join(this.server.serverPath, dir, name);
+        if (fs.existsSync(target) && !sameId.some(i => i.file === `${dir}/${name}`)) {
+            throw new Error(`${dir}/${name} already exists`);
+        }
+
+        fs.mkdirSync(path.join(this.server.serverPath, dir), { recursive: true });
+        for (const old of sameId) fs.rmSync(path.join(this.server.serverPath, old.file), { force: true });
+        fs.copyFileSync(tmpPath, target);
+        fs.rmSync(tmpPath, { force: true });
+        return { file: `${dir}/${name}`, plugin: info, replaced: sameId.map(i => i.file), note: this._restartNote() };
+    }
+}
+
+module.exports = PluginManager;
@@ -0,0 +1,166 @@
+const net = require('net');
+const EventEmitter = require('events');
+
+/**
+ * Minimal Source RCON protocol client (as implemented by Minecraft Java).
+ *
+ * Packet layout (little-endian):
+ *   int32 length | int32 requestId | int32 type | body (UTF-8) | 0x00 0x00
+ */
+class RconClient extends EventEmitter {
+    static TYPE_AUTH = 3;
+    static TYPE_COMMAND = 2;
+    static TYPE_AUTH_RESPONSE = 2;
+    // Minecraft splits responses into 4096-byte fragments
+    static MAX_FRAGMENT = 4096;
+
+    /**
+     * @param {object} options - { host, port, password, timeout }
+     */
+    constructor({ host = '127.0.0.1', port = 25575, password = '', timeout = 5000 } = {}) {
+        super();
+        this.host = host;
+        this.port = port;
+        this.password = password;
+        this.timeout = timeout;
+        this.socket = null;
+        this.authenticated = false;
+        this.nextId = 1;
+        this.pending = new Map();
+        this.buffer = Buffer.alloc(0);
+    }
+
+    get connected() {
+        return this.socket !== null && this.authenticated;
+    }
+
+    static encode(id, type, body) {
+        const payload = Buffer.from(body, 'utf8');
+        const packet = Buffer.alloc(14 + payload.length);
+        packet.writeInt32LE(10 + payload.length, 0);
+        packet.writeInt32LE(id, 4);
+        packet.writeInt32LE(type, 8);
+        payload.copy(packet, 12);
+        // Trailing two null bytes are already zeroed by alloc
+        return packet;
+    }
+
+    /**
+     * Open the socket and authenticate
+     */
+    connect() {
+        return new Promise((resolve, reject) => {
+            const socket = net.createConnection({ host: this.host, port: this.port });
+            let settled = false;
+
+            const fail = (err) => {
+                if (settled) return;
+                settled = true;
+                socket.destroy();
+                reject(err);
+            };
+
+            socket.setTimeout(this.timeout, () => fail(new Error('RCON connection timed out')));
+            socket.once('error', fail);
+
+            socket.once('connect', () => {
+                this.socket = socket;
+                socket.setTimeout(0);
+                socket.on('data', (data) => this._onData(data));
+                socket.on('close', () => this._onClose());
+                socket.removeListener('error', fail);
+                socket.on('error', (err) => this.emit('error', err));
+
+                this._request(RconClient.TYPE_AUTH, this.password)
+                    .then(() => {
+                        settled = true;
+                        this.authenticated = true;
+                        resolve();
+                    })
+                    .catch(fail);
+            });
+        });
+    }
+
+    /**
+     * Run a command and resolve with the server's response text
+     */
+    async command(cmd) {
+        if (!this.connected) throw new Error('RCON not connected');
+        return this._request(RconClient.TYPE_COMMAND, cmd);
+    }
+
+    close() {
+        if (this.socket) this.socket.destroy();
+    }
+
+    _request(type, body) {
+        return new Promise((resolve, reject) => {
+            const id = this.nextId++;
+            const timer = setTimeout(() => {
+                this.pending.delete(id);
+                reject(new Error('RCON request timed out'));
+            }, this.timeout);
+
+            this.pending.set(id, { type, resolve, reject, timer, chunks: [] });
+            this.socket.write(RconClient.encode(id, type, body));
+        });
+    }
+
+    _onData(data) {
+        this.buffer = Buffer.concat([this.buffer, data]);
+
+        while (this.buffer.length >= 4) {
+            const length = this.buffer.readInt32LE(0);
+            if (this.buffer.length < 4 + length) break;
+
+            const id = this.buffer.readInt32LE(4);
+            const type = this.buffer.readInt32LE(8);
+            const body = this.buffer.toString('utf8', 12, 4 + length - 2);
+            this.buffer = this.buffer.subarray(4 + length);
+
+            this._onPacket(id, type, body);
+        }
+    }
+
+    _onPacket(id, type, body) {
+        // Failed auth is signalled with request id -1
+        if (id === -1) {
+            for (const [pendingId, req] of this.pending) {
+                if (req.type === RconClient.TYPE_AUTH) {
+                    clearTimeout(req.timer);
+                    this.pending.delete(pendingId);
+                    req.reject(new Error('RCON authentication failed'));
+                }
+            }
+            return;
+        }
+
+        const req = this.pending.get(id);
+        if (!req) return;
+
+        // Some servers send an empty RESPONSE_VALUE before the auth response; wait for the real one
+        if (req.type === RconClient.TYPE_AUTH && type !== RconClient.TYPE_AUTH_RESPONSE) return;
+
+        req.chunks.push(body);
+        if (Buffer.byteLength(body) >= RconClient.MAX_FRAGMENT) return; // More fragments follow
+
+        clearTimeout(req.timer);
+        this.pending.delete(id);
+        req.resolve(req.chunks.join(''));
+    }
+
+    _onClose() {
+        this.socket = null;
+        this.authenticated = false;
+        this.buffer = Buffer.alloc(0);
+        for (const req of this.pending.values()) {
+            clearTimeout(req.timer);
+            req.reject(new Error('RCON connection closed'));
+        }
+        this.pending.clear();
+        this.emit('close');
+    }
+}
+
+module.exports = RconClient;
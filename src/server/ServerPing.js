@@ -0,0 +1,174 @@
+const net = require('net');
+const dgram = require('dgram');
+const crypto = require('crypto');
+
+// RakNet "offline message" magic used by Bedrock unconnected pings
+const RAKNET_MAGIC = Buffer.from('00ffff00fefefefefdfdfdfd12345678', 'hex');
+
+function writeVarInt(value) {
+    const bytes = [];
+    let v = value >>> 0;
+    do {
+        let b = v & 0x7f;
+        v >>>= 7;
+        if (v !== 0) b |= 0x80;
+        bytes.push(b);
+    } while (v !== 0);
+    return Buffer.from(bytes);
+}
+
+/**
+ * Read a VarInt at `offset`. Returns { value, size } or null if the buffer is incomplete.
+ */
+function readVarInt(buf, offset = 0) {
+    let value = 0;
+    let size = 0;
+    let b;
+    do {
+        if (offset + size >= buf.length) return null;
+        b = buf[offset + size];
+        value |= (b & 0x7f) << (7 * size);
+        size++;
+        if (size > 5) throw new Error('VarInt too big');
+    } while (b & 0x80);
+    return { value, size };
+}
+
+function writeString(str) {
+    const data = Buffer.from(str, 'utf8');
+    return Buffer.concat([writeVarInt(data.length), data]);
+}
+
+function packet(id, payload) {
+    const body = Buffer.concat([writeVarInt(id), payload]);
+    return Buffer.concat([writeVarInt(body.length), body]);
+}
+
+/**
+ * Flatten a chat component (string or { text, extra }) into plain text
+ */
+function chatToText(component) {
+    if (component == null) return '';
+    if (typeof component === 'string') return component.replace(/§./g, '');
+    let text = component.text || '';
+    if (Array.isArray(component.extra)) text += component.extra.map(chatToText).join('');
+    return text.replace(/§./g, '');
+}
+
+/**
+ * Java Edition Server List Ping (handshake + status request)
+ * Resolves with { motd, version, protocol, online, max, sample, latency }
+ */
+function pingJava(host, port, timeout = 3000) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const socket = net.createConnection({ host, port });
+        let buffer = Buffer.alloc(0);
+
+        const done = (err, result) => {
+            socket.destroy();
+            if (err) reject(err);
+            else resolve(result);
+        };
+
+        socket.setTimeout(timeout, () => done(new Error('Ping timed out')));
+        socket.once('error', (err) => done(err));
+
+        socket.once('connect', () => {
+            const portBuf = Buffer.alloc(2);
+            portBuf.writeUInt16BE(port);
+            const handshake = packet(0x00, Buffer.concat([
+                writeVarInt(-1 >>> 0), // Protocol version: -1 = "just asking for status"
+                writeString(host),
+                portBuf,
+                writeVarInt(1) // Next state: status
+            ]));
+            socket.write(Buffer.concat([handshake, packet(0x00, Buffer.alloc(0))]));
+        });
+
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            try {
+                const length = readVarInt(buffer);
+                if (!length || buffer.length < length.size + length.value) return;
+
+                const id = readVarInt(buffer, length.size);
+                if (id.value !== 0x00) return done(new Error('Unexpected status packet'));
+                const strLen = readVarInt(buffer, length.size + id.size);
+                const start = length.size + id.size + strLen.size;
+                const status = JSON.parse(buffer.toString('utf8', start, start + strLen.value));
+
+                done(null, {
+                    motd: chatToText(status.description),
+                    version: status.version ? status.version.name : null,
+                    protocol: status.version ? status.version.protocol : null,
+                    online: status.players ? status.players.online : 0,
+                    max: status.players ? status.players.max : 0,
+                    sample: status.players && Array.isArray(status.players.sample)
+                        ? status.players.sample.map(p => p.name) : [],
+                    latency: Date.now() - started
+                });
+            } catch (err) {
+                done(err);
+            }
+        });
+    });
+}
+
+/**
+ * Bedrock Edition RakNet unconnected ping
+ * Resolves with { motd, version, protocol, online, max, levelName, gamemode, latency }
+ */
+function pingBedrock(host, port, timeout = 3000) {
+    return new Promise((resolve, reject) => {
+        const started = Date.now();
+        const socket = dgram.createSocket(host.includes(':') ? 'udp6' : 'udp4');
+        let finished = false;
+
+        const done = (err, result) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            socket.close();
+            if (err) reject(err);
+            else resolve(result);
+        };
+
+        const timer = setTimeout(() => done(new Error('Ping timed out')), timeout);
+        socket.on('error', (err) => done(err));
+
+        socket.on('message', (msg) => {
+            // 0x1c = unconnected pong: id, time(8), guid(8), magic(16), strlen(2), string
+            if (msg[0] !== 0x1c || msg.length < 35) return;
+            const len = msg.readUInt16BE(33);
+            const parts = msg.toString('utf8', 35, 35 + len).split(';');
+            done(null, {
+                motd: parts[1] || '',
+                protocol: parseInt(parts[2]) || null,
+                version: parts[3] || null,
+                online: parseInt(parts[4]) || 0,
+                max: parseInt(parts[5]) || 0,
+                levelName: parts[7] || null,
+                gamemode: parts[8] || null,
+                sample: [],
+                latency: Date.now() - started
+            });
+        });
+
+        const ping = Buffer.alloc(33);
+        ping[0] = 0x01;
+        ping.writeBigInt64BE(BigInt(Date.now()), 1);
+        RAKNET_MAGIC.copy(ping, 9);
+        crypto.randomBytes(8).copy(ping, 25); // Client GUID
+        socket.send(ping, port, host, (err) => { if (err) done(err); });
+    });
+}
+
+/**
+ * Ping a server of the given type ('java' or 'bedrock')
+ */
+function ping(type, host, port, timeout) {
+    return type === 'bedrock' ? pingBedrock(host, port, timeout) : pingJava(host, port, timeout);
+}
+
+module.exports = { ping, pingJava, pingBedrock, readVarInt, writeVarInt };
@@ -0,0 +1,297 @@
+const fs = require('fs');
+
+const bool = (group, extra = {}) => ({ type: 'boolean', group, ...extra });
+const int = (group, min, max, extra = {}) => ({ type: 'integer', group, min, max, ...extra });
+const port = (group) => ({ type: 'integer', group, min: 1, max: 65535 });
+const str = (group, extra = {}) => ({ type: 'string', group, ...extra });
+const oneOf = (group, values, extra = {}) => ({ type: 'enum', group, values, ...extra });
+
+/**
+ * Reads and writes server.properties without losing comments, ordering or
+ * unknown keys, and validates values against a per-edition schema.
+ *
+ * Every change needs a restart unless its schema entry has a `live` command,
+ * which applies it to a running server instead.
+ */
+class ServerProperties {
+    static JAVA_SCHEMA = {
+        'motd': str('General'),
+        'max-players': int('General', 1, 2147483647),
+        'online-mode': bool('General'),
+        'white-list': bool('General', { live: v => `whitelist ${v === 'true' ? 'on' : 'off'}` }),
+        'enforce-whitelist': bool('General'),
+        'hide-online-players': bool('General'),
+        'player-idle-timeout': int('General', 0, 2147483647, { live: v => `setidletimeout ${v}` }),
+
+        'gamemode': oneOf('Gameplay', ['survival', 'creative', 'adventure', 'spectator'], { live: v => `defaultgamemode ${v}` }),
+        'force-gamemode': bool('Gameplay'),
+        'difficulty': oneOf('Gameplay', ['peaceful', 'easy', 'normal', 'hard'], { live: v => `difficulty ${v}` }),
+        'hardcore': bool('Gameplay'),
+        'pvp': bool('Gameplay'),
+        'allow-flight': bool('Gameplay'),
+        'spawn-monsters': bool('Gameplay'),
+        'spawn-animals': bool('Gameplay'),
+        'spawn-npcs': bool('Gameplay'),
+        'spawn-protection': int('Gameplay', 0, 2147483647),
+        'enable-command-block': bool('Gameplay'),
+        'op-permission-level': int('Gameplay', 0, 4),
+        'function-permission-level': int('Gameplay', 1, 4),
+
+        'level-name': str('World'),
+        'level-seed': str('World'),
+        'level-type': str('World'),
+        'generate-structures': bool('World'),
+        'allow-nether': bool('World'),
+        'max-world-size': int('World', 1, 29999984),
+        'view-distance': int('World', 3, 32),
+        'simulation-distance': int('World', 3, 32),
+        'entity-broadcast-range-percentage': int('World', 10, 1000),
+        'sync-chunk-writes': bool('World'),
+
+        'server-ip': str('Network'),
+        'server-port': port('Network'),
+        'network-compression-threshold': int('Network', -1, 2147483647),
+        'rate-limit': int('Network', 0, 2147483647),
+        'prevent-proxy-connections': bool('Network'),
+        'enforce-secure-profile': bool('Network'),
+        'use-native-transport': bool('Network'),
+        'enable-status': bool('Network'),
+        'enable-query': bool('Network'),
+        'query.port': port('Network'),
+        'enable-rcon': bool('Network'),
+        'rcon.port': port('Network'),
+        'rcon.password': str('Network', { secret: true }),
+        'broadcast-rcon-to-ops': bool('Network'),
+        'broadcast-console-to-ops': bool('Network'),
+
+        'resource-pack': str('Resource Pack'),
+        'resource-pack-sha1': str('Resource Pack'),
+        'resource-pack-prompt': str('Resource Pack'),
+        'require-resource-pack': bool('Resource Pack'),
+
+        'max-tick-time': int('Advanced', -1, 2147483647),
+        'enable-jmx-monitoring': bool('Advanced'),
+        'log-ips': bool('Advanced')
+    };
+
+    static BEDROCK_SCHEMA = {
+        'server-name': str('General'),
+        'max-players': int('General', 1, 2147483647),
+        'online-mode': bool('General'),
+        'allow-list': bool('General', { live: v => `allowlist ${v === 'true' ? 'on' : 'off'}` }),
+        'player-idle-timeout': int('General', 0, 2147483647),
+        'default-player-permission-level': oneOf('General', ['visitor', 'member', 'operator']),
+        'chat-restriction': oneOf('General', ['None', 'Dropped', 'Disabled']),
+
+        'gamemode': oneOf('Gameplay', ['survival', 'creative', 'adventure']),
+        'force-gamemode': bool('Gameplay'),
+        'difficulty': oneOf('Gameplay', ['peaceful', 'easy', 'normal', 'hard'], { live: v => `difficulty ${v}` }),
+        'allow-cheats': bool('Gameplay'),
+        'disable-player-interaction': bool('Gameplay'),
+
+        'level-name': str('World'),
+        'level-seed': str('World'),
+        'view-distance': int('World', 5, 2147483647),
+        'tick-distance': int('World', 4, 12),
+
+        'server-port': port('Network'),
+        'server-portv6': port('Network'),
+        'enable-lan-visibility': bool('Network'),
+        'compression-threshold': int('Network', 0, 65535),
+
+        'texturepack-required': bool('Resource Pack'),
+
+        'max-threads': int('Advanced', 0, 2147483647),
+        'content-log-file-enabled': bool('Advanced'),
+        'client-side-chunk-generation-enabled': bool('Advanced'),
+        'server-authoritative-block-breaking': bool('Advanced'),
+        'correct-player-movement': bool('Advanced'),
+        'emit-server-telemetry': bool('Advanced')
+    };
+
+    static schemaFor(type) {
+        return type === 'bedrock' ? ServerProperties.BEDROCK_SCHEMA : ServerProperties.JAVA_SCHEMA;
+    }
+
+    /**
+     * Decode java.util.Properties escapes (\:, \=, \uXXXX, ...)
+     */
+    static unescape(text) {
+        return text.replace(/\\(u[0-9a-fA-F]{4}|.)/g, (m, c) => {
+            if (c[0] === 'u' && c.length === 5) return String.fromCharCode(parseInt(c.slice(1), 16));
+            return { t: '\t', n: '\n', r: '\r', f: '\f' }[c] || c;
+        });
+    }
+
+    /**
+     * Encode a value the way java.util.Properties.store does
+     */
+    static escape(text) {
+        return text
+            .replace(/\\/g, '\\\\')
+            .replace(/[:=#!]/g, c => '\\' + c)
+            .replace(/^ /, '\\ ')
+            .replace(/[^\x20-\x7e]/g, c => '\\u' + c.charCodeAt(0).toString(16).padStart(4, '0'));
+    }
+
+    /**
+     * Check a value against its schema entry and return it normalized as a string.
+     * Unknown keys accept any single-line value.
+     */
+    static validate(schema, key, value) {
+        const entry = schema[key];
+        const text = value === null || value === undefined ? '' : String(value).trim();
+        if (/[\r\n]/.test(text)) throw new Error(`${key}: value must be a single line`);
+        if (!entry) return text;
+
+        switch (entry.type) {
+            case 'boolean':
+                if (text !== 'true' && text !== 'false') throw new Error(`${key}: expected true or false`);
+                return text;
+            case 'integer': {
+                if (!/^-?\d+$/.test(text)) throw new Error(`${key}: expected a whole number`);
+                const n = parseInt(text);
+                if (n < entry.min || n > entry.max) throw new Error(`${key}: must be between ${entry.min} and ${entry.max}`);
+                return String(n);
+            }
+            case 'enum':
+                if (!entry.values.includes(text)) throw new Error(`${key}: expected one of ${entry.values.join(', ')}`);
+                return text;
+            default:
+                return text;
+        }
+    }
+
+    /**
+     * @param {string} filePath - path to server.properties
+     * @param {string} type - 'java' or 'bedrock' (Bedrock files are plain key=value, no escapes)
+     */
+    constructor(filePath, type = 'java') {
+        this.filePath = filePath;
+        this.type = type;
+        this.schema = ServerProperties.schemaFor(type);
+        this.lines = [];
+        this.index = new Map();
+    }
+
+    exists() {
+        return fs.existsSync(this.filePath);
+    }
+
+    load() {
+        this.lines = [];
+        this.index = new Map();
+        if (!this.exists()) return this;
+
+        const text = fs.readFileSync(this.filePath, 'utf8');
+        const rows = text.split(/\r?\n/);
+        if (rows[rows.length - 1] === '') rows.pop();
+
+        for (const raw of rows) {
+            const trimmed = raw.trimStart();
+            // Separator is the first unescaped '=' (or ':' in Java files)
+            const match = !trimmed || trimmed.startsWith('#') || trimmed.startsWith('!')
+                ? null
+                : raw.match(this.type === 'bedrock' ? /^(\s*)([^=]+?)(\s*=\s*)(.*)$/ : /^(\s*)((?:\\.|[^=:\\])+?)(\s*[=:]\s*|\s*$)(.*)$/);
+            if (!match) {
+                this.lines.push({ raw });
+                continue;
+            }
+            const line = {
+                raw,
+                prefix: match[1] + match[2] + (match[3] || '='),
+                key: this._decode(match[2]),
+                value: this._decode(match[4])
+            };
+            this.index.set(line.key, this.lines.length);
+            this.lines.push(line);
+        }
+        return this;
+    }
+
+    _decode(text) {
+        return this.type === 'bedrock' ? text.trim() : ServerProperties.unescape(text);
+    }
+
+    _encode(text) {
+        return this.type === 'bedrock' ? text : ServerProperties.escape(text);
+    }
+
+    has(key) {
+        return this.index.has(key);
+    }
+
+    get(key) {
+        return this.has(key) ? this.lines[this.index.get(key)].value : undefined;
+    }
+
+    /**
+     * Plain key/value object in file order
+     */
+    toObject() {
+        const out = {};
+        for (const line of this.lines) {
+            if (line.key !== undefined) out[line.key] = line.value;
+        }
+        return out;
+    }
+
+    /**
+     * Set a value, rewriting its line in place or appending a new one
+     */
+    set(key, value) {
+        const text = String(value);
+        if (this.has(key)) {
+            const line = this.lines[this.index.get(key)];
+            line.value = text;
+            line.raw = line.prefix + this._encode(text);
+        } else {
+            const prefix = this._encode(key).replace(/ /g, '\\ ') + '=';
+            this.index.set(key, this.lines.length);
+            this.lines.push({ raw: prefix + this._encode(text), prefix, key, value: text });
+        }
+        return this;
+    }
+
+    /**
+     * Validate and apply several changes. Nothing is applied if any value is invalid.
+     * Returns the keys whose value actually changed.
+     */
+    update(changes) {
+        const normalized = {};
+        for (const [key, value] of Object.entries(changes)) {
+            if (!/^[\w.-]+$/.test(key)) throw new Error(`Invalid property name "${key}"`);
+            normalized[key] = ServerProperties.validate(this.schema, key, value);
+        }
+        const changed = [];
+        for (const [key, value] of Object.entries(normalized)) {
+            if (this.get(key) === value) continue;
+            this.set(key, value);
+            changed.push(key);
+        }
+        return changed;
+    }
+
+    save() {
+        fs.writeFileSync(this.filePath, this.lines.map(l => l.raw).join('\n') + '\n', 'utf8');
+    }
+
+    /**
+     * Everything the settings form needs: known keys with their schema and
+     * current value, plus any other keys found in the file
+     */
+    describe() {
+        const fields = [];
+        for (const [key, entry] of Object.entries(this.schema)) {
+            const { live, ...schema } = entry;
+            fields.push({ key, ...schema, live: Boolean(live), value: this.has(key) ? this.get(key) : null });
+        }
+        for (const line of this.lines) {
+            if (line.key === undefined || this.schema[line.key]) continue;
+            fields.push({ key: line.key, type: 'string', group: 'Other', live: false, value: line.value });
+        }
+        return fields;
+    }
+}
+
+module.exports = ServerProperties;
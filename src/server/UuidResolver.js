@@ -0,0 +1,143 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+/**
+ * Turns Java player names into UUIDs for whitelist/op/ban entries written
+ * while the server is stopped.
+ *
+ * Players the server has already seen (online now or in usercache.json) are
+ * resolved locally. Anything else goes to the configured provider
+ * (`server.uuid_resolver`):
+ *   auto    - offline UUIDs when online-mode=false, otherwise Mojang (default)
+ *   mojang  - the Mojang profile API
+ *   offline - the UUID an offline-mode server derives from the name
+ *   a URL   - containing {name}, answering { id | uuid, name } like the Mojang API
+ * More providers can be added with `UuidResolver.register()`.
+ */
+class UuidResolver {
+    static MOJANG_URL = 'https://api.mojang.com/users/profiles/minecraft/{name}';
+    static TIMEOUT = 5000;
+
+    static providers = {
+        mojang: (name) => UuidResolver.fromUrl(UuidResolver.MOJANG_URL, name),
+        offline: async (name) => ({ uuid: UuidResolver.offlineUuid(name), name })
+    };
+
+    /**
+     * Add a provider: `resolve(name, server)` returns { uuid, name } or null when unknown
+     */
+    static register(id, resolve) {
+        UuidResolver.providers[id] = resolve;
+    }
+
+    static isValidName(name) {
+        return typeof name === 'string' && /^\w{1,16}$/.test(name);
+    }
+
+    /**
+     * Add dashes to a 32-digit hex id
+     */
+    static format(id) {
+        const hex = String(id).replace(/-/g, '').toLowerCase();
+        if (!/^[0-9a-f]{32}$/.test(hex)) throw new Error(`Invalid UUID "${id}"`);
+        return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+    }
+
+    /**
+     * Name-based (version 3) UUID of "OfflinePlayer:<name>", as offline-mode servers use
+     */
+    static offlineUuid(name) {
+        const hash = crypto.createHash('md5').update(`OfflinePlayer:${name}`, 'utf8').digest();
+        hash[6] = (hash[6] & 0x0f) | 0x30;
+        hash[8] = (hash[8] & 0x3f) | 0x80;
+        return UuidResolver.format(hash.toString('hex'));
+    }
+
+    /**
+     * Look a name up at a Mojang-style profile URL. Resolves null when the name doesn't exist.
+     */
+    static fromUrl(template, name) {
+        const url = template.replace('{name}', encodeURIComponent(name));
+        return new Promise((resolve, reject) => {
+            const httpModule = url.startsWith('https') ? https : http;
+            const req = httpModule.get(url, { headers: { 'User-Agent': 'DevzServer' }, timeout: UuidResolver.TIMEOUT }, (response) => {
+                if (response.statusCode === 204 || response.statusCode === 404) {
+                    response.resume();
+                    return resolve(null);
+                }
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    return reject(new Error(`UUID lookup failed with status ${response.statusCode}`));
+                }
+                let body = '';
+                response.setEncoding('utf8');
+                response.on('data', (chunk) => { body += chunk; });
+                response.on('end', () => {
+                    try {
+                        const profile = JSON.parse(body);
+                        resolve({ uuid: UuidResolver.format(profile.id || profile.uuid), name: profile.name || name });
+                    } catch (err) {
+                        reject(new Error(`Invalid UUID lookup response from ${new URL(url).host}`));
+                    }
+                });
+            });
+            req.on('timeout', () => req.destroy(new Error('UUID lookup timed out')));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * @param {MinecraftServer} server
+     */
+    constructor(server) {
+        this.server = server;
+    }
+
+    get provider() {
+        const setting = String(this.server.config.server.uuid_resolver || 'auto');
+        if (setting !== 'auto') return setting;
+        return this.server._readProperties()['online-mode'] === 'false' ? 'offline' : 'mojang';
+    }
+
+    /**
+     * Players this server has seen, from the live player list and usercache.json
+     */
+    _known(name) {
+        const lower = name.toLowerCase();
+        const online = this.server.getPlayers().find(p => p.name.toLowerCase() === lower && p.uuid);
+        if (online) return { uuid: online.uuid, name: online.name };
+
+        try {
+            const cache = JSON.parse(fs.readFileSync(path.join(this.server.serverPath, 'usercache.json'), 'utf8'));
+            const entry = cache.find(e => e.name && e.name.toLowerCase() === lower);
+            if (entry) return { uuid: entry.uuid, name: entry.name };
+        } catch (e) { }
+        return null;
+    }
+
+    /**
+     * Resolve a player name to { uuid, name }. Throws if the player can't be found.
+     */
+    async resolve(name) {
+        if (!UuidResolver.isValidName(name)) throw new Error(`Invalid player name "${name}"`);
+        const known = this._known(name);
+        if (known) return known;
+
+        const provider = this.provider;
+        let profile;
+        if (provider.includes('{name}')) {
+            profile = await UuidResolver.fromUrl(provider, name);
+        } else {
+            const resolve = UuidResolver.providers[provider];
+            if (!resolve) throw new Error(`Unknown UUID resolver "${provider}"`);
+            profile = await resolve(name, this.server);
+        }
+        if (!profile) throw new Error(`Player "${name}" not found`);
+        return profile;
+    }
+}
+
+module.exports = UuidResolver;
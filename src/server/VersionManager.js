@@ -0,0 +1,295 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const crypto = require('crypto');
+
+/**
+ * Lists, installs and rolls back Java server software (Vanilla, Paper, Fabric).
+ *
+ * Manifests are fetched from configurable sources and written through to a local
+ * mirror directory. With `versions.source: mirror` only the mirror is used, which
+ * keeps installs working offline (and in tests). Downloaded jars are cached in
+ * the mirror too, keyed by software/version/build.
+ */
+class VersionManager {
+    static SOFTWARE = ['vanilla', 'paper', 'fabric'];
+
+    static DEFAULT_SOURCES = {
+        vanilla: 'https://piston-meta.mojang.com/mc/game/version_manifest_v2.json',
+        paper: 'https://api.papermc.io/v2/projects/paper',
+        fabric: 'https://meta.fabricmc.net/v2'
+    };
+
+    static JAR = 'server.jar';
+    // Matches the "*.jar.bak" backup exclusion, so rollback copies don't bloat backups
+    static PREVIOUS_JAR = 'server.jar.bak';
+    static STATE_FILE = '.server-jar.json';
+
+    constructor(config) {
+        const options = config.versions || {};
+        this.mode = options.source === 'mirror' ? 'mirror' : 'remote';
+        this.mirrorDir = path.resolve(__dirname, '../..', options.mirror_dir || 'minecraft/mirror');
+        this.sources = { ...VersionManager.DEFAULT_SOURCES, ...(options.sources || {}) };
+    }
+
+    static hashFile(filePath, algorithm) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash(algorithm);
+            fs.createReadStream(filePath)
+                .on('data', (chunk) => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    _getJson(url, redirects = 5) {
+        return new Promise((resolve, reject) => {
+            const httpModule = url.startsWith('https') ? https : http;
+            httpModule.get(url, { headers: { 'User-Agent': 'DevzServer' } }, (response) => {
+                if ([301, 302, 307, 308].includes(response.statusCode) && redirects > 0) {
+                    response.resume();
+                    const next = new URL(response.headers.location, url).toString();
+                    return this._getJson(next, redirects - 1).then(resolve).catch(reject);
+                }
+                if (response.statusCode !== 200) {
+                    response.resume();
+                    return reject(new Error(`Manifest request failed with status ${response.statusCode}`));
+                }
+                let body = '';
+                response.setEncoding('utf8');
+                response.on('data', (chunk) => { body += chunk; });
+                response.on('end', () => {
+                    try {
+                        resolve(JSON.parse(body));
+                    } catch (err) {
+                        reject(new Error(`Invalid manifest from ${url}`));
+                    }
+                });
+            }).on('error', reject);
+        });
+    }
+
+    /**
+     * Fetch a manifest document through the local mirror
+     */
+    async _manifest(software, name, url) {
+        const file = path.join(this.mirrorDir, software, `${name}.json`);
+
+        if (this.mode === 'mirror') {
+            if (!fs.existsSync(file)) throw new Error(`Not in local mirror: ${software}/${name}.json`);
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        }
+
+        try {
+            const data = await this._getJson(url);
+            fs.mkdirSync(path.dirname(file), { recursive: true });
+            fs.writeFileSync(file, JSON.stringify(data), 'utf8');
+            return data;
+        } catch (err) {
+            // Offline: fall back to the last mirrored copy
+            if (fs.existsSync(file)) return JSON.parse(fs.readFileSync(file, 'utf8'));
+            throw err;
+        }
+    }
+
+    _checkSoftware(software) {
+        if (!VersionManager.SOFTWARE.includes(software)) {
+            throw new Error(`Unknown software "${software}" (expected ${VersionManager.SOFTWARE.join(', ')})`);
+        }
+    }
+
+    /**
+     * Available versions, newest first: [{ id, stable }]
+     */
+    async listVersions(software) {
+        this._checkSoftware(software);
+
+        if (software === 'vanilla') {
+            const manifest = await this._manifest('vanilla', 'manifest', this.sources.vanilla);
+            return manifest.versions.map(v => ({ id: v.id, stable: v.type === 'release' }));
+        }
+        if (software === 'paper') {
+            const project = await this._manifest('paper', 'project', this.sources.paper);
+            return [...project.versions].reverse().map(id => ({ id, stable: !/-(pre|rc)/.test(id) }));
+        }
+        const games = await this._manifest('fabric', 'game', `${this.sources.fabric}/versions/game`);
+        return games.map(g => ({ id: g.version, stable: g.stable }));
+    }
+
+    /**
+     * Resolve a version to { software, version, build, url, checksum }
+     */
+    async resolve(software, version) {
+        this._checkSoftware(software);
+
+        if (software === 'vanilla') {
+            const manifest = await this._manifest('vanilla', 'manifest', this.sources.vanilla);
+            const entry = manifest.versions.find(v => v.id === version);
+            if (!entry) throw new Error(`Unknown Minecraft version ${version}`);
+            const meta = await this._manifest('vanilla', `version-${version}`, entry.url);
+            const server = meta.downloads && meta.downloads.server;
+            if (!server) throw new Error(`Version ${version} has no server download`);
+            return {
+                software, version, build: null,
+                url: server.url,
+                checksum: { algorithm: 'sha1', hash: server.sha1 }
+            };
+        }
+
+        if (software === 'paper') {
+            const base = this.sources.paper;
+            const project = await this._manifest('paper', 'project', base);
+            if (!project.versions.includes(version)) throw new Error(`Unknown Paper version ${version}`);
+            const data = await this._manifest('paper', `builds-${version}`, `${base}/versions/${version}/builds`);
+            const builds = (data.builds || []).filter(b => !b.channel || b.channel === 'default');
+            const build = builds[builds.length - 1] || (data.builds || [])[data.builds.length - 1];
+            if (!build) throw new Error(`No Paper builds for ${version}`);
+            const app = build.downloads.application;
+            return {
+                software, version, build: build.build,
+                url: `${base}/versions/${version}/builds/${build.build}/downloads/${app.name}`,
+                checksum: { algorithm: 'sha256', hash: app.sha256 }
+            };
+        }
+
+        // Fabric: the server launcher jar is built from game + loader + installer versions
+        const base = this.sources.fabric;
+        const games = await this._manifest('fabric', 'game', `${base}/versions/game`);
+        if (!games.some(g => g.version === version)) throw new Error(`Fabric does not support ${version}`);
+        const loaders = await this._manifest('fabric', 'loader', `${base}/versions/loader`);
+        const installers = await this._manifest('fabric', 'installer', `${base}/versions/installer`);
+        const loader = loaders.find(l => l.stable) || loaders[0];
+        const installer = installers.find(i => i.stable) || installers[0];
+        if (!loader || !installer) throw new Error('Fabric loader metadata unavailable');
+        return {
+            software, version, build: `${loader.version}+${installer.version}`,
+            url: `${base}/versions/loader/${version}/${loader.version}/${installer.version}/server/jar`,
+            checksum: null // Fabric meta publishes no hashes; the sha256 is recorded after download
+        };
+    }
+
+    /**
+     * Installed and rollback jar details for a server directory
+     */
+    installed(serverPath) {
+        const file = path.join(serverPath, VersionManager.STATE_FILE);
+        if (!fs.existsSync(file)) return { current: null, previous: null };
+        try {
+            return JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (e) {
+            return { current: null, previous: null };
+        }
+    }
+
+    _saveState(serverPath, state) {
+        fs.writeFileSync(path.join(serverPath, VersionManager.STATE_FILE), JSON.stringify(state, null, 2), 'utf8');
+    }
+
+    /**
+     * Fetch the jar for `target` into `dest`, using the mirror's jar cache when possible
+     */
+    async _fetchJar(server, target, dest) {
+        const cacheName = `${target.software}-${target.version}${target.build ? `-${target.build}` : ''}.jar`;
+        const cached = path.join(this.mirrorDir, 'jars', cacheName);
+
+        if (fs.existsSync(cached)) {
+            const valid = !target.checksum ||
+                await VersionManager.hashFile(cached, target.checksum.algorithm) === target.checksum.hash.toLowerCase();
+            if (valid) {
+                server.log(`[VERSIONS] Using mirrored ${cacheName}`);
+                fs.copyFileSync(cached, dest);
+                return;
+            }
+            server.log(`[VERSIONS] Mirrored ${cacheName} failed checksum, discarding`);
+            fs.rmSync(cached, { force: true });
+        }
+
+        if (this.mode === 'mirror') throw new Error(`Jar not in local mirror: jars/${cacheName}`);
+
+        server.log(`[VERSIONS] Downloading ${target.url}`);
+        await server.downloadFile(target.url, dest, target.checksum);
+        fs.mkdirSync(path.dirname(cached), { recursive: true });
+        fs.copyFileSync(dest, cached);
+    }
+
+    /**
+     * Install `software`/`version` into a stopped server, keeping the old jar for rollback
+     */
+    async install(server, software, version) {
+        if (server.status !== 'stopped') throw new Error('Stop the server before changing its version');
+        if (server.config.server.type !== 'java') throw new Error('Version management is only available for Java servers');
+        if (server.maintenance) throw new Error(`Can't install while ${server.maintenance}`);
+
+        // Blocks start() until the jar is in place (or the install failed)
+        server.maintenance = `installing ${software} ${version}`;
+        try {
+            return await this._install(server, software, version);
+        } catch (err) {
+            server.log(`[VERSIONS] Install failed: ${err.message}`);
+            throw err;
+        } finally {
+            server.maintenance = null;
+        }
+    }
+
+    async _install(server, software, version) {
+        const target = await this.resolve(software, version);
+        const label = `${software} ${version}${target.build ? ` (build ${target.build})` : ''}`;
+        server.log(`[VERSIONS] Installing ${label}...`);
+
+        const jar = path.join(server.serverPath, VersionManager.JAR);
+        const previousJar = path.join(server.serverPath, VersionManager.PREVIOUS_JAR);
+        const tmp = path.join(server.serverPath, 'server.jar.download');
+
+        try {
+            await this._fetchJar(server, target, tmp);
+        } catch (err) {
+            fs.rmSync(tmp, { force: true });
+            throw err;
+        }
+
+        const state = this.installed(server.serverPath);
+        const hadJar = fs.existsSync(jar);
+        if (hadJar) fs.renameSync(jar, previousJar);
+        fs.renameSync(tmp, jar);
+
+        const next = {
+            current: {
+                software, version, build: target.build,
+                sha256: await VersionManager.hashFile(jar, 'sha256'),
+                installedAt: new Date().toISOString()
+            },
+            previous: hadJar ? (state.current || { software: 'unknown', version: 'unknown' }) : null
+        };
+        this._saveState(server.serverPath, next);
+        server.log(`[VERSIONS] Installed ${label}`);
+        return next;
+    }
+
+    /**
+     * Swap server.jar with the previously installed jar
+     */
+    rollback(server) {
+        if (server.status !== 'stopped') throw new Error('Stop the server before rolling back');
+
+        const jar = path.join(server.serverPath, VersionManager.JAR);
+        const previousJar = path.join(server.serverPath, VersionManager.PREVIOUS_JAR);
+        if (!fs.existsSync(previousJar)) throw new Error('No previous jar to roll back to');
+
+        const swap = jar + '.swap';
+        if (fs.existsSync(jar)) fs.renameSync(jar, swap);
+        fs.renameSync(previousJar, jar);
+        if (fs.existsSync(swap)) fs.renameSync(swap, previousJar);
+
+        const state = this.installed(server.serverPath);
+        const next = { current: state.previous, previous: state.current };
+        this._saveState(server.serverPath, next);
+
+        const current = next.current || {};
+        server.log(`[VERSIONS] Rolled back to ${current.software || 'previous'} ${current.version || 'jar'}`);
+        return next;
+    }
+}
+
+module.exports = VersionManager;
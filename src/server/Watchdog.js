@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const ServerPing = require('./ServerPing');
+const Countdown = require('./Countdown');
+
+/**
+ * Detects a server that is alive but frozen and recovers it.
+ *
+ * Java servers are checked with RCON `list`, which runs on the main thread. The
+ * status ping is answered by the network thread and keeps working through a
+ * main-thread deadlock, so it's only used for Bedrock; a Java server without
+ * RCON gets no hang detection.
+ * After `timeout` without a healthy answer a thread dump is taken (Java) and the
+ * process is killed, letting the crash handler restart it with its usual backoff.
+ */
+class Watchdog {
+    static DEFAULTS = { enabled: true, interval: '30s', timeout: '2m', thread_dump: true };
+    static DUMP_DIR = 'thread-dumps';
+
+    /**
+     * @param {MinecraftServer} server
+     */
+    constructor(server) {
+        this.server = server;
+        this.timer = null;
+        this.lastHealthyAt = null;
+        this.failing = false;
+        this.recovering = false;
+        this.checking = false;
+    }
+
+    get settings() {
+        const settings = { ...Watchdog.DEFAULTS, ...(this.server.config.server.watchdog || {}) };
+        return {
+            enabled: settings.enabled !== false,
+            interval: Countdown.parseDuration(settings.interval) * 1000,
+            timeout: Countdown.parseDuration(settings.timeout) * 1000,
+            threadDump: settings.thread_dump !== false
+        };
+    }
+
+    start() {
+        this.stop();
+        const { enabled, interval, timeout } = this.settings;
+        if (!enabled) return;
+        if (this.server.config.server.type === 'java' && !this._rconEnabled()) {
+            this.server.log('[WARN] Watchdog: hang detection is off because RCON is disabled (a status ping still answers while the server is frozen). Enable RCON to turn it on.');
+            return;
+        }
+        this.lastHealthyAt = Date.now();
+        this.failing = false;
+        this.recovering = false;
+        this.timer = setInterval(() => this.check().catch(() => { }), interval);
+        this.server.log(`[WATCHDOG] Monitoring every ${interval / 1000}s, recovering after ${Countdown.formatDuration(timeout / 1000)} without a response`);
+    }
+
+    stop() {
+        if (this.timer) clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    _rconEnabled() {
+        if (this.server.config.server.rcon === false) return false;
+        const props = this.server._readProperties();
+        return props['enable-rcon'] === 'true' && !!props['rcon.password'];
+    }
+
+    async _healthy() {
+        const server = this.server;
+        if (server.config.server.type === 'java') {
+            // RCON is enabled (checked in start()), so failing to connect counts as unhealthy
+            const rcon = await server._getRcon();
+            if (!rcon) return false;
+            try {
+                await rcon.command('list');
+                return true;
+            } catch (err) {
+                // Drop the connection so the next check starts clean
+                server._closeRcon();
+                return false;
+            }
+        }
+        try {
+            const { host, port } = server._gameAddress();
+            await ServerPing.ping(server.config.server.type, host, port, 5000);
+            return true;
+        } catch (err) {
+            return false;
+        }
+    }
+
+    async check() {
+        if (this.server.status !== 'running' || this.recovering || this.checking) return;
+
+        // A check can outlast a short interval (RCON times out after 5s)
+        this.checking = true;
+        let healthy;
+        try {
+            healthy = await this._healthy();
+        } finally {
+            this.checking = false;
+        }
+        if (this.server.status !== 'running') return;
+
+        if (healthy) {
+            if (this.failing) this.server.log('[WATCHDOG] Server is responding again');
+            this.failing = false;
+            this.lastHealthyAt = Date.now();
+            return;
+        }
+
+        const silentFor = Date.now() - this.lastHealthyAt;
+        const { timeout } = this.settings;
+        if (!this.failing) {
+            this.failing = true;
+            this.server.log(`[WATCHDOG] Health check failed, will recover if unresponsive for ${Countdown.formatDuration(timeout / 1000)}`);
+        }
+        if (silentFor >= timeout) await this.recover(silentFor);
+    }
+
+    /**
+     * Dump threads (Java), then kill the process so the crash handler restarts it
+     */
+    async recover(silentFor) {
+        const proc = this.server.process;
+        if (!proc) return;
+        this.recovering = true;
+        this.stop();
+
+        this.server.log(`[WATCHDOG] No response for ${Countdown.formatDuration(Math.round(silentFor / 1000))}, server appears frozen`);
+        if (this.server.config.server.type === 'java' && this.settings.threadDump) {
+            await this.threadDump(proc);
+        }
+
+        if (this.server.process !== proc) return; // Exited while we were dumping
+        this.server.hangDetectedAt = Date.now();
+        if (!this.server.config.server.auto_restart) {
+            this.server.log('[WATCHDOG] auto_restart is off, the server will stay stopped');
+        }
+        this.server.log(`[WATCHDOG] Killing frozen server (PID ${proc.pid})`);
+        try { proc.kill('SIGKILL'); } catch (e) { }
+    }
+
+    _jstackCandidates() {
+        const runtime = this.server.javaRuntime;
+        if (!runtime) return [];
+        const dirs = [path.dirname(runtime.path)];
+        try { dirs.push(path.dirname(fs.realpathSync(runtime.path))); } catch (e) { }
+        return [...new Set(dirs)].map(d => path.join(d, 'jstack')).filter(p => fs.existsSync(p));
+    }
+
+    /**
+     * Write a jstack dump to thread-dumps/. Falls back to SIGQUIT, which makes the
+     * JVM print the dump to stdout (and so into the console and crash record).
+     */
+    threadDump(proc) {
+        const jstack = this._jstackCandidates()[0];
+        if (!jstack) {
+            this.server.log('[WATCHDOG] jstack not found, requesting a thread dump on the console (SIGQUIT)');
+            try { proc.kill('SIGQUIT'); } catch (e) { }
+            return new Promise(resolve => setTimeout(resolve, 2000));
+        }
+
+        this.server.log(`[WATCHDOG] Capturing thread dump with ${jstack}...`);
+        return new Promise((resolve) => {
+            execFile(jstack, ['-l', String(proc.pid)], { timeout: 20000, maxBuffer: 32 * 1024 * 1024 }, (err, stdout) => {
+                if (err || !stdout) {
+                    this.server.log(`[WATCHDOG] jstack failed (${err ? err.message.split('\n')[0] : 'no output'}), falling back to SIGQUIT`);
+                    try { proc.kill('SIGQUIT'); } catch (e) { }
+                    return setTimeout(resolve, 2000);
+                }
+                const dir = path.join(this.server.serverPath, Watchdog.DUMP_DIR);
+                const name = `threaddump-${new Date().toISOString().replace(/[:.]/g, '-')}.txt`;
+                try {
+                    fs.mkdirSync(dir, { recursive: true });
+                    fs.writeFileSync(path.join(dir, name), stdout, 'utf8');
+                    this.server.log(`[WATCHDOG] Thread dump saved to ${Watchdog.DUMP_DIR}/${name}`);
+                } catch (writeErr) {
+                    this.server.log(`[ERROR] Could not save thread dump: ${writeErr.message}`);
+                }
+                resolve();
+            });
+        });
+    }
+}
+
+module.exports = Watchdog;
@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const Nbt = require('../utils/Nbt');
+const { writeZip, openZip } = require('../utils/ZipStream');
+
+/**
+ * World folders of an instance: Java worlds sit in the server directory,
+ * Bedrock worlds in worlds/. The active one is `level-name` in server.properties.
+ *
+ * Bukkit-based servers keep the nether and end in sibling folders
+ * (`world_nether`, `world_the_end`); these are treated as part of their world.
+ */
+class WorldManager {
+    static DIMENSION_SUFFIXES = ['_nether', '_the_end'];
+    static DEFAULT_NAMES = { java: 'world', bedrock: 'Bedrock level' };
+
+    /**
+     * @param {MinecraftServer} server
+     * @param {BackupManager} backups - Used for the safety backup before a reset
+     */
+    constructor(server, backups) {
+        this.server = server;
+        this.backups = backups;
+    }
+
+    get type() {
+        return this.server.config.server.type;
+    }
+
+    get worldsDir() {
+        return this.type === 'bedrock' ? path.join(this.server.serverPath, 'worlds') : this.server.serverPath;
+    }
+
+    get active() {
+        return this._readLevelName() || WorldManager.DEFAULT_NAMES[this.type];
+    }
+
+    _readLevelName() {
+        try {
+            return this.server._readProperties()['level-name'];
+        } catch (e) {
+            return null;
+        }
+    }
+
+    static validateName(name) {
+        const text = String(name || '').trim();
+        if (!/^[\w\- ()]{1,64}$/.test(text)) {
+            throw new Error('World names may only use letters, digits, spaces, - _ ( ) and be up to 64 characters');
+        }
+        return text;
+    }
+
+    static _size(dir) {
+        let total = 0;
+        for (const item of fs.readdirSync(dir, { withFileTypes: true })) {
+            const full = path.join(dir, item.name);
+            if (item.isDirectory()) total += WorldManager._size(full);
+            else if (item.isFile()) total += fs.statSync(full).size;
+        }
+        return total;
+    }
+
+    _isWorld(name) {
+        return fs.existsSync(path.join(this.worldsDir, name, 'level.dat'));
+    }
+
+    /**
+     * Existing dimension folders that belong to a Java world
+     */
+    _dimensions(name) {
+        if (this.type === 'bedrock') return [];
+        return WorldManager.DIMENSION_SUFFIXES.map(s => name + s).filter(d => this._isWorld(d));
+    }
+
+    /**
+     * Seed, in-game name, version and last played time from level.dat
+     */
+    readLevel(name) {
+        const file = path.join(this.worldsDir, name, 'level.dat');
+        const buffer = fs.readFileSync(file);
+        if (this.type === 'bedrock') {
+            const data = Nbt.parseBedrock(buffer);
+            return {
+                seed: data.RandomSeed !== undefined ? String(data.RandomSeed) : null,
+                levelName: data.LevelName || null,
+                version: Array.isArray(data.lastOpenedWithVersion) ? data.lastOpenedWithVersion.slice(0, 3).join('.') : null,
+                lastPlayed: data.LastPlayed !== undefined ? Number(data.LastPlayed) * 1000 : null
+            };
+        }
+
+        const data = Nbt.parseJava(buffer).Data || {};
+        // 1.16+ keeps the seed in WorldGenSettings, older worlds in RandomSeed
+        const seed = data.WorldGenSettings ? data.WorldGenSettings.seed : data.RandomSeed;
+        return {
+            seed: seed !== undefined ? String(seed) : null,
+            levelName: data.LevelName || null,
+            version: data.Version ? data.Version.Name : null,
+            lastPlayed: data.LastPlayed !== undefined ? Number(data.LastPlayed) : null
+        };
+    }
+
+    list() {
+        const active = this.active;
+        const worlds = [];
+        if (fs.existsSync(this.worldsDir)) {
+            const names = fs.readdirSync(this.worldsDir, { withFileTypes: true })
+                .filter(d => d.isDirectory() && this._isWorld(d.name))
+                .map(d => d.name);
+            const dimensionOf = (name) => this.type === 'java'
+                && WorldManager.DIMENSION_SUFFIXES.some(s => name.endsWith(s) && names.includes(name.slice(0, -s.length)));
+
+            for (const name of names.filter(n => !dimensionOf(n)).sort((a, b) => a.localeCompare(b))) {
+                const dimensions = this._dimensions(name);
+                const world = {
+                    name,
+                    active: name === active,
+                    dimensions,
+                    size: [name, ...dimensions].reduce((sum, d) => sum + WorldManager._size(path.join(this.worldsDir, d)), 0)
+                };
+                try {
+                    Object.assign(world, this.readLevel(name));
+                } catch (err) {
+                    world.error = `Unreadable level.dat: ${err.message}`;
+                }
+                worlds.push(world);
+            }
+        }
+        return {
+            active,
+            // The active world is generated on the next start when its folder doesn't exist yet
+            activeExists: worlds.some(w => w.active),
+            seed: this.server._readProperties()['level-seed'] || '',
+            worlds
+        };
+    }
+
+    _resolve(name) {
+        const safe = path.basename(String(name || ''));
+        if (!safe || safe !== name || safe.startsWith('.') || !this._isWorld(safe)) throw new Error(`World "${name}" not found`);
+        return safe;
+    }
+
+    _requireStopped(what) {
+        if (this.server.status !== 'stopped') throw new Error(`Stop the server before ${what}`);
+    }
+
+    /**
+     * Make `name` the world the server loads
+     */
+    switchTo(name) {
+        const world = this._resolve(name);
+        if (world === this.active) return { active: world, note: null };
+        this.server._updateProperties({ 'level-name': world });
+        if (this.server.status === 'stopped') return { active: world, note: null };
+        this.server.pendingRestart.add('level-name');
+        return { active: world, note: 'Restart the server to load the new world' };
+    }
+
+    /**
+     * Unpack a world zip into a new folder. The world root is the shallowest
+     * folder holding a level.dat, so zips with or without a wrapping folder both work.
+     * Without a name the world is named after that folder, or else the zip.
+     * Entries are streamed to disk one at a time.
+     */
+    async import(zipPath, { name, fileName } = {}) {
+        let zip;
+        try {
+            zip = await openZip(zipPath);
+        } catch (err) {
+            throw new Error('Not a valid zip file');
+        }
+
+        try {
+            const entries = zip.entries;
+            const roots = entries
+                .filter(e => !e.isDirectory && path.posix.basename(e.name) === 'level.dat')
+                .map(e => path.posix.dirname(e.name).replace(/^\.$/, ''))
+                .filter(dir => !dir.split('/').includes('__MACOSX'))
+                // Prefer the main world over its dimension folders when both are at the same depth
+                .sort((a, b) => a.split('/').length - b.split('/').length
+                    || WorldManager.DIMENSION_SUFFIXES.some(s => a.endsWith(s)) - WorldManager.DIMENSION_SUFFIXES.some(s => b.endsWith(s)));
+            if (!roots.length) throw new Error('No level.dat found in the zip');
+
+            const root = roots[0];
+            const rootName = root ? path.posix.basename(root) : '';
+            const world = WorldManager.validateName(name || rootName || path.basename(fileName || zipPath, '.zip'));
+            // Split dimensions zipped next to the world come along under the new name
+            const parent = root ? path.posix.dirname(root).replace(/^\.$/, '') : '';
+            const sources = [{ prefix: root, target: world }];
+            if (this.type === 'java' && rootName) {
+                for (const suffix of WorldManager.DIMENSION_SUFFIXES) {
+                    const prefix = parent ? `${parent}/${rootName}${suffix}` : rootName + suffix;
+                    if (roots.includes(prefix)) sources.push({ prefix, target: world + suffix });
+                }
+            }
+
+            for (const { target } of sources) {
+                if (fs.existsSync(path.join(this.worldsDir, target))) throw new Error(`A world named "${target}" already exists`);
+            }
+
+            const created = [];
+            try {
+                for (const { prefix, target } of sources) {
+                    const targetDir = path.join(this.worldsDir, target);
+                    await fs.promises.mkdir(targetDir, { recursive: true });
+                    created.push(targetDir);
+                    for (const entry of entries) {
+                        if (entry.isDirectory || (prefix && !entry.name.startsWith(prefix + '/'))) continue;
+                        const relative = prefix ? entry.name.slice(prefix.length + 1) : entry.name;
+                        const dest = path.resolve(targetDir, relative);
+                        if (!dest.startsWith(targetDir + path.sep)) throw new Error(`Unsafe path in zip: ${entry.name}`);
+                        await fs.promises.mkdir(path.dirname(dest), { recursive: true });
+                        await zip.extract(entry, dest);
+                    }
+                }
+            } catch (err) {
+                for (const dir of created) await fs.promises.rm(dir, { recursive: true, force: true });
+                throw err;
+            }
+            return { name: world, dimensions: sources.slice(1).map(s => s.target) };
+        } finally {
+            zip.close();
+        }
+    }
+
+    /**
+     * Files under `dir` as [{ fullPath, entryPath, mtime }], skipping session.lock
+     */
+    static async _files(dir, prefix, out = []) {
+        for (const item of await fs.promises.readdir(dir, { withFileTypes: true })) {
+            const fullPath = path.join(dir, item.name);
+            const entryPath = `${prefix}/${item.name}`;
+            if (item.isDirectory()) {
+                await WorldManager._files(fullPath, entryPath, out);
+            } else if (item.isFile() && item.name !== 'session.lock') {
+                out.push({ fullPath, entryPath, mtime: (await fs.promises.stat(fullPath)).mtime });
+            }
+        }
+        return out;
+    }
+
+    /**
+     * Stream a world (with its dimension folders) as a zip into `output`.
+     * While a running server has the world loaded its saves are held, so no
+     * region file is read halfway through being written.
+     */
+    async export(name, output) {
+        const world = this._resolve(name);
+        const server = world === this.active && this.server.status === 'running' ? this.server : null;
+        try {
+            let limits = null;
+            if (server) {
+                this.server.log(`[SYSTEM] Holding saves while "${world}" is exported...`);
+                ({ limits } = await server.holdSaves());
+            }
+
+            const files = [];
+            for (const folder of [world, ...this._dimensions(world)]) {
+                await WorldManager._files(path.join(this.worldsDir, folder), folder, files);
+            }
+            await writeZip(output, files.map((file) => {
+                // Bedrock reports the part of each file that belongs to the saved state
+                const limit = limits ? limits[`worlds/${file.entryPath}`] : undefined;
+                return {
+                    name: file.entryPath,
+                    date: file.mtime,
+                    open: () => (limit === 0 ? Readable.from([])
+                        : fs.createReadStream(file.fullPath, limit !== undefined ? { end: limit - 1 } : {}))
+                };
+            }));
+            return world;
+        } finally {
+            if (server && await server.resumeSaves()) this.server.log('[SYSTEM] Saving resumed');
+        }
+    }
+
+    /**
+     * Delete the active world so the next start generates a new one, after a backup.
+     * With a seed, level-seed is changed first; without one it's left as it is.
+     */
+    async reset({ seed } = {}) {
+        this._requireStopped('resetting the world');
+        if (seed !== undefined && seed !== null && /[\r\n]/.test(String(seed))) throw new Error('Seed must be a single line');
+
+        const world = this.active;
+        const folders = [world, ...this._dimensions(world)].filter(f => fs.existsSync(path.join(this.worldsDir, f)));
+        const backup = folders.length ? await this.backups.createBackup({ trigger: 'pre-reset', label: `Before resetting ${world}` }) : null;
+
+        // The server may have been started while the backup ran
+        this._requireStopped('resetting the world');
+        for (const folder of folders) fs.rmSync(path.join(this.worldsDir, folder), { recursive: true, force: true });
+        if (seed !== undefined && seed !== null) this.server._updateProperties({ 'level-seed': String(seed).trim() });
+
+        this.server.log(`[SYSTEM] World "${world}" reset${backup ? `, backup saved as ${backup}` : ''}`);
+        return { world, backup, seed: this.server._readProperties()['level-seed'] || '' };
+    }
+}
+
+module.exports = WorldManager;
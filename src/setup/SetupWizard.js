@@ -0,0 +1,145 @@
+const bcrypt = require('bcryptjs');
+const VersionManager = require('../server/VersionManager');
+
+/**
+ * First-run setup: creates the owner account, records EULA acceptance and
+ * sets the basic server options, then saves them to the panel state file.
+ *
+ * The owner comes from ADMIN_USERNAME / ADMIN_PASSWORD_HASH when set, otherwise
+ * from `panel.owner_user` / `panel.owner_password_hash`. Setup is only offered
+ * while neither holds a bcrypt hash.
+ */
+class SetupWizard {
+    static BCRYPT_ROUNDS = 12;
+    static MIN_PASSWORD_LENGTH = 8;
+    static EULA_URL = 'https://aka.ms/MinecraftEULA';
+
+    /**
+     * @param {object} config - Parsed config.yml (shared with the rest of the panel)
+     * @param {InstanceManager} instances - Used to apply and save the owner and server options
+     */
+    constructor(config, instances) {
+        this.config = config;
+        this.instances = instances;
+    }
+
+    static isHash(value) {
+        return typeof value === 'string' && value.startsWith('$2');
+    }
+
+    /**
+     * Owner login: { username, hash }. The hash is null while no owner exists.
+     */
+    owner() {
+        const panel = this.config.panel || {};
+        const envHash = process.env.ADMIN_PASSWORD_HASH;
+        if (SetupWizard.isHash(envHash)) {
+            return { username: process.env.ADMIN_USERNAME || panel.owner_user, hash: envHash };
+        }
+        return {
+            username: panel.owner_user,
+            hash: SetupWizard.isHash(panel.owner_password_hash) ? panel.owner_password_hash : null
+        };
+    }
+
+    get required() {
+        return !this.owner().hash;
+    }
+
+    /**
+     * Current values to prefill the form with
+     */
+    defaults() {
+        const server = this.config.server;
+        return {
+            username: process.env.ADMIN_USERNAME || this.config.panel.owner_user || 'admin',
+            type: server.type || 'java',
+            software: server.software || 'vanilla',
+            version: server.version || '',
+            memory: server.memory || '1G',
+            port: server.port || (server.type === 'bedrock' ? 19132 : 25565),
+            web_port: this.config.panel.web_port || 8080
+        };
+    }
+
+    static _port(value, label) {
+        const port = parseInt(value);
+        if (isNaN(port) || port < 1 || port > 65535 || String(port) !== String(value).trim()) {
+            throw new Error(`${label} must be a number between 1 and 65535`);
+        }
+        return port;
+    }
+
+    /**
+     * Check the submitted form. Returns the normalized values.
+     */
+    validate(form) {
+        const username = String(form.username || '').trim();
+        if (!/^[\w.-]{3,32}$/.test(username)) {
+            throw new Error('Username must be 3-32 letters, digits, ".", "-" or "_"');
+        }
+        const password = String(form.password || '');
+        if (password.length < SetupWizard.MIN_PASSWORD_LENGTH) {
+            throw new Error(`Password must be at least ${SetupWizard.MIN_PASSWORD_LENGTH} characters`);
+        }
+        if (password !== form.password_confirm) throw new Error('Passwords do not match');
+        if (form.eula !== 'on' && form.eula !== true) {
+            throw new Error('You must accept the Minecraft EULA to run a server');
+        }
+
+        const type = form.type === 'bedrock' ? 'bedrock' : 'java';
+        const software = type === 'java' ? String(form.software || 'vanilla') : undefined;
+        if (software && !VersionManager.SOFTWARE.includes(software)) {
+            throw new Error(`Software must be one of: ${VersionManager.SOFTWARE.join(', ')}`);
+        }
+        const version = String(form.version || '').trim();
+        if (!/^[\w.+-]{1,32}$/.test(version)) throw new Error('Enter a Minecraft version, e.g. 1.20.4');
+
+        const memory = String(form.memory || '').trim().toUpperCase();
+        if (!/^\d+[MG]$/.test(memory) || parseInt(memory) === 0) throw new Error('Memory must look like "1024M" or "2G"');
+
+        const port = SetupWizard._port(form.port, 'Server port');
+        const webPort = SetupWizard._port(form.web_port, 'Panel port');
+        if (type === 'java' && port === webPort) throw new Error('The server and the panel need different ports');
+
+        return { username, password, type, software, version, memory, port, webPort };
+    }
+
+    /**
+     * Create the owner and save the server options.
+     * Returns { username, webPortChanged, install } where `install` tells the caller
+     * which jar to fetch for a Java server.
+     */
+    async complete(form) {
+        if (!this.required) throw new Error('Setup has already been completed');
+        const values = this.validate(form);
+
+        const previousWebPort = this.config.panel.web_port;
+        const serverChanges = {
+            type: values.type,
+            version: values.version,
+            memory: values.memory,
+            port: values.port,
+            eula: true,
+            // The example URL in config.yml is a vanilla jar; Java jars now come from the
+            // version manager and Bedrock needs a zip for its own version
+            download_url: null
+        };
+        if (values.software) serverChanges.software = values.software;
+
+        this.instances.updatePanel({
+            owner_user: values.username,
+            owner_password_hash: await bcrypt.hash(values.password, SetupWizard.BCRYPT_ROUNDS),
+            web_port: values.webPort
+        });
+        this.instances.updateDefaults(serverChanges);
+
+        return {
+            username: values.username,
+            webPortChanged: previousWebPort !== values.webPort,
+            install: values.type === 'java' ? { software: values.software, version: values.version } : null
+        };
+    }
+}
+
+module.exports = SetupWizard;
@@ -0,0 +1,134 @@
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: MONTHS, offset: 1 },
+    { name: 'day of week', min: 0, max: 7, names: DAYS, offset: 0 }
+];
+
+const ALIASES = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+/**
+ * A standard five-field cron expression (minute hour day-of-month month day-of-week)
+ * with lists, ranges, steps, month/day names and the @daily-style aliases.
+ * Times are local. As in cron, when both day fields are restricted a day
+ * matching either one counts.
+ */
+class CronExpression {
+    constructor(expression) {
+        const text = String(expression || '').trim().toLowerCase();
+        const fields = (ALIASES[text] || text).split(/\s+/);
+        if (fields.length !== 5) throw new Error(`Invalid cron expression "${expression}" (expected 5 fields)`);
+
+        this.expression = String(expression).trim();
+        [this.minutes, this.hours, this.days, this.months, this.weekdays] = fields.map((f, i) => CronExpression._parseField(f, FIELDS[i]));
+        // Sunday may be written 0 or 7
+        if (this.weekdays.has(7)) this.weekdays.add(0);
+        this.anyDay = fields[2] === '*' || fields[2] === '?';
+        this.anyWeekday = fields[4] === '*' || fields[4] === '?';
+    }
+
+    static isValid(expression) {
+        try {
+            new CronExpression(expression);
+            return true;
+        } catch (e) {
+            return false;
+        }
+    }
+
+    static _parseValue(text, field) {
+        const index = field.names ? field.names.indexOf(text) : -1;
+        const value = index !== -1 ? index + field.offset : (/^\d+$/.test(text) ? parseInt(text) : NaN);
+        if (isNaN(value) || value < field.min || value > field.max) {
+            throw new Error(`Invalid ${field.name} "${text}" (${field.min}-${field.max})`);
+        }
+        return value;
+    }
+
+    static _parseField(text, field) {
+        const values = new Set();
+        for (const part of text.split(',')) {
+            const match = part.match(/^([^/]+)(?:\/(\d+))?$/);
+            if (!match) throw new Error(`Invalid ${field.name} "${part}"`);
+            const step = match[2] !== undefined ? parseInt(match[2]) : 1;
+            if (step < 1) throw new Error(`Invalid step in ${field.name} "${part}"`);
+
+            let start, end;
+            if (match[1] === '*' || match[1] === '?') {
+                start = field.min;
+                end = field.name === 'day of week' ? 6 : field.max;
+            } else if (match[1].includes('-')) {
+                const [from, to] = match[1].split('-');
+                start = CronExpression._parseValue(from, field);
+                end = CronExpression._parseValue(to, field);
+                if (end < start) throw new Error(`Invalid range in ${field.name} "${part}"`);
+            } else {
+                start = CronExpression._parseValue(match[1], field);
+                // "5/15" means from 5 to the end in steps of 15
+                end = match[2] !== undefined ? field.max : start;
+            }
+            for (let v = start; v <= end; v += step) values.add(v);
+        }
+        return values;
+    }
+
+    _dayMatches(date) {
+        const day = this.days.has(date.getDate());
+        const weekday = this.weekdays.has(date.getDay());
+        if (this.anyDay && this.anyWeekday) return true;
+        if (this.anyDay) return weekday;
+        if (this.anyWeekday) return day;
+        return day || weekday;
+    }
+
+    /**
+     * Whether the expression fires in the minute containing `date`
+     */
+    matches(date) {
+        return this.minutes.has(date.getMinutes())
+            && this.hours.has(date.getHours())
+            && this.months.has(date.getMonth() + 1)
+            && this._dayMatches(date);
+    }
+
+    /**
+     * First matching minute strictly after `after`, or null if there is none within five years
+     */
+    next(after = new Date()) {
+        const date = new Date(after);
+        date.setSeconds(0, 0);
+        date.setMinutes(date.getMinutes() + 1);
+        const limit = after.getTime() + 5 * 366 * 24 * 3600 * 1000;
+
+        while (date.getTime() <= limit) {
+            if (!this.months.has(date.getMonth() + 1)) {
+                date.setMonth(date.getMonth() + 1, 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this._dayMatches(date)) {
+                date.setDate(date.getDate() + 1);
+                date.setHours(0, 0, 0, 0);
+            } else if (!this.hours.has(date.getHours())) {
+                date.setHours(date.getHours() + 1, 0, 0, 0);
+            } else if (!this.minutes.has(date.getMinutes())) {
+                date.setMinutes(date.getMinutes() + 1, 0, 0);
+            } else {
+                return date;
+            }
+        }
+        return null;
+    }
+}
+
+module.exports = CronExpression;
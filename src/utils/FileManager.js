@@ -2,8 +2,11 @@ const fs = require('fs');
 const path = require('path');
 
 class FileManager {
-    constructor() {
-        this.baseDir = path.resolve(__dirname, '../../minecraft/server');
+    /**
+     * @param {string} baseDir - Root directory exposed by this manager (an instance's server directory)
+     */
+    constructor(baseDir) {
+        this.baseDir = path.resolve(baseDir || path.join(__dirname, '../../minecraft/server'));
         if (!fs.existsSync(this.baseDir)) {
             fs.mkdirSync(this.baseDir, { recursive: true });
         }
@@ -20,6 +23,14 @@ class FileManager {
             .trim();
     }
 
+    /**
+     * Check that an absolute path is the base directory or inside it.
+     * A plain prefix check would let `servers/lobby` reach `servers/lobby2`.
+     */
+    _isInside(fullPath) {
+        return fullPath === this.baseDir || fullPath.startsWith(this.baseDir + path.sep);
+    }
+
     /**
      * Resolve and validate a path is within the server directory
      */
@@ -32,7 +43,7 @@ class FileManager {
         const fullPath = path.resolve(this.baseDir, normalized);
 
         // Strict check: must be within baseDir
-        if (!fullPath.startsWith(this.baseDir)) {
+        if (!this._isInside(fullPath)) {
             throw new Error('Access Denied: Path is outside server directory');
         }
         return fullPath;
@@ -94,7 +105,7 @@ class FileManager {
         if (!safeName) throw new Error('Invalid folder name');
 
         const target = path.join(this._safePath(relative), safeName);
-        if (!target.startsWith(this.baseDir)) throw new Error('Invalid folder path');
+        if (!this._isInside(target)) throw new Error('Invalid folder path');
         fs.mkdirSync(target, { recursive: true });
     }
 
@@ -121,7 +132,7 @@ class FileManager {
 
         const oldPath = this._safePath(oldRelative);
         const newPath = path.join(path.dirname(oldPath), safeName);
-        if (!newPath.startsWith(this.baseDir)) throw new Error('Invalid rename operation');
+        if (!this._isInside(newPath)) throw new Error('Invalid rename operation');
         if (!fs.existsSync(oldPath)) throw new Error('Item not found');
         fs.renameSync(oldPath, newPath);
     }
@@ -0,0 +1,52 @@
+const fs = require('fs');
+
+const CHUNK_SIZE = 64 * 1024;
+
+/**
+ * Read up to `limit` complete lines that end before byte offset `before`,
+ * scanning the file backwards so large logs are never loaded whole.
+ *
+ * Returns { lines, cursor, hasMore } where `cursor` is the byte offset to pass
+ * as `before` to fetch the next (older) page.
+ */
+function readLinesBefore(filePath, before = null, limit = 200) {
+    if (!fs.existsSync(filePath)) return { lines: [], cursor: 0, hasMore: false };
+
+    const fd = fs.openSync(filePath, 'r');
+    try {
+        const fileSize = fs.fstatSync(fd).size;
+        let end = before === null || before > fileSize ? fileSize : Math.max(0, before);
+        let pos = end;
+        let tail = Buffer.alloc(0);
+        const lines = [];
+
+        while (pos > 0 && lines.length < limit) {
+            const readSize = Math.min(CHUNK_SIZE, pos);
+            pos -= readSize;
+            const chunk = Buffer.alloc(readSize);
+            fs.readSync(fd, chunk, 0, readSize, pos);
+            tail = Buffer.concat([chunk, tail]);
+
+            // Peel off complete lines from the end; keep the partial first line for the next chunk
+            let nl;
+            while (lines.length < limit && tail.length > 1 && (nl = tail.lastIndexOf(0x0a, tail.length - 2)) !== -1) {
+                const line = tail.slice(nl + 1).toString('utf8').replace(/\r?\n$/, '');
+                lines.push(line);
+                tail = tail.slice(0, nl + 1);
+                end = pos + nl + 1;
+            }
+        }
+
+        // Reached the start of the file: whatever is left is the first line
+        if (pos === 0 && lines.length < limit && tail.length > 0) {
+            lines.push(tail.toString('utf8').replace(/\r?\n$/, ''));
+            end = 0;
+        }
+
+        return { lines: lines.reverse(), cursor: end, hasMore: end > 0 };
+    } finally {
+        fs.closeSync(fd);
+    }
+}
+
+module.exports = { readLinesBefore };
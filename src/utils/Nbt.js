@@ -0,0 +1,100 @@
+const zlib = require('zlib');
+
+const TAG = {
+    END: 0, BYTE: 1, SHORT: 2, INT: 3, LONG: 4, FLOAT: 5, DOUBLE: 6,
+    BYTE_ARRAY: 7, STRING: 8, LIST: 9, COMPOUND: 10, INT_ARRAY: 11, LONG_ARRAY: 12
+};
+
+/**
+ * Read-only NBT decoder, enough for level.dat.
+ * Java files are gzipped big-endian NBT; Bedrock files are little-endian
+ * with an 8-byte header. Longs are returned as BigInt.
+ */
+class Nbt {
+    static TAG = TAG;
+
+    /**
+     * Decode a Java level.dat (gzipped or not). Returns the root compound.
+     */
+    static parseJava(buffer) {
+        const data = buffer[0] === 0x1f && buffer[1] === 0x8b ? zlib.gunzipSync(buffer) : buffer;
+        return new Nbt(data, false)._root();
+    }
+
+    /**
+     * Decode a Bedrock level.dat: storage version and length (both int32 LE), then the NBT
+     */
+    static parseBedrock(buffer) {
+        if (buffer.length < 8) throw new Error('level.dat is too short');
+        return new Nbt(buffer.subarray(8, 8 + buffer.readInt32LE(4)), true)._root();
+    }
+
+    constructor(buffer, littleEndian) {
+        this.buffer = buffer;
+        this.le = littleEndian;
+        this.pos = 0;
+    }
+
+    _need(bytes) {
+        if (this.pos + bytes > this.buffer.length) throw new Error('Unexpected end of NBT data');
+    }
+
+    _int(size, method) {
+        this._need(size);
+        const value = this.buffer[`read${method}${size > 1 ? (this.le ? 'LE' : 'BE') : ''}`](this.pos);
+        this.pos += size;
+        return value;
+    }
+
+    _string() {
+        const length = this._int(2, 'UInt16');
+        this._need(length);
+        const text = this.buffer.toString('utf8', this.pos, this.pos + length);
+        this.pos += length;
+        return text;
+    }
+
+    _array(readOne) {
+        const length = this._int(4, 'Int32');
+        if (length < 0) throw new Error('Invalid NBT array length');
+        return Array.from({ length }, readOne);
+    }
+
+    _root() {
+        const type = this._int(1, 'UInt8');
+        if (type !== TAG.COMPOUND) throw new Error('NBT root is not a compound');
+        this._string();
+        return this._payload(type);
+    }
+
+    _payload(type) {
+        switch (type) {
+            case TAG.BYTE: return this._int(1, 'Int8');
+            case TAG.SHORT: return this._int(2, 'Int16');
+            case TAG.INT: return this._int(4, 'Int32');
+            case TAG.LONG: return this._int(8, 'BigInt64');
+            case TAG.FLOAT: return this._int(4, 'Float');
+            case TAG.DOUBLE: return this._int(8, 'Double');
+            case TAG.BYTE_ARRAY: return this._array(() => this._int(1, 'Int8'));
+            case TAG.STRING: return this._string();
+            case TAG.LIST: {
+                const itemType = this._int(1, 'UInt8');
+                return this._array(() => this._payload(itemType));
+            }
+            case TAG.COMPOUND: {
+                const out = {};
+                for (let tag = this._int(1, 'UInt8'); tag !== TAG.END; tag = this._int(1, 'UInt8')) {
+                    const name = this._string();
+                    out[name] = this._payload(tag);
+                }
+                return out;
+            }
+            case TAG.INT_ARRAY: return this._array(() => this._int(4, 'Int32'));
+            case TAG.LONG_ARRAY: return this._array(() => this._int(8, 'BigInt64'));
+            default:
+                throw new Error(`Unknown NBT tag ${type}`);
+        }
+    }
+}
+
+module.exports = Nbt;
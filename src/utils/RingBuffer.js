@@ -0,0 +1,40 @@
+/**
+ * Fixed-capacity FIFO buffer. Once full, each push overwrites the oldest item.
+ */
+class RingBuffer {
+    constructor(capacity) {
+        this.capacity = Math.max(1, capacity | 0);
+        this.items = new Array(this.capacity);
+        this.start = 0;
+        this.size = 0;
+    }
+
+    push(item) {
+        const index = (this.start + this.size) % this.capacity;
+        this.items[index] = item;
+        if (this.size < this.capacity) {
+            this.size++;
+        } else {
+            this.start = (this.start + 1) % this.capacity;
+        }
+    }
+
+    /**
+     * Items ordered oldest to newest
+     */
+    toArray() {
+        const out = new Array(this.size);
+        for (let i = 0; i < this.size; i++) {
+            out[i] = this.items[(this.start + i) % this.capacity];
+        }
+        return out;
+    }
+
+    clear() {
+        this.items = new Array(this.capacity);
+        this.start = 0;
+        this.size = 0;
+    }
+}
+
+module.exports = RingBuffer;
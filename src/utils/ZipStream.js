@@ -0,0 +1,96 @@
+const fs = require('fs');
+const archiver = require('archiver');
+const yauzl = require('yauzl');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Streaming zip helpers. Archives are written and read one entry at a time,
+ * so multi-GB worlds and backups never have to fit in memory or block the event loop.
+ */
+
+/**
+ * Zip `entries` ([{ name, open() -> Readable, date }]) into `output`, opening one
+ * entry stream at a time. If `output` closes or fails before the zip is complete
+ * (e.g. a download is aborted) the archive is aborted, the open entry stream
+ * destroyed and the promise rejected.
+ */
+function writeZip(output, entries, { level = 6 } = {}) {
+    return new Promise((resolve, reject) => {
+        const archive = archiver('zip', { zlib: { level } });
+        let current = null;
+        let nextEntry = null;
+        let settled = false;
+
+        const fail = (err) => {
+            if (settled) return;
+            settled = true;
+            archive.abort();
+            if (current) current.destroy();
+            if (nextEntry) nextEntry();
+            reject(err);
+        };
+
+        output.on('error', fail);
+        output.on('close', () => fail(new Error('Output closed before the zip was complete')));
+        output.on('finish', () => {
+            if (settled) return;
+            settled = true;
+            resolve();
+        });
+        archive.on('error', fail);
+        archive.pipe(output);
+
+        (async () => {
+            for (const entry of entries) {
+                if (settled) return;
+                current = entry.open();
+                current.on('error', fail);
+                const added = new Promise((done) => {
+                    nextEntry = done;
+                    archive.once('entry', done);
+                });
+                archive.append(current, { name: entry.name, date: entry.date });
+                await added;
+            }
+            current = null;
+            if (!settled) archive.finalize();
+        })().catch(fail);
+    });
+}
+
+/**
+ * Open a zip for reading. Only the central directory is read up front; entry
+ * contents are streamed on demand. Resolves with
+ * { entries: [{ name, size, isDirectory }], extract(entry, dest), close() }.
+ */
+function openZip(zipPath) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(zipPath, { lazyEntries: true, autoClose: false }, (err, zipfile) => {
+            if (err) return reject(err);
+            const entries = [];
+            zipfile.on('entry', (raw) => {
+                entries.push({ name: raw.fileName, size: raw.uncompressedSize, isDirectory: raw.fileName.endsWith('/'), raw });
+                zipfile.readEntry();
+            });
+            zipfile.on('error', (error) => {
+                zipfile.close();
+                reject(error);
+            });
+            zipfile.on('end', () => resolve({
+                entries,
+                async extract(entry, dest) {
+                    const stream = await new Promise((done, fail) => {
+                        zipfile.openReadStream(entry.raw, (error, readStream) => (error ? fail(error) : done(readStream)));
+                    });
+                    await pipeline(stream, fs.createWriteStream(dest));
+                },
+                close() {
+                    zipfile.close();
+                }
+            }));
+            zipfile.readEntry();
+        });
+    });
+}
+
+module.exports = { writeZip, openZip };
@@ -0,0 +1,75 @@
+const fs = require('fs');
+
+// Container accounting files (Docker/Railway/K8s). v2 is tried first, then v1.
+const CGROUP_FILES = {
+    v2: {
+        memoryLimit: '/sys/fs/cgroup/memory.max',
+        memoryUsage: '/sys/fs/cgroup/memory.current',
+        memoryEvents: '/sys/fs/cgroup/memory.events',
+        cpuStat: '/sys/fs/cgroup/cpu.stat'
+    },
+    v1: {
+        memoryLimit: '/sys/fs/cgroup/memory/memory.limit_in_bytes',
+        memoryUsage: '/sys/fs/cgroup/memory/memory.usage_in_bytes',
+        oomControl: '/sys/fs/cgroup/memory/memory.oom_control',
+        cpuUsage: '/sys/fs/cgroup/cpuacct/cpuacct.usage'
+    }
+};
+
+function readNumber(file) {
+    try {
+        const content = fs.readFileSync(file, 'utf8').trim();
+        if (content === 'max') return null; // No limit set
+        const value = parseInt(content);
+        return isNaN(value) ? null : value;
+    } catch (e) {
+        return null; // File doesn't exist = not in this cgroup version
+    }
+}
+
+/**
+ * Container memory limit in bytes, or null when unlimited / not in a container
+ */
+function memoryLimitBytes() {
+    for (const files of [CGROUP_FILES.v2, CGROUP_FILES.v1]) {
+        const bytes = readNumber(files.memoryLimit);
+        // Sanity check: must be positive and less than 1TB (v1 reports a huge number when unlimited)
+        if (bytes !== null && bytes > 0 && bytes < 1e12) return bytes;
+    }
+    return null;
+}
+
+/**
+ * Current container memory usage in bytes, or null outside a container
+ */
+function memoryUsageBytes() {
+    return readNumber(CGROUP_FILES.v2.memoryUsage) ?? readNumber(CGROUP_FILES.v1.memoryUsage);
+}
+
+/**
+ * Cumulative container CPU time in microseconds, or null outside a container
+ */
+function cpuUsageMicros() {
+    try {
+        const stat = fs.readFileSync(CGROUP_FILES.v2.cpuStat, 'utf8');
+        const match = stat.match(/^usage_usec (\d+)$/m);
+        if (match) return parseInt(match[1]);
+    } catch (e) { }
+    const nanos = readNumber(CGROUP_FILES.v1.cpuUsage);
+    return nanos === null ? null : Math.floor(nanos / 1000);
+}
+
+/**
+ * Number of processes the kernel OOM killer has killed in this container, or null outside a container
+ */
+function oomKillCount() {
+    for (const file of [CGROUP_FILES.v2.memoryEvents, CGROUP_FILES.v1.oomControl]) {
+        try {
+            const match = fs.readFileSync(file, 'utf8').match(/^oom_kill (\d+)$/m);
+            if (match) return parseInt(match[1]);
+        } catch (e) { }
+    }
+    return null;
+}
+
+module.exports = { CGROUP_FILES, memoryLimitBytes, memoryUsageBytes, cpuUsageMicros, oomKillCount };
@@ -0,0 +1,58 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Writable } = require('stream');
+const BackupManager = require('../src/backup/BackupManager');
+
+/**
+ * A download that only accepts data once `release()` is called
+ */
+function stalledOutput() {
+    let release;
+    const released = new Promise(resolve => { release = resolve; });
+    const output = new Writable({
+        write(chunk, encoding, callback) {
+            released.then(() => callback());
+        }
+    });
+    output.release = release;
+    return output;
+}
+
+describe('BackupManager', () => {
+    let root;
+    let backups;
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'backup-manager-test-'));
+        const serverPath = path.join(root, 'server');
+        fs.mkdirSync(path.join(serverPath, 'world'), { recursive: true });
+        fs.writeFileSync(path.join(serverPath, 'world', 'level.dat'), 'level');
+        fs.writeFileSync(path.join(serverPath, 'server.properties'), 'motd=test');
+        backups = new BackupManager({ backup: {} }, { serverPath, backupPath: path.join(root, 'backups') });
+    });
+    afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    it('defers removing stored files until running exports finish', async () => {
+        const name = await backups.createBackup();
+        const { files } = backups.store.read(name);
+
+        const output = stalledOutput();
+        const exported = backups.exportZip(name, output);
+        // Expire the snapshot while its zip is still being written
+        backups.store.remove(name);
+        await backups.rotateBackups();
+        await backups._gc();
+        assert.equal(backups.gcPending, true);
+        for (const file of files) assert.equal(await backups.store.hasObject(file.hash), true);
+
+        // The last export to finish runs the deferred gc in the background
+        output.release();
+        await exported;
+        assert.equal(backups.gcPending, false);
+        await backups.gcRunning;
+        for (const file of files) assert.equal(await backups.store.hasObject(file.hash), false);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const RconClient = require('../src/server/RconClient');
+const MinecraftServer = require('../src/server/MinecraftServer');
+
+const PASSWORD = 'secret';
+
+/**
+ * RCON server that behaves like Minecraft on `stop`: it closes the connection
+ * without answering. Any other command is answered unless it is in `drop`.
+ */
+function fakeRcon(drop = []) {
+    const server = net.createServer((socket) => {
+        socket.on('error', () => { });
+        let buffer = Buffer.alloc(0);
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            while (buffer.length >= 4 && buffer.length >= 4 + buffer.readInt32LE(0)) {
+                const length = buffer.readInt32LE(0);
+                const id = buffer.readInt32LE(4);
+                const type = buffer.readInt32LE(8);
+                const body = buffer.toString('utf8', 12, 4 + length - 2);
+                buffer = buffer.subarray(4 + length);
+
+                if (type === RconClient.TYPE_AUTH) socket.write(RconClient.encode(id, RconClient.TYPE_AUTH_RESPONSE, ''));
+                else if (body === 'stop' || drop.includes(body)) socket.destroy();
+                else socket.write(RconClient.encode(id, 0, `ran ${body}`));
+            }
+        });
+    });
+    return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+describe('MinecraftServer.sendCommand', () => {
+    let root;
+    let rcon;
+    let server;
+    let logs;
+
+    beforeEach(async () => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'minecraft-server-test-'));
+        rcon = await fakeRcon(['list']);
+        fs.writeFileSync(path.join(root, 'server.properties'),
+            `enable-rcon=true\nrcon.port=${rcon.address().port}\nrcon.password=${PASSWORD}\n`);
+        const io = { to: () => ({ emit() { } }) };
+        server = new MinecraftServer(io, { id: 'test', serverPath: root, config: { server: { type: 'java' }, panel: {} } });
+        logs = [];
+        server.log = (line) => logs.push(line);
+    });
+    afterEach(async () => {
+        server._closeRcon();
+        await new Promise(resolve => rcon.close(resolve));
+        fs.rmSync(root, { recursive: true, force: true });
+    });
+
+    it('returns RCON responses', async () => {
+        assert.equal(await server.sendCommand('say hi'), 'ran say hi');
+    });
+
+    it('treats the connection closing after `stop` as success', async () => {
+        assert.equal(await server.sendCommand('stop'), null);
+        assert.deepEqual(logs, []);
+    });
+
+    it('reports other commands that lose the connection', async () => {
+        assert.equal(await server.sendCommand('list'), null);
+        assert.deepEqual(logs, ['[RCON] Command failed: RCON connection closed']);
+    });
+});
@@ -0,0 +1,152 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const RconClient = require('../src/server/RconClient');
+
+const PASSWORD = 'secret';
+
+/**
+ * In-process RCON server. `onCommand(body, reply, socket)` answers command packets;
+ * `reply(body)` sends one response packet with the request's id.
+ */
+function fakeServer(onCommand = (body, reply) => reply(`ran ${body}`)) {
+    const sockets = new Set();
+    const server = net.createServer((socket) => {
+        sockets.add(socket);
+        socket.on('close', () => sockets.delete(socket));
+        socket.on('error', () => { });
+        let buffer = Buffer.alloc(0);
+        socket.on('data', (data) => {
+            buffer = Buffer.concat([buffer, data]);
+            while (buffer.length >= 4 && buffer.length >= 4 + buffer.readInt32LE(0)) {
+                const length = buffer.readInt32LE(0);
+                const id = buffer.readInt32LE(4);
+                const type = buffer.readInt32LE(8);
+                const body = buffer.toString('utf8', 12, 4 + length - 2);
+                buffer = buffer.subarray(4 + length);
+
+                if (type === RconClient.TYPE_AUTH) {
+                    // Like Minecraft: an empty response first, then the auth result (-1 on failure)
+                    socket.write(RconClient.encode(id, 0, ''));
+                    socket.write(RconClient.encode(body === PASSWORD ? id : -1, RconClient.TYPE_AUTH_RESPONSE, ''));
+                } else {
+                    onCommand(body, (text) => socket.write(RconClient.encode(id, 0, text)), socket, id);
+                }
+            }
+        });
+    });
+    return new Promise((resolve) => {
+        server.listen(0, '127.0.0.1', () => resolve({
+            port: server.address().port,
+            dropClients() {
+                for (const socket of sockets) socket.destroy();
+            },
+            close() {
+                this.dropClients();
+                return new Promise(done => server.close(done));
+            }
+        }));
+    });
+}
+
+function createClient(port, options = {}) {
+    const client = new RconClient({ port, password: PASSWORD, timeout: 1000, ...options });
+    // As in MinecraftServer._getRcon: socket errors surface through command() rejections
+    client.on('error', () => { });
+    return client;
+}
+
+describe('RconClient', () => {
+    let server;
+    let client;
+
+    beforeEach(() => { client = null; });
+    afterEach(async () => {
+        if (client) client.close();
+        if (server) await server.close();
+        server = null;
+    });
+
+    it('authenticates and runs a command', async () => {
+        server = await fakeServer();
+        client = createClient(server.port);
+        await client.connect();
+        assert.equal(client.connected, true);
+        assert.equal(await client.command('list'), 'ran list');
+    });
+
+    it('rejects a wrong password', async () => {
+        server = await fakeServer();
+        client = createClient(server.port, { password: 'wrong' });
+        await assert.rejects(client.connect(), /authentication failed/);
+        assert.equal(client.connected, false);
+        await assert.rejects(client.command('list'), /not connected/);
+    });
+
+    it('joins a response split into 4096-byte fragments', async () => {
+        const text = 'x'.repeat(RconClient.MAX_FRAGMENT * 2 + 100);
+        server = await fakeServer((body, reply) => {
+            for (let i = 0; i < text.length; i += RconClient.MAX_FRAGMENT) {
+                reply(text.slice(i, i + RconClient.MAX_FRAGMENT));
+            }
+        });
+        client = createClient(server.port);
+        await client.connect();
+        assert.equal(await client.command('help'), text);
+    });
+
+    it('reassembles packets that arrive a few bytes at a time', async () => {
+        server = await fakeServer((body, reply, socket, id) => {
+            const packet = Buffer.concat([RconClient.encode(id, 0, 'part one'), RconClient.encode(id + 100, 0, 'stray')]);
+            let offset = 0;
+            const drip = setInterval(() => {
+                socket.write(packet.subarray(offset, offset + 3));
+                offset += 3;
+                if (offset >= packet.length) clearInterval(drip);
+            }, 1);
+        });
+        client = createClient(server.port);
+        await client.connect();
+        assert.equal(await client.command('say hi'), 'part one');
+    });
+
+    it('times out a command the server never answers', async () => {
+        server = await fakeServer(() => { });
+        client = createClient(server.port, { timeout: 200 });
+        await client.connect();
+        await assert.rejects(client.command('list'), /timed out/);
+        assert.equal(client.pending.size, 0);
+    });
+
+    it('times out when the server never answers the login', async () => {
+        const silent = net.createServer(() => { });
+        await new Promise(resolve => silent.listen(0, '127.0.0.1', resolve));
+        client = createClient(silent.address().port, { timeout: 200 });
+        try {
+            await assert.rejects(client.connect(), /timed out/);
+            assert.equal(client.connected, false);
+        } finally {
+            client.close();
+            silent.close();
+        }
+    });
+
+    it('fails pending commands when the connection drops and can reconnect', async () => {
+        server = await fakeServer((body, reply) => {
+            if (body === 'list') reply('ran list');
+        });
+        client = createClient(server.port);
+        await client.connect();
+
+        const closed = new Promise(resolve => client.once('close', resolve));
+        const pending = client.command('stuck');
+        server.dropClients();
+        await assert.rejects(pending, /connection closed/);
+        await closed;
+        assert.equal(client.connected, false);
+        await assert.rejects(client.command('list'), /not connected/);
+
+        await client.connect();
+        assert.equal(await client.command('list'), 'ran list');
+    });
+});
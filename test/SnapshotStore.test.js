@@ -0,0 +1,72 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const SnapshotStore = require('../src/backup/SnapshotStore');
+
+describe('SnapshotStore', () => {
+    let root;
+    let store;
+
+    const file = (name, contents) => {
+        const full = path.join(root, 'src', name);
+        fs.mkdirSync(path.dirname(full), { recursive: true });
+        fs.writeFileSync(full, contents);
+        return full;
+    };
+
+    const snapshot = async (name, files) => {
+        const entries = [];
+        for (const [filePath, contents] of Object.entries(files)) {
+            const { hash, size } = await store.put(file(filePath, contents));
+            entries.push({ path: filePath, hash, size, mtime: Date.now() });
+        }
+        await store.writeManifest({ name, created: new Date().toISOString(), files: entries });
+        return entries;
+    };
+
+    const objectCount = () => fs.readdirSync(store.objectsDir).reduce((sum, dir) => sum + fs.readdirSync(path.join(store.objectsDir, dir)).length, 0);
+
+    beforeEach(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshot-store-test-'));
+        store = new SnapshotStore(path.join(root, 'store'));
+    });
+    afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    it('stores identical contents once and reads them back', async () => {
+        const [a, b] = await snapshot('one', { 'a.txt': 'same', 'b.txt': 'same' });
+        assert.equal(a.hash, b.hash);
+        assert.equal(objectCount(), 1);
+
+        const chunks = [];
+        for await (const chunk of store.open(a.hash)) chunks.push(chunk);
+        assert.equal(Buffer.concat(chunks).toString(), 'same');
+    });
+
+    it('removes only objects no snapshot refers to', async () => {
+        const [kept] = await snapshot('keep', { 'level.dat': 'kept' });
+        const [dropped] = await snapshot('drop', { 'level.dat': 'dropped' });
+        store.remove('drop');
+        const bytes = fs.statSync(store.objectPath(dropped.hash)).size;
+
+        assert.deepEqual(await store.gc(), { objects: 1, bytes });
+        assert.equal(await store.hasObject(kept.hash), true);
+        assert.equal(await store.hasObject(dropped.hash), false);
+    });
+
+    it('keeps every object when a manifest is unreadable', async () => {
+        const [first] = await snapshot('first', { 'world/region.mca': 'region' });
+        const [orphan] = await snapshot('orphan', { 'world/old.mca': 'old' });
+        store.remove('orphan');
+        // Half-written manifest: its snapshot must not lose its objects to gc
+        const damaged = path.join(store.snapshotsDir, 'first.json');
+        fs.writeFileSync(damaged, fs.readFileSync(damaged, 'utf8').slice(0, 40));
+
+        assert.deepEqual(store.list(), []);
+        await assert.rejects(store.gc(), /Unreadable snapshot manifest first\.json/);
+        assert.equal(fs.existsSync(damaged), true);
+        assert.equal(await store.hasObject(first.hash), true);
+        assert.equal(await store.hasObject(orphan.hash), true);
+    });
+});
@@ -0,0 +1,189 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const VersionManager = require('../src/server/VersionManager');
+
+const VANILLA_JAR = 'vanilla 1.20.4 server jar';
+const PAPER_JAR = 'paper 1.20.4 build 497 jar';
+
+const sha = (algorithm, text) => crypto.createHash(algorithm).update(text).digest('hex');
+
+function writeJson(root, file, data) {
+    const full = path.join(root, file);
+    fs.mkdirSync(path.dirname(full), { recursive: true });
+    fs.writeFileSync(full, JSON.stringify(data));
+}
+
+/**
+ * A mirror as `versions.source: remote` leaves it after fetching these versions
+ */
+function createMirror(root) {
+    writeJson(root, 'vanilla/manifest.json', {
+        versions: [
+            { id: '24w14a', type: 'snapshot', url: 'https://example.invalid/24w14a.json' },
+            { id: '1.20.4', type: 'release', url: 'https://example.invalid/1.20.4.json' }
+        ]
+    });
+    writeJson(root, 'vanilla/version-1.20.4.json', {
+        downloads: { server: { url: 'https://example.invalid/server.jar', sha1: sha('sha1', VANILLA_JAR) } }
+    });
+    writeJson(root, 'paper/project.json', { versions: ['1.20.2', '1.20.4', '1.20.5-rc1'] });
+    writeJson(root, 'paper/builds-1.20.4.json', {
+        builds: [
+            { build: 496, channel: 'default', downloads: { application: { name: 'paper-1.20.4-496.jar', sha256: 'aa' } } },
+            { build: 497, channel: 'default', downloads: { application: { name: 'paper-1.20.4-497.jar', sha256: sha('sha256', PAPER_JAR) } } },
+            { build: 498, channel: 'experimental', downloads: { application: { name: 'paper-1.20.4-498.jar', sha256: 'bb' } } }
+        ]
+    });
+    writeJson(root, 'fabric/game.json', [{ version: '1.20.4', stable: true }, { version: '24w14a', stable: false }]);
+    writeJson(root, 'fabric/loader.json', [{ version: '0.16.0-beta', stable: false }, { version: '0.15.11', stable: true }]);
+    writeJson(root, 'fabric/installer.json', [{ version: '1.0.1', stable: true }]);
+}
+
+function cacheJar(root, name, contents) {
+    fs.mkdirSync(path.join(root, 'jars'), { recursive: true });
+    fs.writeFileSync(path.join(root, 'jars', name), contents);
+}
+
+/**
+ * The parts of MinecraftServer that VersionManager uses. Mirror mode must never download.
+ */
+function fakeServer(serverPath) {
+    const lines = [];
+    return {
+        status: 'stopped',
+        maintenance: null,
+        config: { server: { type: 'java' } },
+        serverPath,
+        lines,
+        log: (line) => lines.push(line),
+        downloadFile: async () => { throw new Error('downloadFile called in mirror mode'); }
+    };
+}
+
+describe('VersionManager mirror mode', () => {
+    let root;
+    let mirrorDir;
+    let versions;
+
+    before(() => {
+        root = fs.mkdtempSync(path.join(os.tmpdir(), 'versions-test-'));
+    });
+    after(() => fs.rmSync(root, { recursive: true, force: true }));
+
+    beforeEach(() => {
+        mirrorDir = fs.mkdtempSync(path.join(root, 'mirror-'));
+        createMirror(mirrorDir);
+        versions = new VersionManager({ versions: { source: 'mirror', mirror_dir: mirrorDir } });
+    });
+
+    it('lists versions from the mirror', async () => {
+        assert.deepEqual(await versions.listVersions('vanilla'), [
+            { id: '24w14a', stable: false },
+            { id: '1.20.4', stable: true }
+        ]);
+        assert.deepEqual(await versions.listVersions('paper'), [
+            { id: '1.20.5-rc1', stable: false },
+            { id: '1.20.4', stable: true },
+            { id: '1.20.2', stable: true }
+        ]);
+        assert.deepEqual(await versions.listVersions('fabric'), [
+            { id: '1.20.4', stable: true },
+            { id: '24w14a', stable: false }
+        ]);
+        await assert.rejects(versions.listVersions('forge'), /Unknown software "forge"/);
+    });
+
+    it('resolves downloads and checksums from mirrored manifests', async () => {
+        assert.deepEqual(await versions.resolve('vanilla', '1.20.4'), {
+            software: 'vanilla', version: '1.20.4', build: null,
+            url: 'https://example.invalid/server.jar',
+            checksum: { algorithm: 'sha1', hash: sha('sha1', VANILLA_JAR) }
+        });
+
+        // Latest build on the default channel
+        const paper = await versions.resolve('paper', '1.20.4');
+        assert.equal(paper.build, 497);
+        assert.equal(paper.url, 'https://api.papermc.io/v2/projects/paper/versions/1.20.4/builds/497/downloads/paper-1.20.4-497.jar');
+        assert.deepEqual(paper.checksum, { algorithm: 'sha256', hash: sha('sha256', PAPER_JAR) });
+
+        const fabric = await versions.resolve('fabric', '1.20.4');
+        assert.equal(fabric.build, '0.15.11+1.0.1');
+        assert.equal(fabric.checksum, null);
+    });
+
+    it('reports versions and manifests missing from the mirror', async () => {
+        await assert.rejects(versions.resolve('vanilla', '1.19'), /Unknown Minecraft version 1.19/);
+        await assert.rejects(versions.resolve('fabric', '1.19'), /Fabric does not support 1.19/);
+        await assert.rejects(versions.resolve('paper', '1.20.2'), /Not in local mirror: paper\/builds-1.20.2.json/);
+    });
+
+    it('rejects Paper versions the project does not list', async () => {
+        await assert.rejects(versions.resolve('paper', '1.19'), /Unknown Paper version 1.19/);
+        // Never reaches the mirror path, download URL or jar cache name
+        await assert.rejects(versions.resolve('paper', '../../x'), /Unknown Paper version \.\.\/\.\.\/x/);
+    });
+
+    it('installs mirrored jars and rolls back', async () => {
+        cacheJar(mirrorDir, 'vanilla-1.20.4.jar', VANILLA_JAR);
+        cacheJar(mirrorDir, 'paper-1.20.4-497.jar', PAPER_JAR);
+        const server = fakeServer(fs.mkdtempSync(path.join(root, 'server-')));
+        const jar = path.join(server.serverPath, VersionManager.JAR);
+
+        await versions.install(server, 'vanilla', '1.20.4');
+        assert.equal(fs.readFileSync(jar, 'utf8'), VANILLA_JAR);
+
+        const state = await versions.install(server, 'paper', '1.20.4');
+        assert.equal(fs.readFileSync(jar, 'utf8'), PAPER_JAR);
+        assert.deepEqual({ software: state.current.software, build: state.current.build }, { software: 'paper', build: 497 });
+        assert.equal(state.current.sha256, sha('sha256', PAPER_JAR));
+        assert.equal(state.previous.software, 'vanilla');
+        assert.ok(server.lines.includes('[VERSIONS] Using mirrored paper-1.20.4-497.jar'));
+
+        const rolledBack = versions.rollback(server);
+        assert.equal(fs.readFileSync(jar, 'utf8'), VANILLA_JAR);
+        assert.equal(rolledBack.current.software, 'vanilla');
+        assert.deepEqual(versions.installed(server.serverPath), rolledBack);
+    });
+
+    it('discards a mirrored jar that fails its checksum', async () => {
+        cacheJar(mirrorDir, 'vanilla-1.20.4.jar', 'tampered');
+        const server = fakeServer(fs.mkdtempSync(path.join(root, 'server-')));
+        const jar = path.join(server.serverPath, VersionManager.JAR);
+        fs.writeFileSync(jar, 'old jar');
+
+        await assert.rejects(versions.install(server, 'vanilla', '1.20.4'), /Jar not in local mirror: jars\/vanilla-1.20.4.jar/);
+        assert.ok(server.lines.includes('[VERSIONS] Mirrored vanilla-1.20.4.jar failed checksum, discarding'));
+        assert.equal(fs.existsSync(path.join(mirrorDir, 'jars', 'vanilla-1.20.4.jar')), false);
+        // The installed jar is left alone and nothing is half-written
+        assert.equal(fs.readFileSync(jar, 'utf8'), 'old jar');
+        assert.deepEqual(fs.readdirSync(server.serverPath), [VersionManager.JAR]);
+    });
+
+    it('blocks starting the server until an install finishes or fails', async () => {
+        cacheJar(mirrorDir, 'vanilla-1.20.4.jar', VANILLA_JAR);
+        const server = fakeServer(fs.mkdtempSync(path.join(root, 'server-')));
+        const seen = [];
+        server.log = () => seen.push(server.maintenance);
+
+        await versions.install(server, 'vanilla', '1.20.4');
+        assert.ok(seen.length > 0 && seen.every(m => m === 'installing vanilla 1.20.4'));
+        assert.equal(server.maintenance, null);
+
+        await assert.rejects(versions.install(server, 'paper', '1.20.4'), /Jar not in local mirror/);
+        assert.equal(server.maintenance, null);
+
+        server.maintenance = 'restoring backup-1';
+        await assert.rejects(versions.install(server, 'vanilla', '1.20.4'), /Can't install while restoring backup-1/);
+    });
+
+    it('falls back to the mirror when a remote source is unreachable', async () => {
+        const remote = new VersionManager({
+            versions: { source: 'remote', mirror_dir: mirrorDir, sources: { vanilla: 'http://127.0.0.1:1/manifest.json' } }
+        });
+        assert.equal((await remote.listVersions('vanilla')).length, 2);
+    });
+});